@@ -112,8 +112,51 @@ const getImageInfo = async (publicId) => {
   }
 };
 
+// Indica si hay credenciales de Cloudinary configuradas
+const isConfigured = () => !!(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
+/**
+ * Obtiene el public_id de una URL de Cloudinary (…/upload/v123/<public_id>.<formato>)
+ * @param {string} url - URL de la imagen
+ * @returns {string|null} - public_id o null si la URL no es de Cloudinary
+ */
+const getPublicIdFromUrl = (url) => {
+  const match = /\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i.exec(String(url || ''));
+  return match ? match[1] : null;
+};
+
+/**
+ * Lista las imágenes de una carpeta (paginado)
+ * @param {string} folder - Carpeta en Cloudinary
+ * @param {string} nextCursor - Cursor de la página anterior
+ * @returns {Promise<Object>} - { images: [{ publicId, url, created }], nextCursor }
+ */
+const listImages = async (folder, nextCursor = null) => {
+  const result = await cloudinary.api.resources({
+    type: 'upload',
+    resource_type: 'image',
+    prefix: `${folder}/`,
+    max_results: 500,
+    ...(nextCursor && { next_cursor: nextCursor })
+  });
+
+  return {
+    images: result.resources.map(resource => ({
+      publicId: resource.public_id,
+      url: resource.secure_url,
+      created: new Date(resource.created_at)
+    })),
+    nextCursor: result.next_cursor || null
+  };
+};
+
 module.exports = {
   cloudinary,
+  isConfigured,
+  getPublicIdFromUrl,
+  listImages,
   uploadImage,
   deleteImage,
   getTransformedUrl,
@@ -1,80 +1,208 @@
 const passport = require('passport');
+const jwt = require('jsonwebtoken');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const FacebookStrategy = require('passport-facebook').Strategy;
+const GitHubStrategy = require('passport-github2').Strategy;
+const OpenIDConnectStrategy = require('passport-openidconnect').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
-const jwt = require('jsonwebtoken');
-const LoginLog = require('../models/LoginLog');
-
-// Configuración de Google OAuth Strategy
-console.log('🔧 Configurando Google OAuth con:');
-console.log('  - Client ID:', process.env.GOOGLE_CLIENT_ID ? 'configurado' : 'FALTA');
-console.log('  - Client Secret:', process.env.GOOGLE_CLIENT_SECRET ? 'configurado' : 'FALTA');
-console.log('  - Callback URL: https://eventual-backend-r8yc.onrender.com/api/auth/google/callback');
-
-passport.use(new GoogleStrategy({
-  clientID: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: "https://eventual-backend-r8yc.onrender.com/api/auth/google/callback"
-}, async (accessToken, refreshToken, profile, done) => {
-  try {
-    console.log('✅ Google OAuth callback ejecutado para usuario:', profile.displayName);
-    const user = {
-      id: profile.id,
-      email: profile.emails[0].value,
+const UserRole = require('../models/UserRole');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// URL pública del backend, base de las URLs de callback OAuth
+// (Render define RENDER_EXTERNAL_URL automáticamente)
+const getBaseUrl = () => (
+  process.env.BACKEND_URL ||
+  process.env.RENDER_EXTERNAL_URL ||
+  `http://localhost:${process.env.PORT || 5000}`
+).replace(/\/+$/, '');
+
+const getCallbackUrl = (name) => `${getBaseUrl()}/api/auth/${name}/callback`;
+
+const firstValue = (list) => (Array.isArray(list) && list.length > 0 ? list[0].value : null);
+
+/**
+ * Registro de proveedores OAuth/OIDC. Cada proveedor se activa solo si sus
+ * variables de entorno están configuradas. normalize() convierte el perfil del
+ * proveedor en { providerId, email, emailVerified, name, picture }.
+ */
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    scope: ['profile', 'email'],
+    isConfigured: () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy: (options, verify) => new GoogleStrategy({
+      ...options,
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET
+    }, verify),
+    normalize: (profile) => ({
+      providerId: profile.id,
+      email: firstValue(profile.emails),
+      emailVerified: !!(profile.emails && profile.emails[0] && profile.emails[0].verified),
       name: profile.displayName,
-      picture: profile.photos[0].value,
-      provider: 'google'
-    };
-
-    // Crear JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email,
-        name: user.name,
-        provider: 'google'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Registrar login en el log
-    const expiryDate = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 horas
-    const loginLog = new LoginLog({
-      usuario: user.email,
-      caducidad: expiryDate,
-      token: token,
-      provider: 'google',
-      loginType: 'login'
-    });
+      picture: firstValue(profile.photos)
+    })
+  },
+  facebook: {
+    label: 'Facebook',
+    scope: ['email'],
+    isConfigured: () => !!(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET),
+    createStrategy: (options, verify) => new FacebookStrategy({
+      ...options,
+      clientID: process.env.FACEBOOK_APP_ID,
+      clientSecret: process.env.FACEBOOK_APP_SECRET,
+      profileFields: ['id', 'displayName', 'emails', 'photos']
+    }, verify),
+    normalize: (profile) => ({
+      providerId: profile.id,
+      email: firstValue(profile.emails),
+      emailVerified: !!firstValue(profile.emails), // Facebook solo devuelve emails confirmados
+      name: profile.displayName,
+      picture: firstValue(profile.photos)
+    })
+  },
+  github: {
+    label: 'GitHub',
+    scope: ['user:email'],
+    isConfigured: () => !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    createStrategy: (options, verify) => new GitHubStrategy({
+      ...options,
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      allRawEmails: true // Incluye el flag verified de cada email
+    }, verify),
+    normalize: (profile) => {
+      // Solo emails verificados en GitHub: el principal si lo está y, si no, cualquier otro verificado
+      const emails = (profile.emails || []).filter(e => e.verified);
+      const email = emails.find(e => e.primary) || emails[0] || null;
+      return {
+        providerId: profile.id,
+        email: email ? email.value : null,
+        emailVerified: !!email,
+        name: profile.displayName || profile.username,
+        picture: firstValue(profile.photos)
+      };
+    }
+  },
+  oidc: {
+    label: process.env.OIDC_LABEL || 'OpenID Connect',
+    scope: ['profile', 'email'],
+    oidc: true,
+    isConfigured: () => !!(
+      process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET &&
+      process.env.OIDC_AUTHORIZATION_URL && process.env.OIDC_TOKEN_URL
+    ),
+    createStrategy: (options, verify) => new OpenIDConnectStrategy({
+      ...options,
+      issuer: process.env.OIDC_ISSUER,
+      authorizationURL: process.env.OIDC_AUTHORIZATION_URL,
+      tokenURL: process.env.OIDC_TOKEN_URL,
+      userInfoURL: process.env.OIDC_USERINFO_URL,
+      clientID: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET
+    }, verify),
+    normalize: (profile, claims) => ({
+      providerId: profile.id,
+      email: firstValue(profile.emails) || claims.email || null,
+      emailVerified: claims.email_verified === true,
+      name: profile.displayName || profile.username,
+      picture: claims.picture || null
+    })
+  }
+};
 
-    await loginLog.save();
+/**
+ * Resuelve un login OAuth/OIDC: vincula la cuenta al usuario que la solicitó
+ * (GET /api/auth/:provider?link=...) o inicia sesión con la identidad unificada
+ */
+const handleOAuthProfile = async (req, name, data, done) => {
+  try {
+    const linkEmail = req.session ? req.session.linkEmail : null;
+    if (req.session) {
+      delete req.session.linkEmail;
+    }
+
+    const profile = { provider: name, ...data };
+    const result = linkEmail
+      ? await User.linkIdentity(linkEmail, profile)
+      : await User.findOrCreateFromOAuth(profile);
+
+    if (result.error) {
+      return done(null, false, { message: result.error });
+    }
+
+    console.log(`✅ Login ${name} para usuario:`, result.user.email);
 
-    user.token = token;
-    return done(null, user);
+    // Los tokens se emiten al canjear el código de un solo uso (POST /api/auth/exchange)
+    return done(null, {
+      id: String(result.user._id),
+      email: result.user.email,
+      name: result.user.nombre,
+      picture: result.user.avatar,
+      provider: name,
+      linked: !!linkEmail
+    });
   } catch (error) {
-    console.error('Error en Google OAuth:', error);
+    console.error(`Error en OAuth (${name}):`, error);
     return done(error, null);
   }
+};
+
+// Registrar las estrategias de los proveedores configurados
+const enabledProviders = [];
+
+for (const [name, provider] of Object.entries(PROVIDERS)) {
+  if (!provider.isConfigured()) {
+    continue;
+  }
+
+  const options = { callbackURL: getCallbackUrl(name), passReqToCallback: true };
+
+  // passport-openidconnect elige los argumentos de verify según su aridad
+  const verify = provider.oidc
+    ? (req, issuer, profile, context, idToken, done) =>
+        handleOAuthProfile(req, name, provider.normalize(profile, jwt.decode(idToken) || {}), done)
+    : (req, accessToken, refreshToken, profile, done) =>
+        handleOAuthProfile(req, name, provider.normalize(profile), done);
+
+  passport.use(name, provider.createStrategy(options, verify));
+  enabledProviders.push(name);
+}
+
+console.log('🔧 Proveedores OAuth configurados:', enabledProviders.length ? enabledProviders.join(', ') : 'ninguno');
+console.log('  - Callback base URL:', getBaseUrl());
+
+const isProviderEnabled = (name) => enabledProviders.includes(name);
+
+// Proveedores disponibles para el frontend
+const getEnabledProviders = () => enabledProviders.map(name => ({
+  name: name,
+  label: PROVIDERS[name].label,
+  loginUrl: `${getBaseUrl()}/api/auth/${name}`
 }));
 
+const getProviderScope = (name) => PROVIDERS[name].scope;
+
 // Configuración de JWT Strategy para proteger rutas
 passport.use(new JwtStrategy({
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
   secretOrKey: process.env.JWT_SECRET
 }, async (jwtPayload, done) => {
   try {
-    // Verificar que el token esté en el log y no haya expirado
-    const logEntry = await LoginLog.findOne({
-      usuario: jwtPayload.email,
-      caducidad: { $gt: new Date() }
-    });
+    // Cada token debe corresponder a una sesión activa (no revocada ni caducada)
+    const session = jwtPayload.sid ? await Session.findActive(jwtPayload.sid) : null;
 
-    if (logEntry) {
-      return done(null, jwtPayload);
-    } else {
+    if (!session || session.usuario !== jwtPayload.email) {
       return done(null, false);
     }
+
+    await session.touch();
+
+    // El rol se consulta en cada petición para que los cambios se apliquen sin renovar el token
+    const rol = await UserRole.getRole(jwtPayload.email);
+    return done(null, { ...jwtPayload, rol, sessionId: session._id });
   } catch (error) {
     return done(error, false);
   }
@@ -92,8 +220,43 @@ passport.deserializeUser((user, done) => {
 // Middleware para verificar autenticación JWT
 const requireAuth = passport.authenticate('jwt', { session: false });
 
-// Middleware para verificar que el usuario es el organizador del evento
-const requireEventOwnership = async (req, res, next) => {
+// Middleware de autenticación opcional: identifica al usuario si envía un token válido
+const optionalAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (err) return next(err);
+    if (user) req.user = user;
+    next();
+  })(req, res, next);
+};
+
+/**
+ * Middleware para exigir un rol mínimo (usar después de requireAuth).
+ * Los roles son jerárquicos: admin > moderator > user.
+ * @param {string} rol - Rol mínimo requerido
+ * @returns {Function} - Middleware de Express
+ */
+const requireRole = (rol) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Autenticación requerida' });
+  }
+
+  if (!UserRole.hasRole(req.user.rol || 'user', rol)) {
+    return res.status(403).json({
+      error: 'No tienes permisos para realizar esta acción',
+      requiredRole: rol
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware para autorizar una acción sobre el evento de la URL según el rol del
+ * usuario en él (propietario, editor o personal de check-in). Ver Event.EVENT_PERMISSIONS.
+ * @param {string} action - 'edit' | 'delete' | 'attendees' | 'manage'
+ * @returns {Function} - Middleware de Express
+ */
+const requireEventPermission = (action) => async (req, res, next) => {
   try {
     const Event = require('../models/Event');
     const event = await Event.findById(req.params.id);
@@ -102,20 +265,35 @@ const requireEventOwnership = async (req, res, next) => {
       return res.status(404).json({ error: 'Evento no encontrado' });
     }
     
-    if (event.organizador !== req.user.email) {
+    if (!event.can(req.user.email, action)) {
       return res.status(403).json({ 
-        error: 'No tienes permisos para realizar esta acción. Solo el organizador puede modificar el evento.' 
+        error: 'No tienes permisos para realizar esta acción en este evento.',
+        rol: event.getRoleFor(req.user.email)
       });
     }
     
     req.event = event; // Pasar el evento al siguiente middleware
+    req.eventRole = event.getRoleFor(req.user.email);
     next();
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
     res.status(500).json({ error: 'Error verificando permisos' });
   }
 };
 
+// Middleware para verificar que el usuario es el propietario del evento
+const requireEventOwnership = requireEventPermission('manage');
+
 module.exports = {
+  getBaseUrl,
+  isProviderEnabled,
+  getEnabledProviders,
+  getProviderScope,
   requireAuth,
+  optionalAuth,
+  requireRole,
+  requireEventPermission,
   requireEventOwnership
 };
\ No newline at end of file
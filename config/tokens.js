@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const LoginLog = require('../models/LoginLog');
+const Session = require('../models/Session');
+
+// Tokens de acceso de corta duración; la sesión se mantiene con el refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Número máximo de refresh tokens rotados que se conservan por sesión
+const MAX_PREVIOUS_TOKENS = 50;
+
+const REFRESH_COOKIE = 'refresh_token';
+
+// Cookie que liga la vinculación de una cuenta externa al navegador que la inició
+const LINK_COOKIE = 'link_nonce';
+const LINK_COOKIE_TTL_MS = 10 * 60 * 1000;
+
+// Cabecera obligatoria al renovar: una web de otro origen no puede añadirla sin pasar
+// la comprobación CORS, así que no puede usar la cookie de la víctima (CSRF)
+const REFRESH_HEADER = 'X-Requested-With';
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Datos del dispositivo que realiza la petición
+const getRequestInfo = (req) => ({
+  userAgent: (req && req.get('User-Agent')) || '',
+  ipAddress: (req && (req.ip || req.connection.remoteAddress)) || ''
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token opaco con el formato <idSesión>.<secreto>
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+/**
+ * Firma un token de acceso ligado a una sesión (claim sid)
+ * @param {Object} session - Sesión de la que depende el token
+ * @returns {string} - JWT
+ */
+const signAccessToken = (session) => jwt.sign(
+  {
+    id: session.userId,
+    email: session.usuario,
+    name: session.nombre,
+    provider: session.provider,
+    sid: String(session._id)
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Crea una sesión nueva (login) con su primer refresh token y registra el acceso
+ * @param {Object} user - { id, email, name, provider }
+ * @param {Object} options - { loginType, req }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+ */
+const createSession = async (user, { loginType = 'login', req = null } = {}) => {
+  const requestInfo = getRequestInfo(req);
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    usuario: user.email,
+    userId: user.id,
+    nombre: user.name,
+    provider: user.provider,
+    caducidad: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    refreshTokenHash: hashToken(refreshToken),
+    ...requestInfo
+  });
+
+  const accessToken = signAccessToken(session);
+
+  // Registrar el acceso en el log
+  const loginLog = new LoginLog({
+    usuario: user.email,
+    caducidad: session.caducidad,
+    token: accessToken,
+    provider: user.provider,
+    loginType: loginType,
+    ...requestInfo
+  });
+  await loginLog.save();
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Rota un refresh token. Si se presenta un token ya rotado se considera robado
+ * y se revoca toda la sesión (familia de tokens).
+ * @param {string} refreshToken - Refresh token recibido en la cookie
+ * @param {Object} req - Petición (para el log)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, session } o { error, reuse }
+ */
+const rotateRefreshToken = async (refreshToken, req = null) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  const session = await Session.findActive(sessionId);
+
+  if (!session) {
+    return { error: 'Sesión no válida o caducada' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.refreshTokenHash !== presentedHash) {
+    if (session.refreshTokensAnteriores.includes(presentedHash)) {
+      await Session.revoke({ _id: session._id });
+      return { error: 'Refresh token reutilizado. Sesión revocada por seguridad', reuse: true };
+    }
+    return { error: 'Refresh token no válido' };
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+
+  // Actualización condicionada al hash actual: dos rotaciones simultáneas no pueden tener éxito
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revocada: false },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      $push: { refreshTokensAnteriores: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } },
+      ultimoUso: new Date(),
+      ...getRequestInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.revoke({ _id: session._id });
+    return { error: 'Refresh token reutilizado. Sesión revocada por seguridad', reuse: true };
+  }
+
+  const accessToken = signAccessToken(rotated);
+
+  // Registrar refresh en el log
+  const refreshLog = new LoginLog({
+    usuario: rotated.usuario,
+    caducidad: rotated.caducidad,
+    token: accessToken,
+    provider: rotated.provider,
+    loginType: 'refresh',
+    ...getRequestInfo(req)
+  });
+  await refreshLog.save();
+
+  return { accessToken, refreshToken: newRefreshToken, session: rotated };
+};
+
+// Opciones de la cookie del refresh token (frontend y backend están en dominios distintos)
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? 'none' : 'lax',
+  path: '/api/auth'
+});
+
+const setRefreshCookie = (res, refreshToken, session) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(), expires: session.caducidad });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+const getRefreshCookie = (req) => (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+
+const hasRefreshHeader = (req) => !!req.get(REFRESH_HEADER);
+
+// Genera el valor secreto de la vinculación y lo guarda en el navegador que la inicia
+const setLinkCookie = (res) => {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  res.cookie(LINK_COOKIE, nonce, { ...cookieOptions(), maxAge: LINK_COOKIE_TTL_MS });
+  return nonce;
+};
+
+const clearLinkCookie = (res) => {
+  res.clearCookie(LINK_COOKIE, cookieOptions());
+};
+
+const getLinkCookie = (req) => (req.cookies && req.cookies[LINK_COOKIE]) || null;
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_HEADER,
+  getRequestInfo,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshCookie,
+  hasRefreshHeader,
+  setLinkCookie,
+  clearLinkCookie,
+  getLinkCookie
+};
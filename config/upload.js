@@ -0,0 +1,49 @@
+const multer = require('multer');
+
+// Tamaño máximo de cada imagen
+const MAX_FILE_SIZE_MB = 5;
+
+// Configuración de multer para manejo de archivos
+const upload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, // 5MB máximo
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      const error = new Error('Solo se permiten archivos de imagen');
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
+// Convierte un archivo recibido por multer en data URI para subirlo a Cloudinary
+const toDataUri = (file) => `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+
+// Mensajes de los errores de multer que se devuelven al cliente
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Cada imagen puede ocupar como máximo ${MAX_FILE_SIZE_MB}MB`,
+  LIMIT_FILE_COUNT: 'Se han enviado demasiados archivos',
+  LIMIT_UNEXPECTED_FILE: 'Campo de archivo no esperado o demasiados archivos',
+  INVALID_FILE_TYPE: 'Solo se permiten archivos de imagen'
+};
+
+// Middleware de errores: responde con 400 a los errores de subida en lugar de un error interno
+const handleUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError || error.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      error: UPLOAD_ERRORS[error.code] || error.message,
+      ...(error.field && { campo: error.field })
+    });
+  }
+  next(error);
+};
+
+module.exports = {
+  upload,
+  toDataUri,
+  handleUploadError
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tipos de token de acción y su validez
+const TIPOS = {
+  'verificar-email': 24 * 60 * 60 * 1000, // 24 horas
+  'restablecer-password': 60 * 60 * 1000, // 1 hora
+  'vincular-cuenta': 10 * 60 * 1000 // 10 minutos
+};
+
+// Tokens firmados de un solo uso para acciones sobre la cuenta (verificación de
+// email, restablecimiento de contraseña y vinculación de proveedores). El JWT garantiza la integridad; este registro
+// garantiza que cada token solo se canjea una vez.
+const actionTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tipo: {
+    type: String,
+    enum: Object.keys(TIPOS),
+    required: true
+  },
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true
+  },
+  caducidad: {
+    type: Date,
+    required: true
+  },
+  // Hash del valor que debe presentar el navegador que solicitó el token (vinculación de cuentas)
+  vinculo: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB elimina los tokens caducados
+actionTokenSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 });
+actionTokenSchema.index({ usuario: 1, tipo: 1 });
+
+const hashBinding = (binding) => crypto.createHash('sha256').update(String(binding)).digest('hex');
+
+/**
+ * Emite un token firmado para una acción sobre la cuenta
+ * @param {string} email - Email del usuario
+ * @param {string} tipo - 'verificar-email' | 'restablecer-password' | 'vincular-cuenta'
+ * @param {string} binding - Valor secreto que deberá presentarse al canjearlo (opcional)
+ * @returns {Promise<string>} - Token (JWT) para incluir en el enlace
+ */
+actionTokenSchema.statics.issue = async function(email, tipo, binding = null) {
+  const ttl = TIPOS[tipo];
+  if (!ttl) {
+    throw new Error(`Tipo de token desconocido: ${tipo}`);
+  }
+
+  const jti = crypto.randomUUID();
+  await this.create({
+    jti: jti,
+    tipo: tipo,
+    usuario: email,
+    caducidad: new Date(Date.now() + ttl),
+    vinculo: binding ? hashBinding(binding) : null
+  });
+
+  return jwt.sign(
+    { email: email.toLowerCase(), purpose: tipo },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(ttl / 1000), jwtid: jti }
+  );
+};
+
+/**
+ * Canjea un token: comprueba la firma y el propósito y lo elimina para que no
+ * pueda reutilizarse. También invalida el resto de tokens del mismo tipo del usuario.
+ * @param {string} token - Token recibido
+ * @param {string} tipo - Tipo esperado
+ * @param {string} binding - Valor secreto indicado al emitirlo, si se indicó
+ * @returns {Promise<string|null>} - Email del usuario o null si el token no es válido
+ */
+actionTokenSchema.statics.consume = async function(token, tipo, binding = null) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== tipo || !payload.jti) {
+    return null;
+  }
+
+  const record = await this.findOneAndDelete({
+    jti: payload.jti,
+    tipo: tipo,
+    usuario: payload.email,
+    caducidad: { $gt: new Date() },
+    vinculo: binding ? hashBinding(binding) : null
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  await this.deleteMany({ usuario: record.usuario, tipo: tipo });
+  return record.usuario;
+};
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
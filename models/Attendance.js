@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+const attendanceSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'El evento es obligatorio']
+  },
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true,
+    validate: {
+      validator: function(email) {
+        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
+      },
+      message: 'Email inválido'
+    }
+  },
+  nombre: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  estado: {
+    type: String,
+    enum: ['confirmado', 'en_espera'],
+    default: 'confirmado',
+    required: true
+  },
+  // Control de acceso: cuándo y quién validó la inscripción en la puerta
+  validadaEn: {
+    type: Date,
+    default: null
+  },
+  validadaPor: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true, // createdAt marca el orden en la lista de espera
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+attendanceSchema.index({ evento: 1, usuario: 1 }, { unique: true }); // Una inscripción por usuario y evento
+attendanceSchema.index({ evento: 1, estado: 1, createdAt: 1 }); // Para listar y promocionar la lista de espera
+attendanceSchema.index({ usuario: 1 }); // Para los eventos a los que asiste un usuario
+attendanceSchema.index({ evento: 1, validadaEn: -1 }); // Para el recuento de accesos
+
+// Método estático para obtener las inscripciones de un evento agrupadas por estado
+attendanceSchema.statics.getEventAttendees = async function(eventId) {
+  const attendees = await this.find({ evento: eventId }).sort({ createdAt: 1 });
+
+  return {
+    confirmados: attendees.filter(a => a.estado === 'confirmado'),
+    enEspera: attendees.filter(a => a.estado === 'en_espera')
+  };
+};
+
+/**
+ * Inscribe a un usuario en un evento. Si el evento tiene capacidad y está completo,
+ * el usuario pasa a la lista de espera.
+ * @param {Object} event - Documento del evento
+ * @param {Object} user - Usuario autenticado ({ email, name })
+ * @returns {Promise<Object>} - Inscripción creada
+ */
+attendanceSchema.statics.register = async function(event, user) {
+  const Event = mongoose.model('Event');
+
+  // Reservar plaza de forma atómica para no superar la capacidad con peticiones concurrentes
+  const reserved = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { capacidad: null },
+        { $expr: { $lt: ['$plazasOcupadas', '$capacidad'] } }
+      ]
+    },
+    { $inc: { plazasOcupadas: 1 } },
+    { new: true }
+  );
+
+  try {
+    return await this.create({
+      evento: event._id,
+      usuario: user.email,
+      nombre: user.name || '',
+      estado: reserved ? 'confirmado' : 'en_espera'
+    });
+  } catch (error) {
+    // Liberar la plaza reservada si no se pudo crear la inscripción
+    if (reserved) {
+      await Event.updateOne({ _id: event._id }, { $inc: { plazasOcupadas: -1 } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancela la inscripción de un usuario. Si ocupaba plaza, se promociona
+ * automáticamente al primero de la lista de espera.
+ * @param {Object} event - Documento del evento
+ * @param {string} email - Email del usuario
+ * @returns {Promise<Object>} - { cancelled, promoted }
+ */
+attendanceSchema.statics.unregister = async function(event, email) {
+  const Event = mongoose.model('Event');
+
+  const cancelled = await this.findOneAndDelete({ evento: event._id, usuario: email });
+  if (!cancelled) {
+    return { cancelled: null, promoted: [] };
+  }
+
+  if (cancelled.estado !== 'confirmado') {
+    return { cancelled, promoted: [] };
+  }
+
+  await Event.updateOne({ _id: event._id }, { $inc: { plazasOcupadas: -1 } });
+  const promoted = await this.promoteFromWaitlist(event._id);
+
+  return { cancelled, promoted };
+};
+
+/**
+ * Promociona inscripciones de la lista de espera mientras queden plazas libres
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<Array>} - Inscripciones promocionadas
+ */
+attendanceSchema.statics.promoteFromWaitlist = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const promoted = [];
+
+  for (;;) {
+    const next = await this.findOne({ evento: eventId, estado: 'en_espera' }).sort({ createdAt: 1 });
+    if (!next) break;
+
+    const reserved = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        $or: [
+          { capacidad: null },
+          { $expr: { $lt: ['$plazasOcupadas', '$capacidad'] } }
+        ]
+      },
+      { $inc: { plazasOcupadas: 1 } }
+    );
+    if (!reserved) break;
+
+    const attendance = await this.findOneAndUpdate(
+      { _id: next._id, estado: 'en_espera' },
+      { estado: 'confirmado' },
+      { new: true }
+    );
+
+    if (!attendance) {
+      // La inscripción se canceló entretanto: devolver la plaza y seguir con el siguiente
+      await Event.updateOne({ _id: eventId }, { $inc: { plazasOcupadas: -1 } });
+      continue;
+    }
+
+    promoted.push(attendance);
+  }
+
+  return promoted;
+};
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Códigos de un solo uso que el callback OAuth entrega al frontend para que
+// obtenga los tokens sin exponerlos en la URL de redirección
+const authCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  nombre: {
+    type: String,
+    default: ''
+  },
+  picture: {
+    type: String,
+    default: null
+  },
+  provider: {
+    type: String,
+    enum: ['google', 'facebook', 'github', 'oidc', 'local'],
+    default: 'google'
+  },
+  caducidad: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB elimina los códigos caducados
+authCodeSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 });
+
+// Validez de los códigos: el frontend los canjea inmediatamente tras la redirección
+const CODE_TTL_MS = 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Genera un código de un solo uso para un usuario autenticado
+ * @param {Object} user - { id, email, name, picture, provider }
+ * @returns {Promise<string>} - Código en claro
+ */
+authCodeSchema.statics.generate = async function(user) {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await this.create({
+    codeHash: hashCode(code),
+    usuario: user.email,
+    userId: user.id,
+    nombre: user.name,
+    picture: user.picture || null,
+    provider: user.provider,
+    caducidad: new Date(Date.now() + CODE_TTL_MS)
+  });
+
+  return code;
+};
+
+// Método estático para canjear un código: se elimina al usarlo, de modo que solo sirve una vez
+authCodeSchema.statics.consume = function(code) {
+  return this.findOneAndDelete({
+    codeHash: hashCode(String(code)),
+    caducidad: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('AuthCode', authCodeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const calendarFeedSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ultimoAcceso: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Solo se guarda el hash del token: una fuga de la base de datos no expone las URLs de los feeds
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Genera (o regenera, invalidando el anterior) el token secreto del feed de un usuario
+ * @param {string} email - Email del usuario
+ * @returns {Promise<string>} - Token en claro, solo se muestra una vez
+ */
+calendarFeedSchema.statics.generateToken = async function(email) {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  await this.findOneAndUpdate(
+    { usuario: email },
+    { tokenHash: hashToken(token), ultimoAcceso: null },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return token;
+};
+
+// Método estático para obtener el feed asociado a un token
+calendarFeedSchema.statics.findByToken = function(token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)) },
+    { ultimoAcceso: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -1,4 +1,242 @@
 const mongoose = require('mongoose');
+const { encodeCursor, cursorFilter } = require('../utils/pagination');
+const {
+  FRECUENCIAS,
+  DIAS_SEMANA,
+  expandDates,
+  getSeriesEnd,
+  isSeriesDate
+} = require('../utils/recurrence');
+const { DEFAULT_TIMEZONE, isValidTimeZone, toLocalISOString } = require('../utils/timezone');
+const { getPublicIdFromUrl } = require('../config/cloudinary');
+const { getImageVariants } = require('../services/storage');
+
+// Categorías disponibles para los eventos
+const CATEGORIAS = ['cultural', 'deportivo', 'musical', 'educativo', 'gastronómico', 'tecnológico', 'otro'];
+
+// Ciclo de vida del evento
+const ESTADOS = ['borrador', 'pendiente', 'publicado', 'aplazado', 'rechazado', 'cancelado'];
+
+// Estados visibles para cualquier usuario: los eventos aplazados y cancelados siguen
+// accesibles para que los asistentes sepan qué ha pasado
+const ESTADOS_VISIBLES = ['publicado', 'aplazado', 'cancelado'];
+
+// Roles de los colaboradores de un evento (el propietario es el organizador)
+const COLLABORATOR_ROLES = ['editor', 'checkin'];
+
+// Roles autorizados para cada acción sobre un evento
+const EVENT_PERMISSIONS = {
+  edit: ['owner', 'editor'], // Modificar datos, ocurrencias, estado (cancelar/aplazar)
+  delete: ['owner'],
+  attendees: ['owner', 'editor', 'checkin'], // Ver asistentes y hacer check-in
+  manage: ['owner'] // Gestionar colaboradores y transferir la propiedad
+};
+
+// Número máximo de imágenes en la galería de un evento
+const MAX_IMAGES = 20;
+
+// Días durante los que se puede restaurar un evento eliminado
+const RESTORE_DAYS = parseInt(process.env.EVENT_RESTORE_DAYS) || 30;
+
+// Tramos de precio usados en los filtros y facetas (límites superiores incluidos)
+const PRICE_BANDS = [
+  { id: 'gratis', max: 0 },
+  { id: '0-10', max: 10 },
+  { id: '10-25', max: 25 },
+  { id: '25-50', max: 50 },
+  { id: '50+', max: Infinity }
+];
+
+// Regla de recurrencia al estilo RFC 5545 (FREQ, INTERVAL, BYDAY, UNTIL/COUNT, EXDATE)
+const recurrenceSchema = new mongoose.Schema({
+  frecuencia: {
+    type: String,
+    enum: FRECUENCIAS,
+    required: [true, 'La frecuencia de la recurrencia es obligatoria']
+  },
+  intervalo: {
+    type: Number,
+    min: [1, 'El intervalo debe ser al menos 1'],
+    max: [366, 'El intervalo no puede superar 366'],
+    default: 1
+  },
+  diasSemana: {
+    type: [{ type: String, enum: DIAS_SEMANA }],
+    default: []
+  },
+  hasta: {
+    type: Date,
+    default: null
+  },
+  repeticiones: {
+    type: Number,
+    min: [1, 'El número de repeticiones debe ser al menos 1'],
+    max: [1000, 'El número de repeticiones no puede superar 1000'],
+    default: null
+  },
+  excepciones: {
+    type: [Date], // Ocurrencias canceladas (EXDATE)
+    default: []
+  },
+  finSerie: {
+    type: Date, // Última ocurrencia, calculada al guardar (null si la serie no tiene fin)
+    default: null
+  }
+}, { _id: false });
+
+// Cambios aplicados a una única ocurrencia de la serie (RECURRENCE-ID)
+const occurrenceOverrideSchema = new mongoose.Schema({
+  fechaOriginal: {
+    type: Date,
+    required: true
+  },
+  timestamp: Date,
+  nombre: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'El nombre no puede superar los 200 caracteres']
+  },
+  lugar: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'La dirección no puede superar los 500 caracteres']
+  },
+  lat: Number,
+  lon: Number,
+  descripcion: {
+    type: String,
+    maxLength: [2000, 'La descripción no puede superar los 2000 caracteres']
+  }
+}, { _id: false });
+
+// Cambio de estado registrado en el historial del evento (quién, cuándo y por qué)
+const statusChangeSchema = new mongoose.Schema({
+  estado: {
+    type: String,
+    enum: ESTADOS,
+    required: true
+  },
+  anterior: {
+    type: String,
+    enum: [...ESTADOS, null], // null en el estado inicial
+    default: null
+  },
+  usuario: {
+    type: String,
+    lowercase: true,
+    required: true
+  },
+  motivo: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'El motivo no puede superar los 1000 caracteres'],
+    default: ''
+  },
+  // Solo en los aplazamientos
+  fechaAnterior: Date,
+  nuevaFecha: Date,
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Colaborador del evento con permisos delegados
+const collaboratorSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: [true, 'El email del colaborador es obligatorio'],
+    lowercase: true
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: COLLABORATOR_ROLES,
+      message: `Rol no válido. Valores permitidos: ${COLLABORATOR_ROLES.join(', ')}`
+    },
+    required: true
+  },
+  asignadoPor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  desde: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Aviso visible para los asistentes cuando el evento se cancela o se aplaza
+const noticeSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: ['cancelado', 'aplazado'],
+    required: true
+  },
+  motivo: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'El motivo no puede superar los 1000 caracteres'],
+    default: ''
+  },
+  fechaAnterior: {
+    type: Date,
+    default: null
+  },
+  nuevaFecha: {
+    type: Date,
+    default: null // null en los aplazamientos sin fecha confirmada
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Imagen de la galería del evento (el orden del array es el orden de presentación)
+const galleryImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  // Almacenamiento en el que está guardada (cloudinary o local)
+  almacen: {
+    type: String,
+    default: 'cloudinary'
+  },
+  pie: {
+    type: String,
+    trim: true,
+    maxLength: [300, 'El pie de foto no puede superar los 300 caracteres'],
+    default: ''
+  },
+  portada: {
+    type: Boolean,
+    default: false
+  },
+  ancho: {
+    type: Number,
+    default: null
+  },
+  alto: {
+    type: Number,
+    default: null
+  },
+  subidaPor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  subidaEn: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const eventSchema = new mongoose.Schema({
   nombre: {
@@ -12,11 +250,29 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'La fecha y hora del evento es obligatoria'],
     validate: {
       validator: function(value) {
+        // Un evento ya creado puede estar en curso (o ser una serie con ocurrencias pendientes):
+        // solo se exige fecha futura al crearlo o al cambiar su inicio. Los eventos ya celebrados
+        // se pueden corregir libremente
+        if (!this.isNew && (!this.isModified('timestamp') || this.$locals.celebrado)) {
+          return true;
+        }
         return value > new Date();
       },
       message: 'La fecha del evento debe ser futura'
     }
   },
+  fin: {
+    type: Date,
+    default: null
+  },
+  zonaHoraria: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'La zona horaria no es válida (usa un identificador IANA como Europe/Madrid)'
+    }
+  },
   lugar: {
     type: String,
     required: [true, 'La dirección del evento es obligatoria'],
@@ -35,6 +291,28 @@ const eventSchema = new mongoose.Schema({
     min: [-180, 'La longitud debe estar entre -180 y 180'],
     max: [180, 'La longitud debe estar entre -180 y 180']
   },
+  // Punto GeoJSON derivado de lat/lon para las consultas geoespaciales
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [lon, lat] según el estándar GeoJSON
+      default: undefined
+    }
+  },
+  // Espacio del evento: lugar, lat y lon se copian de él al asignarlo
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    default: null
+  },
+  organizacion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   organizador: {
     type: String,
     required: [true, 'El email del organizador es obligatorio'],
@@ -46,6 +324,11 @@ const eventSchema = new mongoose.Schema({
       message: 'Email inválido'
     }
   },
+  colaboradores: {
+    type: [collaboratorSchema],
+    default: []
+  },
+  // URL de la portada (se mantiene sincronizada con la galería)
   imagen: {
     type: String,
     default: null,
@@ -57,14 +340,29 @@ const eventSchema = new mongoose.Schema({
       message: 'La imagen debe ser una URL válida'
     }
   },
+  imagenes: {
+    type: [galleryImageSchema],
+    default: [],
+    validate: {
+      validator: images => images.length <= MAX_IMAGES,
+      message: `La galería no puede tener más de ${MAX_IMAGES} imágenes`
+    }
+  },
   descripcion: {
     type: String,
     maxLength: [2000, 'La descripción no puede superar los 2000 caracteres'],
     default: ''
   },
+  // Crónica que el organizador añade cuando el evento ya se ha celebrado
+  cronica: {
+    type: String,
+    trim: true,
+    maxLength: [5000, 'La crónica no puede superar los 5000 caracteres'],
+    default: ''
+  },
   categoria: {
     type: String,
-    enum: ['cultural', 'deportivo', 'musical', 'educativo', 'gastronómico', 'tecnológico', 'otro'],
+    enum: CATEGORIAS,
     default: 'otro'
   },
   precio: {
@@ -76,6 +374,50 @@ const eventSchema = new mongoose.Schema({
     type: Number,
     min: [1, 'La capacidad debe ser al menos 1'],
     default: null
+  },
+  plazasOcupadas: {
+    type: Number,
+    min: [0, 'Las plazas ocupadas no pueden ser negativas'],
+    default: 0
+  },
+  recurrencia: {
+    type: recurrenceSchema,
+    default: null
+  },
+  modificaciones: {
+    type: [occurrenceOverrideSchema],
+    default: []
+  },
+  estado: {
+    type: String,
+    enum: {
+      values: ESTADOS,
+      message: 'Estado no válido'
+    },
+    default: 'pendiente'
+  },
+  historialEstados: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  aviso: {
+    type: noticeSchema,
+    default: null
+  },
+  // Borrado lógico: el evento se puede restaurar durante RESTORE_DAYS días
+  eliminadoEn: {
+    type: Date,
+    default: null
+  },
+  eliminadoPor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  // Fecha en la que el evento (o la serie completa) pasó al archivo de eventos celebrados
+  archivadoEn: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true, // Añade createdAt y updatedAt automáticamente
@@ -84,39 +426,614 @@ const eventSchema = new mongoose.Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      delete ret.location; // Uso interno: la API sigue exponiendo lat/lon
+      delete ret.historialEstados; // Solo para el equipo del evento y los moderadores
+      delete ret.colaboradores;
+      // Galería con las URL de cada tamaño (el public_id es interno)
+      if (ret.imagenes) {
+        ret.imagenes = ret.imagenes.map(({ _id, publicId, almacen, ...image }) => ({
+          id: _id,
+          ...image,
+          variantes: getImageVariants(publicId, almacen)
+        }));
+      }
+      // Duración en minutos y representación en hora local de la zona del evento
+      ret.duracion = ret.fin ? Math.round((ret.fin - ret.timestamp) / 60000) : null;
+      ret.enCurso = !!ret.fin && ret.timestamp <= new Date() && ret.fin >= new Date();
+      ret.horaLocal = {
+        zonaHoraria: ret.zonaHoraria || DEFAULT_TIMEZONE,
+        inicio: toLocalISOString(ret.timestamp, ret.zonaHoraria || DEFAULT_TIMEZONE),
+        fin: toLocalISOString(ret.fin, ret.zonaHoraria || DEFAULT_TIMEZONE)
+      };
+      // Plazas libres calculadas a partir de la capacidad (null si el aforo es ilimitado)
+      ret.plazasDisponibles = ret.capacidad
+        ? Math.max(ret.capacidad - (ret.plazasOcupadas || 0), 0)
+        : null;
+      if (ret.eliminadoEn) {
+        ret.restaurableHasta = new Date(ret.eliminadoEn.getTime() + RESTORE_DAYS * 24 * 60 * 60 * 1000);
+      } else {
+        delete ret.eliminadoEn;
+        delete ret.eliminadoPor;
+      }
       return ret;
     }
   }
 });
 
 // Índices para optimizar las consultas
-eventSchema.index({ lat: 1, lon: 1 }); // Para búsquedas geoespaciales
+eventSchema.index({ location: '2dsphere' }); // Para búsquedas geoespaciales
 eventSchema.index({ timestamp: 1 }); // Para ordenación por fecha
 eventSchema.index({ organizador: 1 }); // Para búsquedas por organizador
+eventSchema.index({ 'colaboradores.usuario': 1 }); // Para los eventos que co-organiza un usuario
+eventSchema.index({ venue: 1, timestamp: 1 }, { sparse: true }); // Para los eventos de un espacio
+eventSchema.index({ organizacion: 1, timestamp: 1 }, { sparse: true }); // Para los eventos de una organización
 eventSchema.index({ categoria: 1 }); // Para filtros por categoría
+eventSchema.index({ estado: 1, createdAt: 1 }); // Para la cola de moderación
+eventSchema.index({ eliminadoEn: 1 }, { sparse: true }); // Para la purga de eventos eliminados
+eventSchema.index({ 'recurrencia.finSerie': 1 }, { sparse: true }); // Para series activas en una ventana
+eventSchema.index({ archivadoEn: 1, timestamp: -1 }); // Para el archivo de eventos celebrados
+eventSchema.index(
+  { nombre: 'text', descripcion: 'text', lugar: 'text' },
+  {
+    name: 'event_text',
+    default_language: 'spanish',
+    weights: { nombre: 10, lugar: 3, descripcion: 1 }
+  }
+); // Para búsqueda de texto libre
+
+// Radio de búsqueda por defecto y máximo (en kilómetros)
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+
+// Campos de ordenación calculados en la consulta
+const SORT_FIELDS = {
+  distance: 'distance',
+  relevance: 'score'
+};
+
+/**
+ * Obtiene una página de eventos con paginación por cursor. Admite búsqueda de
+ * texto libre (orden por relevancia) o por cercanía (orden por distancia).
+ * Si se indica una ventana, los eventos recurrentes incluyen sus ocurrencias.
+ * @param {Object} options - { filter, text, near, sort, order, cursor, limit, window }
+ * @returns {Promise<Object>} - { events, nextCursor }
+ */
+eventSchema.statics.findPage = async function({
+  filter = {},
+  text = null,
+  near = null,
+  sort = 'timestamp',
+  order = 1,
+  cursor = null,
+  limit = 20,
+  window = null
+} = {}) {
+  const pipeline = [];
+
+  if (near) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.lon, near.lat] },
+        distanceField: 'distance',
+        maxDistance: near.radiusKm * 1000, // metros
+        spherical: true,
+        query: filter
+      }
+    });
+  } else if (text) {
+    pipeline.push(
+      { $match: { $text: { $search: text }, ...filter } },
+      { $addFields: { score: { $meta: 'textScore' } } }
+    );
+  } else {
+    pipeline.push({ $match: filter });
+  }
+
+  const field = SORT_FIELDS[sort] || sort;
+  if (cursor) {
+    pipeline.push({ $match: cursorFilter(field, order, cursor) });
+  }
+  pipeline.push(
+    { $sort: { [field]: order, _id: order } },
+    { $limit: limit + 1 } // Un elemento extra para saber si hay más páginas
+  );
+
+  const results = await this.aggregate(pipeline);
+  const page = results.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const events = page.map(result => {
+    const { distance, score, ...doc } = result;
+    const hydrated = this.hydrate(doc);
+    const event = hydrated.toJSON();
+    if (window && hydrated.recurrencia) {
+      event.ocurrencias = hydrated.getOccurrences(window.from, window.to);
+    }
+    if (distance !== undefined) event.distanceKm = Math.round(distance) / 1000;
+    if (score !== undefined) event.relevancia = score;
+    return event;
+  });
+
+  return {
+    events: events,
+    nextCursor: results.length > limit ? encodeCursor(sort, order, last[field], last._id) : null
+  };
+};
+
+/**
+ * Calcula el resumen de facetas (eventos por categoría y por tramo de precio).
+ * Cada faceta ignora su propio filtro para que el frontend pueda mostrar
+ * cuántos resultados obtendría al cambiar de opción.
+ * @param {Object} options - { base, categoria, precio, text, near }
+ * @returns {Promise<Object>} - { categorias, precios }
+ */
+eventSchema.statics.getFacets = async function({ base = {}, categoria = {}, precio = {}, text, near } = {}) {
+  const firstStage = near
+    ? {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [near.lon, near.lat] },
+          distanceField: 'distance',
+          maxDistance: near.radiusKm * 1000,
+          spherical: true,
+          query: base
+        }
+      }
+    : { $match: text ? { $text: { $search: text }, ...base } : base };
+
+  const bandBranches = PRICE_BANDS
+    .filter(band => band.max !== Infinity)
+    .map(band => ({ case: { $lte: ['$precio', band.max] }, then: band.id }));
+
+  const [result] = await this.aggregate([
+    firstStage,
+    {
+      $facet: {
+        categorias: [
+          { $match: precio },
+          { $group: { _id: '$categoria', count: { $sum: 1 } } }
+        ],
+        precios: [
+          { $match: categoria },
+          {
+            $group: {
+              _id: { $switch: { branches: bandBranches, default: PRICE_BANDS[PRICE_BANDS.length - 1].id } },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toCounts = (keys, items) => {
+    const counts = Object.fromEntries(keys.map(key => [key, 0]));
+    items.forEach(item => { counts[item._id] = item.count; });
+    return counts;
+  };
+
+  return {
+    categorias: toCounts(CATEGORIAS, result.categorias),
+    precios: toCounts(PRICE_BANDS.map(band => band.id), result.precios)
+  };
+};
+
+/**
+ * Expande las ocurrencias del evento dentro de una ventana temporal,
+ * aplicando excepciones y modificaciones puntuales
+ * @param {Date} from - Inicio de la ventana
+ * @param {Date} to - Fin de la ventana
+ * @param {number} limit - Número máximo de ocurrencias
+ * @returns {Array<Object>} - Ocurrencias ({ fechaOriginal, timestamp, nombre, lugar, ... })
+ */
+eventSchema.methods.getOccurrences = function(from, to, limit = 100) {
+  const timeZone = this.zonaHoraria || DEFAULT_TIMEZONE;
+  const durationMs = this.fin ? this.fin - this.timestamp : null;
+  const base = {
+    nombre: this.nombre,
+    lugar: this.lugar,
+    lat: this.lat,
+    lon: this.lon,
+    descripcion: this.descripcion
+  };
+
+  // Cada ocurrencia mantiene la duración del evento original
+  const withTimes = (occurrence) => {
+    const fin = durationMs !== null ? new Date(occurrence.timestamp.getTime() + durationMs) : null;
+    return {
+      ...occurrence,
+      fin: fin,
+      horaLocal: {
+        zonaHoraria: timeZone,
+        inicio: toLocalISOString(occurrence.timestamp, timeZone),
+        fin: toLocalISOString(fin, timeZone)
+      }
+    };
+  };
+
+  if (!this.recurrencia) {
+    const inWindow = this.timestamp >= from && this.timestamp <= to;
+    return inWindow
+      ? [withTimes({ fechaOriginal: this.timestamp, timestamp: this.timestamp, ...base, modificada: false })]
+      : [];
+  }
+
+  const overrides = new Map(
+    this.modificaciones.map(mod => [mod.fechaOriginal.getTime(), mod])
+  );
+
+  return expandDates(this.timestamp, this.recurrencia, from, to, limit, timeZone).map(date => {
+    const override = overrides.get(date.getTime());
+    const changes = {};
+    if (override) {
+      ['timestamp', 'nombre', 'lugar', 'lat', 'lon', 'descripcion'].forEach(field => {
+        if (override[field] !== undefined && override[field] !== null) changes[field] = override[field];
+      });
+    }
+
+    return withTimes({
+      fechaOriginal: date,
+      timestamp: date,
+      ...base,
+      ...changes,
+      modificada: !!override
+    });
+  });
+};
+
+// Método para obtener la siguiente ocurrencia a partir de una fecha
+eventSchema.methods.getNextOccurrence = function(after = new Date()) {
+  if (!this.recurrencia) {
+    return this.timestamp >= after ? this.timestamp : null;
+  }
+  const end = this.recurrencia.finSerie || new Date(after.getTime() + 5 * 365 * 24 * 60 * 60 * 1000);
+  const [next] = expandDates(this.timestamp, this.recurrencia, after, end, 1, this.zonaHoraria || DEFAULT_TIMEZONE);
+  return next || null;
+};
+
+// Método para comprobar si una fecha es una ocurrencia (no cancelada) de la serie
+eventSchema.methods.isOccurrence = function(date) {
+  if (!this.recurrencia) {
+    return this.timestamp.getTime() === date.getTime();
+  }
+  const cancelled = this.recurrencia.excepciones.some(exception => exception.getTime() === date.getTime());
+  return !cancelled && isSeriesDate(this.timestamp, this.recurrencia, date, this.zonaHoraria || DEFAULT_TIMEZONE);
+};
+
+/**
+ * Cambia el estado del evento y lo registra en el historial (no guarda el documento)
+ * @param {string} estado - Nuevo estado
+ * @param {Object} options - { usuario, motivo }
+ */
+eventSchema.methods.setStatus = function(estado, { usuario, motivo = '', ...extra } = {}) {
+  this.historialEstados.push({
+    estado: estado,
+    anterior: this.isNew ? null : this.estado,
+    usuario: usuario,
+    motivo: motivo,
+    ...extra
+  });
+  this.estado = estado;
+};
+
+// Método para obtener el rol de un usuario en el evento ('owner', 'editor', 'checkin' o null)
+eventSchema.methods.getRoleFor = function(email) {
+  if (!email) return null;
+  if (this.organizador === email) return 'owner';
+  const collaborator = this.colaboradores.find(c => c.usuario === email);
+  return collaborator ? collaborator.rol : null;
+};
+
+// Método para comprobar si un usuario puede realizar una acción sobre el evento
+eventSchema.methods.can = function(email, action) {
+  const role = this.getRoleFor(email);
+  return !!role && (EVENT_PERMISSIONS[action] || []).includes(role);
+};
+
+/**
+ * Transfiere la propiedad a un colaborador; el propietario anterior pasa a ser editor
+ * (no guarda el documento)
+ * @param {string} email - Email del nuevo propietario (debe ser colaborador)
+ * @returns {boolean} - false si el email no es colaborador del evento
+ */
+eventSchema.methods.transferOwnership = function(email) {
+  const collaborator = this.colaboradores.find(c => c.usuario === email);
+  if (!collaborator) return false;
+
+  const previousOwner = this.organizador;
+  this.colaboradores = this.colaboradores.filter(c => c.usuario !== email);
+  this.colaboradores.push({ usuario: previousOwner, rol: 'editor', asignadoPor: email });
+  this.organizador = email;
+  return true;
+};
+
+// Filtro de los eventos en los que participa un usuario como propietario o colaborador
+eventSchema.statics.managedByFilter = function(email) {
+  return { $or: [{ organizador: email }, { 'colaboradores.usuario': email }] };
+};
+
+// Método para comprobar si el evento es visible para cualquier usuario
+eventSchema.methods.isPublic = function() {
+  return ESTADOS_VISIBLES.includes(this.estado);
+};
+
+// Método para comprobar si el evento ya se ha celebrado (equivalente a Event.heldFilter)
+eventSchema.methods.isPast = function(now = new Date()) {
+  if (this.recurrencia) {
+    return !!this.recurrencia.finSerie && this.recurrencia.finSerie < now;
+  }
+  return (this.fin || this.timestamp) < now;
+};
+
+// Método para obtener la imagen de portada de la galería
+eventSchema.methods.getCover = function() {
+  return this.imagenes.find(image => image.portada) || this.imagenes[0] || null;
+};
+
+// Método para incorporar a la galería la imagen de los eventos anteriores a las galerías (solo guardaban la URL)
+eventSchema.methods.adoptLegacyImage = function() {
+  if (!this.imagen || this.imagenes.length > 0) return;
+
+  const publicId = getPublicIdFromUrl(this.imagen);
+  if (publicId) {
+    this.imagenes.push({ url: this.imagen, publicId: publicId, portada: true });
+  }
+};
+
+// Método para obtener las imágenes guardadas del evento ({ publicId, almacen })
+eventSchema.methods.getStoredImages = function() {
+  if (this.imagenes.length > 0) {
+    return this.imagenes.map(image => ({ publicId: image.publicId, almacen: image.almacen }));
+  }
+  const legacy = getPublicIdFromUrl(this.imagen);
+  return legacy ? [{ publicId: legacy, almacen: 'cloudinary' }] : [];
+};
+
+// Método para comprobar si el evento admite inscripciones
+eventSchema.methods.isOpen = function() {
+  return this.estado === 'publicado';
+};
+
+/**
+ * Cancela el evento manteniéndolo visible con el motivo (no guarda el documento)
+ * @param {string} usuario - Email de quien cancela
+ * @param {string} motivo - Motivo de la cancelación
+ */
+eventSchema.methods.cancel = function(usuario, motivo) {
+  this.setStatus('cancelado', { usuario, motivo });
+  this.aviso = { tipo: 'cancelado', motivo: motivo };
+};
+
+/**
+ * Aplaza el evento. Con nueva fecha el evento vuelve a estar publicado en esa fecha
+ * (conservando la duración); sin ella queda aplazado hasta que se confirme
+ * (no guarda el documento)
+ * @param {string} usuario - Email de quien aplaza
+ * @param {string} motivo - Motivo del aplazamiento
+ * @param {Date|null} nuevaFecha - Nueva fecha de inicio
+ * @param {Date|null} nuevoFin - Nueva fecha de fin (opcional)
+ */
+eventSchema.methods.postpone = function(usuario, motivo, nuevaFecha = null, nuevoFin = undefined) {
+  const fechaAnterior = this.timestamp;
+
+  if (nuevaFecha) {
+    const durationMs = this.fin ? this.fin - this.timestamp : null;
+    this.timestamp = nuevaFecha;
+    if (nuevoFin !== undefined) {
+      this.fin = nuevoFin;
+    } else if (durationMs !== null) {
+      this.fin = new Date(nuevaFecha.getTime() + durationMs);
+    }
+  }
+
+  this.setStatus(nuevaFecha ? 'publicado' : 'aplazado', {
+    usuario,
+    motivo,
+    fechaAnterior: fechaAnterior,
+    nuevaFecha: nuevaFecha || undefined
+  });
+  this.aviso = { tipo: 'aplazado', motivo: motivo, fechaAnterior: fechaAnterior, nuevaFecha: nuevaFecha };
+};
+
+// Método para el borrado lógico (no guarda el documento)
+eventSchema.methods.softDelete = function(usuario) {
+  this.eliminadoEn = new Date();
+  this.eliminadoPor = usuario;
+};
+
+// Método para comprobar si un evento eliminado aún puede restaurarse
+eventSchema.methods.canRestore = function(now = new Date()) {
+  return !!this.eliminadoEn &&
+    now - this.eliminadoEn <= RESTORE_DAYS * 24 * 60 * 60 * 1000;
+};
 
-// Método estático para buscar eventos cercanos
-eventSchema.statics.findNearby = function(lat, lon, maxDistance = 0.2) {
+// Método para restaurar un evento eliminado (no guarda el documento)
+eventSchema.methods.restore = function() {
+  this.eliminadoEn = null;
+  this.eliminadoPor = null;
+};
+
+// Método estático para obtener los eventos eliminados cuyo plazo de restauración ha vencido
+eventSchema.statics.findExpiredDeleted = function(now = new Date()) {
   return this.find({
-    lat: { 
-      $gte: lat - maxDistance, 
-      $lte: lat + maxDistance 
+    eliminadoEn: { $ne: null, $lte: new Date(now.getTime() - RESTORE_DAYS * 24 * 60 * 60 * 1000) }
+  });
+};
+
+// Método para calcular la distancia en kilómetros entre dos puntos (fórmula de Haversine)
+eventSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const deltaLat = toRad(lat2 - lat1);
+  const deltaLon = toRad(lon2 - lon1);
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(deltaLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Método estático para rellenar location en documentos antiguos que solo tienen lat/lon
+eventSchema.statics.backfillLocations = function() {
+  return this.updateMany(
+    {
+      'location.coordinates': { $exists: false },
+      lat: { $type: 'number' },
+      lon: { $type: 'number' }
     },
-    lon: { 
-      $gte: lon - maxDistance, 
-      $lte: lon + maxDistance 
+    [
+      {
+        $set: {
+          location: { type: 'Point', coordinates: ['$lon', '$lat'] }
+        }
+      }
+    ]
+  );
+};
+
+/**
+ * Asigna un espacio al evento copiando su ubicación (no guarda el documento)
+ * @param {Object} venue - Documento del espacio
+ */
+eventSchema.methods.setVenue = function(venue) {
+  this.venue = venue._id;
+  Object.assign(this, venue.toEventLocation());
+};
+
+// Método estático para propagar el cambio de dirección de un espacio a sus eventos pendientes
+eventSchema.statics.syncVenueLocation = function(venue) {
+  const location = venue.toEventLocation();
+  const now = new Date();
+
+  return this.updateMany(
+    {
+      venue: venue._id,
+      $or: [
+        { timestamp: { $gte: now } },
+        { 'recurrencia.frecuencia': { $exists: true }, 'recurrencia.finSerie': { $not: { $lt: now } } }
+      ]
     },
-    timestamp: { $gte: new Date() } // Solo eventos futuros
-  }).sort({ timestamp: 1 });
+    {
+      $set: {
+        ...location,
+        location: { type: 'Point', coordinates: [location.lon, location.lat] }
+      }
+    }
+  );
 };
 
-// Método para calcular la distancia entre dos puntos (fórmula de Haversine simplificada)
-eventSchema.statics.calculateDistance = function(lat1, lon1, lat2, lon2) {
-  const deltaLat = Math.abs(lat1 - lat2);
-  const deltaLon = Math.abs(lon1 - lon2);
-  return Math.sqrt(deltaLat * deltaLat + deltaLon * deltaLon);
+// Filtro de los eventos ya celebrados: han terminado (o, si son series, ha pasado su última fecha)
+eventSchema.statics.heldFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { recurrencia: null, $expr: { $lt: [{ $ifNull: ['$fin', '$timestamp'] }, now] } },
+      { 'recurrencia.finSerie': { $lt: now } }
+    ]
+  };
+};
+
+// Método estático para archivar los eventos ya celebrados
+eventSchema.statics.archivePast = function(now = new Date()) {
+  return this.updateMany(
+    { archivadoEn: null, eliminadoEn: null, ...this.heldFilter(now) },
+    { $set: { archivadoEn: now } }
+  );
 };
 
+// Método estático para marcar como publicados los eventos anteriores al flujo de moderación
+eventSchema.statics.backfillStatus = function() {
+  return this.updateMany(
+    { estado: { $exists: false } },
+    { $set: { estado: 'publicado' } }
+  );
+};
+
+// Las consultas excluyen los eventos eliminados salvo que filtren explícitamente por
+// eliminadoEn o usen la opción { withDeleted: true }
+eventSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function(next) {
+  if (!this.getOptions().withDeleted && !('eliminadoEn' in this.getFilter())) {
+    this.where({ eliminadoEn: null });
+  }
+  next();
+});
+
+eventSchema.pre('aggregate', function(next) {
+  if (this.options.withDeleted) return next();
+
+  // $geoNear y $match con $text deben ser la primera etapa: el filtro se añade a ella
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  if (first && first.$geoNear) {
+    const query = first.$geoNear.query || {};
+    if (!('eliminadoEn' in query)) first.$geoNear.query = { ...query, eliminadoEn: null };
+  } else if (first && first.$match) {
+    if (!('eliminadoEn' in first.$match)) first.$match = { ...first.$match, eliminadoEn: null };
+  } else {
+    pipeline.unshift({ $match: { eliminadoEn: null } });
+  }
+  next();
+});
+
+// Middleware pre-validate para mantener location sincronizado con lat/lon
+eventSchema.pre('validate', function(next) {
+  const hasLocation = this.location && this.location.coordinates && this.location.coordinates.length === 2;
+  const coordsChanged = this.isNew || this.isModified('lat') || this.isModified('lon') || !hasLocation;
+
+  if (coordsChanged && typeof this.lat === 'number' && typeof this.lon === 'number') {
+    this.location = { type: 'Point', coordinates: [this.lon, this.lat] };
+  }
+  next();
+});
+
+// Middleware pre-validate para mantener una única portada y sincronizar su URL en `imagen`
+eventSchema.pre('validate', function(next) {
+  if (!this.isModified('imagenes')) return next();
+
+  const cover = this.getCover();
+  this.imagenes.forEach(image => {
+    image.portada = image === cover;
+  });
+  this.imagen = cover ? cover.url : null;
+  next();
+});
+
+// Middleware pre-validate para comprobar que el final es posterior al inicio
+eventSchema.pre('validate', function(next) {
+  if (this.fin && this.timestamp && this.fin <= this.timestamp) {
+    this.invalidate('fin', 'La fecha de fin debe ser posterior a la de inicio');
+  }
+  next();
+});
+
+// Middleware pre-validate para validar la regla de recurrencia y calcular el fin de la serie
+eventSchema.pre('validate', function(next) {
+  const rule = this.recurrencia;
+  if (!rule) return next();
+
+  if (rule.hasta && rule.repeticiones) {
+    this.invalidate('recurrencia', 'La recurrencia no puede tener a la vez fecha límite y número de repeticiones');
+  }
+  if (rule.diasSemana.length > 0 && !['DAILY', 'WEEKLY'].includes(rule.frecuencia)) {
+    this.invalidate('recurrencia.diasSemana', 'Los días de la semana solo se admiten en recurrencias diarias o semanales');
+  }
+  if (rule.hasta && this.timestamp && rule.hasta < this.timestamp) {
+    this.invalidate('recurrencia.hasta', 'La fecha límite de la recurrencia debe ser posterior al inicio del evento');
+  }
+
+  rule.finSerie = getSeriesEnd(this.timestamp, rule, this.zonaHoraria || DEFAULT_TIMEZONE);
+  next();
+});
+
+// Recordar si el evento ya se había celebrado al cargarlo (las ediciones posteriores no exigen fecha futura)
+eventSchema.post('init', function() {
+  this.$locals.celebrado = this.isPast();
+});
+
+// Middleware pre-save para sacar del archivo los eventos que vuelven a tener fechas pendientes
+eventSchema.pre('save', function(next) {
+  if (this.archivadoEn && !this.isPast()) {
+    this.archivadoEn = null;
+  }
+  next();
+});
+
 // Middleware pre-save para validaciones adicionales
 eventSchema.pre('save', function(next) {
   // Asegurar que la fecha no sea pasada al crear
@@ -127,4 +1044,17 @@ eventSchema.pre('save', function(next) {
   }
 });
 
-module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
+const Event = mongoose.model('Event', eventSchema);
+
+Event.CATEGORIAS = CATEGORIAS;
+Event.ESTADOS = ESTADOS;
+Event.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+Event.EVENT_PERMISSIONS = EVENT_PERMISSIONS;
+Event.ESTADOS_VISIBLES = ESTADOS_VISIBLES;
+Event.RESTORE_DAYS = RESTORE_DAYS;
+Event.MAX_IMAGES = MAX_IMAGES;
+Event.PRICE_BANDS = PRICE_BANDS;
+Event.DEFAULT_RADIUS_KM = DEFAULT_RADIUS_KM;
+Event.MAX_RADIUS_KM = MAX_RADIUS_KM;
+
+module.exports = Event;
\ No newline at end of file
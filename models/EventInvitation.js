@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Días de validez de una invitación a colaborar
+const INVITATION_TTL_DAYS = 14;
+
+const eventInvitationSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'El evento es obligatorio']
+  },
+  email: {
+    type: String,
+    required: [true, 'El email del invitado es obligatorio'],
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(email) {
+        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
+      },
+      message: 'Email inválido'
+    }
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: ['editor', 'checkin'],
+      message: 'Rol no válido. Valores permitidos: editor, checkin'
+    },
+    required: [true, 'El rol es obligatorio']
+  },
+  invitadoPor: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aceptada', 'rechazada'],
+    default: 'pendiente'
+  },
+  caducidad: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+eventInvitationSchema.index(
+  { evento: 1, email: 1 },
+  { unique: true, partialFilterExpression: { estado: 'pendiente' } }
+); // Una invitación pendiente por evento y email
+eventInvitationSchema.index({ email: 1, estado: 1 }); // Para las invitaciones recibidas
+eventInvitationSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // MongoDB elimina las caducadas
+
+// Método estático para obtener las invitaciones pendientes (no caducadas) de un usuario
+eventInvitationSchema.statics.findPendingFor = function(email) {
+  return this.find({
+    email: email,
+    estado: 'pendiente',
+    caducidad: { $gt: new Date() }
+  })
+    .populate('evento', 'nombre timestamp lugar organizador imagen')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Resuelve una invitación pendiente del usuario de forma atómica
+ * @param {string} id - ID de la invitación
+ * @param {string} email - Email del usuario invitado
+ * @param {string} estado - 'aceptada' | 'rechazada'
+ * @returns {Promise<Object|null>} - Invitación actualizada o null si no existe
+ */
+eventInvitationSchema.statics.respond = function(id, email, estado) {
+  return this.findOneAndUpdate(
+    { _id: id, email: email, estado: 'pendiente', caducidad: { $gt: new Date() } },
+    { estado: estado },
+    { new: true }
+  );
+};
+
+/**
+ * Devuelve a pendiente una invitación aceptada cuya aceptación no se ha podido aplicar al evento.
+ * Si entretanto se ha enviado otra invitación pendiente, se conserva esa (solo puede haber una)
+ * @param {string} id - ID de la invitación
+ * @returns {Promise<void>}
+ */
+eventInvitationSchema.statics.reopen = async function(id) {
+  try {
+    await this.updateOne({ _id: id, estado: 'aceptada' }, { estado: 'pendiente' });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+module.exports = mongoose.model('EventInvitation', eventInvitationSchema);
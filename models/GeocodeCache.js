@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const geocodeCacheSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: ['directo', 'inverso'],
+    required: true
+  },
+  clave: {
+    type: String,
+    required: [true, 'La clave de la consulta es obligatoria']
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  lat: {
+    type: Number,
+    required: true
+  },
+  lon: {
+    type: Number,
+    required: true
+  },
+  formatted: {
+    type: String,
+    default: ''
+  },
+  caducidad: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para optimizar las consultas
+geocodeCacheSchema.index({ tipo: 1, clave: 1 }, { unique: true }); // Una entrada por consulta
+geocodeCacheSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // MongoDB elimina las entradas caducadas
+
+// Normaliza direcciones y coordenadas para usarlas como clave de caché. La clave incluye el
+// proveedor para no servir resultados del geocoder local como reales al cambiar de proveedor
+geocodeCacheSchema.statics.buildKey = function(tipo, value, provider) {
+  if (tipo === 'inverso') {
+    // ~11 m de precisión: clics cercanos en el mapa comparten entrada
+    return `${provider}:${value.lat.toFixed(4)},${value.lon.toFixed(4)}`;
+  }
+  return `${provider}:${String(value).trim().toLowerCase().replace(/\s+/g, ' ')}`;
+};
+
+// Método estático para obtener una entrada vigente
+geocodeCacheSchema.statics.lookup = function(tipo, clave) {
+  return this.findOne({
+    tipo: tipo,
+    clave: clave,
+    caducidad: { $gt: new Date() }
+  });
+};
+
+// Método estático para guardar (o refrescar) una entrada
+geocodeCacheSchema.statics.store = function(tipo, clave, provider, result, ttlMs) {
+  return this.findOneAndUpdate(
+    { tipo: tipo, clave: clave },
+    {
+      provider: provider,
+      lat: result.lat,
+      lon: result.lon,
+      formatted: result.formatted || '',
+      caducidad: new Date(Date.now() + ttlMs)
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
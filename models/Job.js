@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// Estados de un trabajo en segundo plano
+const ESTADOS = ['pendiente', 'ejecutando', 'completado', 'fallido'];
+
+// Días que se conservan los trabajos puntuales terminados
+const RETENTION_DAYS = 7;
+
+const jobSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: true
+  },
+  // Clave única de los trabajos periódicos (un documento por trabajo que se reprograma tras cada ejecución)
+  clave: {
+    type: String,
+    default: undefined
+  },
+  datos: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS,
+    default: 'pendiente'
+  },
+  ejecutarEn: {
+    type: Date,
+    default: Date.now
+  },
+  // Intervalo de repetición en milisegundos (solo trabajos periódicos)
+  intervalo: {
+    type: Number,
+    default: null
+  },
+  intentos: {
+    type: Number,
+    default: 0
+  },
+  maxIntentos: {
+    type: Number,
+    default: 3
+  },
+  // Bloqueo: instancia que ejecuta el trabajo y hasta cuándo se considera vivo
+  bloqueadoPor: {
+    type: String,
+    default: null
+  },
+  bloqueadoHasta: {
+    type: Date,
+    default: null
+  },
+  ultimoError: {
+    type: String,
+    default: null
+  },
+  resultado: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  iniciadoEn: {
+    type: Date,
+    default: null
+  },
+  finalizadoEn: {
+    type: Date,
+    default: null
+  },
+  duracionMs: {
+    type: Number,
+    default: null
+  },
+  caducidad: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.caducidad;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+jobSchema.index({ estado: 1, ejecutarEn: 1 }); // Para obtener el siguiente trabajo pendiente
+jobSchema.index({ estado: 1, bloqueadoHasta: 1 }); // Para recuperar trabajos de instancias caídas
+jobSchema.index({ clave: 1 }, { unique: true, partialFilterExpression: { clave: { $type: 'string' } } });
+jobSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+/**
+ * Reserva el siguiente trabajo listo para ejecutarse. La actualización es atómica,
+ * de modo que con varias instancias cada trabajo solo lo ejecuta una.
+ * También recupera los trabajos cuyo bloqueo venció (la instancia que los ejecutaba cayó).
+ * @param {string} workerId - Identificador de la instancia
+ * @param {Array<string>} names - Trabajos que sabe ejecutar esta instancia
+ * @param {number} lockMs - Duración del bloqueo
+ * @returns {Promise<Object|null>} - Trabajo reservado o null si no hay ninguno
+ */
+jobSchema.statics.claimNext = function(workerId, names, lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      nombre: { $in: names },
+      $or: [
+        { estado: 'pendiente', ejecutarEn: { $lte: now } },
+        { estado: 'ejecutando', bloqueadoHasta: { $lt: now } }
+      ]
+    },
+    {
+      estado: 'ejecutando',
+      bloqueadoPor: workerId,
+      bloqueadoHasta: new Date(now.getTime() + lockMs),
+      iniciadoEn: now,
+      $inc: { intentos: 1 }
+    },
+    { sort: { ejecutarEn: 1 }, new: true }
+  );
+};
+
+// Método para registrar el final de una ejecución correcta (los periódicos se reprograman)
+jobSchema.methods.complete = function(resultado) {
+  const now = new Date();
+  const update = {
+    resultado: resultado === undefined ? null : resultado,
+    ultimoError: null,
+    finalizadoEn: now,
+    duracionMs: now - this.iniciadoEn,
+    bloqueadoPor: null,
+    bloqueadoHasta: null
+  };
+
+  if (this.intervalo) {
+    Object.assign(update, { estado: 'pendiente', intentos: 0, ejecutarEn: new Date(now.getTime() + this.intervalo) });
+  } else {
+    Object.assign(update, { estado: 'completado', caducidad: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000) });
+  }
+
+  // Solo si la instancia sigue teniendo el bloqueo
+  return this.constructor.updateOne({ _id: this._id, bloqueadoPor: this.bloqueadoPor }, update);
+};
+
+/**
+ * Registra un fallo. Se reintenta con espera exponencial hasta agotar los intentos;
+ * entonces el trabajo puntual queda fallido y el periódico espera a su siguiente ejecución.
+ * @param {Error} error - Error producido
+ * @param {number} backoffMs - Espera base entre reintentos
+ */
+jobSchema.methods.fail = function(error, backoffMs) {
+  const now = new Date();
+  const update = {
+    ultimoError: String(error && error.message ? error.message : error).slice(0, 1000),
+    finalizadoEn: now,
+    duracionMs: now - this.iniciadoEn,
+    bloqueadoPor: null,
+    bloqueadoHasta: null
+  };
+
+  if (this.intentos < this.maxIntentos) {
+    const delay = Math.min(backoffMs * Math.pow(2, this.intentos - 1), 60 * 60 * 1000);
+    Object.assign(update, { estado: 'pendiente', ejecutarEn: new Date(now.getTime() + delay) });
+  } else if (this.intervalo) {
+    Object.assign(update, { estado: 'pendiente', intentos: 0, ejecutarEn: new Date(now.getTime() + this.intervalo) });
+  } else {
+    Object.assign(update, { estado: 'fallido', caducidad: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000) });
+  }
+
+  return this.constructor.updateOne({ _id: this._id, bloqueadoPor: this.bloqueadoPor }, update);
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+Job.ESTADOS = ESTADOS;
+
+module.exports = Job;
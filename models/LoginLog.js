@@ -33,7 +33,7 @@ const loginLogSchema = new mongoose.Schema({
   },
   provider: {
     type: String,
-    enum: ['google', 'facebook', 'local'],
+    enum: ['google', 'facebook', 'github', 'oidc', 'local'],
     default: 'google',
     required: true
   },
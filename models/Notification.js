@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Tipos de notificación
+const TIPOS = ['evento_modificado', 'evento_aplazado', 'evento_cancelado', 'evento_eliminado', 'recordatorio', 'prueba'];
+
+// Días que se conservan las notificaciones en la bandeja de entrada
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+const notificationSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  tipo: {
+    type: String,
+    enum: TIPOS,
+    required: true
+  },
+  titulo: {
+    type: String,
+    required: true
+  },
+  mensaje: {
+    type: String,
+    default: ''
+  },
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  // Datos adicionales (p. ej. los cambios de fecha o lugar)
+  datos: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  leida: {
+    type: Boolean,
+    default: false
+  },
+  leidaEn: {
+    type: Date,
+    default: null
+  },
+  caducidad: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.caducidad;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+notificationSchema.index({ usuario: 1, createdAt: -1 }); // Para la bandeja de entrada
+notificationSchema.index({ usuario: 1, leida: 1 }); // Para el contador de no leídas
+notificationSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+// Método estático para marcar como leídas las notificaciones de un usuario
+notificationSchema.statics.markRead = function(email, filter = {}) {
+  return this.updateMany(
+    { ...filter, usuario: email, leida: false },
+    { leida: true, leidaEn: new Date() }
+  );
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TIPOS = TIPOS;
+
+module.exports = Notification;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { checkPublicUrl } = require('../utils/publicAddress');
+
+// Canales de notificación
+const CANALES = ['email', 'inapp', 'webhook'];
+
+// Categoría de preferencias de cada tipo de notificación (las pruebas siempre se envían)
+const CATEGORIAS = {
+  evento_modificado: 'cambios',
+  evento_aplazado: 'cambios',
+  evento_cancelado: 'cambios',
+  evento_eliminado: 'cambios',
+  recordatorio: 'recordatorios'
+};
+
+const generateSecret = () => crypto.randomBytes(24).toString('base64url');
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: true,
+    lowercase: true,
+    unique: true
+  },
+  canales: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    inapp: {
+      type: Boolean,
+      default: true
+    },
+    webhook: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Qué notificaciones se reciben
+  tipos: {
+    cambios: {
+      type: Boolean,
+      default: true
+    },
+    recordatorios: {
+      type: Boolean,
+      default: true
+    }
+  },
+  webhookUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: [
+      {
+        validator: function(url) {
+          if (!url) return true;
+          // En producción solo se admiten webhooks HTTPS
+          return process.env.NODE_ENV === 'production' ? /^https:\/\//.test(url) : /^https?:\/\//.test(url);
+        },
+        message: 'La URL del webhook no es válida'
+      },
+      {
+        // El servidor del webhook debe ser público: no se admiten loopback, enlace local ni redes privadas
+        validator: async function(url) {
+          if (!url || !this.isModified('webhookUrl')) return true;
+          const error = await checkPublicUrl(url);
+          if (error) {
+            throw new Error(`La URL del webhook no es válida: ${error}`);
+          }
+          return true;
+        }
+      }
+    ]
+  },
+  // Secreto con el que se firman las notificaciones enviadas al webhook
+  webhookSecret: {
+    type: String,
+    default: generateSecret
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Middleware pre-validate: el canal webhook necesita una URL
+notificationPreferenceSchema.pre('validate', function(next) {
+  if (this.canales.webhook && !this.webhookUrl) {
+    this.invalidate('webhookUrl', 'Indica la URL del webhook para activar ese canal');
+  }
+  next();
+});
+
+// Método para comprobar si el usuario quiere recibir un tipo de notificación
+notificationPreferenceSchema.methods.wants = function(tipo) {
+  const categoria = CATEGORIAS[tipo];
+  return !categoria || this.tipos[categoria] !== false;
+};
+
+// Método para obtener los canales activos
+notificationPreferenceSchema.methods.getChannels = function() {
+  return CANALES.filter(canal => this.canales[canal]);
+};
+
+// Método para generar un nuevo secreto de firma del webhook
+notificationPreferenceSchema.methods.rotateWebhookSecret = function() {
+  this.webhookSecret = generateSecret();
+};
+
+/**
+ * Obtiene las preferencias de varios usuarios. Quien no las ha configurado
+ * recibe las de por defecto (documento sin guardar).
+ * @param {Array<string>} emails - Emails de los usuarios
+ * @returns {Promise<Map>} - email → preferencias
+ */
+notificationPreferenceSchema.statics.getForUsers = async function(emails) {
+  const saved = await this.find({ usuario: { $in: emails } });
+  const preferences = new Map(saved.map(pref => [pref.usuario, pref]));
+
+  emails.forEach(email => {
+    if (!preferences.has(email)) {
+      preferences.set(email, new this({ usuario: email }));
+    }
+  });
+
+  return preferences;
+};
+
+// Método estático para obtener (o crear) las preferencias de un usuario
+notificationPreferenceSchema.statics.findOrCreate = async function(email) {
+  const existing = await this.findOne({ usuario: email });
+  if (existing) return existing;
+
+  try {
+    return await this.create({ usuario: email });
+  } catch (error) {
+    // Creada entretanto por otra petición
+    if (error.code === 11000) return this.findOne({ usuario: email });
+    throw error;
+  }
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+NotificationPreference.CANALES = CANALES;
+
+module.exports = NotificationPreference;
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+
+// Estados de un pedido
+const ESTADOS = ['pendiente', 'pagado', 'caducado', 'cancelado', 'fallido', 'reembolsado'];
+
+// Minutos que se retienen las entradas mientras se completa el pago
+const HOLD_MINUTES = parseInt(process.env.ORDER_HOLD_MINUTES) || 15;
+
+const orderLineSchema = new mongoose.Schema({
+  tipoEntrada: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketType',
+    required: true
+  },
+  nombre: {
+    type: String,
+    required: true
+  },
+  precioUnitario: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cantidad: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'El evento es obligatorio']
+  },
+  usuario: {
+    type: String,
+    required: [true, 'El email del comprador es obligatorio'],
+    lowercase: true
+  },
+  nombre: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lineas: {
+    type: [orderLineSchema],
+    validate: {
+      validator: function(lineas) {
+        return lineas.length > 0;
+      },
+      message: 'El pedido debe incluir al menos una entrada'
+    }
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  moneda: {
+    type: String,
+    default: 'EUR'
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS,
+    default: 'pendiente'
+  },
+  // Fin de la retención de las entradas si no se completa el pago
+  caducidad: {
+    type: Date,
+    default: () => new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+  },
+  pago: {
+    proveedor: {
+      type: String,
+      default: null
+    },
+    referencia: {
+      type: String,
+      default: null
+    },
+    urlPago: {
+      type: String,
+      default: null
+    }
+  },
+  pagadoEn: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+orderSchema.index({ usuario: 1, createdAt: -1 }); // Para los pedidos de un usuario
+orderSchema.index({ evento: 1, estado: 1 }); // Para las ventas de un evento
+orderSchema.index({ estado: 1, caducidad: 1 }); // Para liberar las retenciones caducadas
+orderSchema.index({ 'pago.proveedor': 1, 'pago.referencia': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'pago.referencia': { $type: 'string' } }
+});
+
+// Número total de entradas del pedido
+orderSchema.methods.getTicketCount = function() {
+  return this.lineas.reduce((sum, line) => sum + line.cantidad, 0);
+};
+
+/**
+ * Crea un pedido reteniendo las entradas solicitadas. Si alguna no está disponible
+ * se liberan las ya retenidas. Las líneas repetidas de un mismo tipo se suman
+ * (el máximo por pedido se aplica al total de cada tipo).
+ * @param {Object} event - Documento del evento
+ * @param {Object} user - Usuario autenticado ({ email, name })
+ * @param {Array} items - [{ tipoEntrada, cantidad }]
+ * @returns {Promise<Object>} - { order } o { error, agotado }
+ */
+orderSchema.statics.reserve = async function(event, user, items) {
+  const TicketType = mongoose.model('TicketType');
+  const now = new Date();
+
+  const quantities = new Map();
+  for (const item of items) {
+    const id = String(item.tipoEntrada);
+    quantities.set(id, (quantities.get(id) || 0) + item.cantidad);
+  }
+  const merged = Array.from(quantities, ([tipoEntrada, cantidad]) => ({ tipoEntrada, cantidad }));
+
+  const types = await TicketType.find({ _id: { $in: merged.map(item => item.tipoEntrada) }, evento: event._id });
+  const lines = [];
+
+  for (const item of merged) {
+    const type = types.find(t => String(t._id) === String(item.tipoEntrada));
+    if (!type) {
+      return { error: 'Tipo de entrada no encontrado en este evento' };
+    }
+    if (!type.isOnSale(event, now)) {
+      return { error: `La entrada "${type.nombre}" no está a la venta` };
+    }
+    if (item.cantidad > type.maxPorPedido) {
+      return { error: `Máximo ${type.maxPorPedido} entradas "${type.nombre}" por pedido` };
+    }
+    lines.push({ tipoEntrada: type._id, nombre: type.nombre, precioUnitario: type.precio, cantidad: item.cantidad });
+  }
+
+  const held = [];
+  for (const line of lines) {
+    const type = await TicketType.hold(line.tipoEntrada, line.cantidad);
+    if (!type) {
+      for (const previous of held) {
+        await TicketType.release(previous.tipoEntrada, previous.cantidad);
+      }
+      return { error: `No quedan suficientes entradas "${line.nombre}"`, agotado: true };
+    }
+    held.push(line);
+  }
+
+  const total = Math.round(lines.reduce((sum, line) => sum + line.precioUnitario * line.cantidad, 0) * 100) / 100;
+
+  try {
+    const order = await this.create({
+      evento: event._id,
+      usuario: user.email,
+      nombre: user.name || '',
+      lineas: lines,
+      total: total,
+      moneda: types[0].moneda
+    });
+    return { order };
+  } catch (error) {
+    // Liberar las entradas retenidas si no se pudo crear el pedido
+    for (const line of held) {
+      await TicketType.release(line.tipoEntrada, line.cantidad);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cierra un pedido pendiente (caducado, cancelado o fallido) y libera sus entradas.
+ * La actualización está condicionada al estado para no liberar dos veces.
+ * @param {Object} order - Documento del pedido
+ * @param {string} estado - Nuevo estado
+ * @returns {Promise<Object|null>} - Pedido actualizado o null si ya no estaba pendiente
+ */
+orderSchema.statics.release = async function(order, estado) {
+  const TicketType = mongoose.model('TicketType');
+
+  const released = await this.findOneAndUpdate(
+    { _id: order._id, estado: 'pendiente' },
+    { estado: estado },
+    { new: true }
+  );
+  if (!released) return null;
+
+  for (const line of released.lineas) {
+    await TicketType.release(line.tipoEntrada, line.cantidad);
+  }
+  return released;
+};
+
+/**
+ * Marca como caducados los pedidos pendientes cuya retención ha vencido
+ * @param {Object} filter - Filtro adicional (p. ej. { evento })
+ * @returns {Promise<number>} - Número de pedidos caducados
+ */
+orderSchema.statics.releaseExpired = async function(filter = {}) {
+  const expired = await this.find({ ...filter, estado: 'pendiente', caducidad: { $lte: new Date() } });
+
+  let count = 0;
+  for (const order of expired) {
+    if (await this.release(order, 'caducado')) count++;
+  }
+  return count;
+};
+
+/**
+ * Confirma el pago de un pedido y emite sus entradas. Si el pedido ya había caducado
+ * se intenta vender de nuevo; si no quedan entradas el pago debe reembolsarse.
+ * @param {Object} order - Documento del pedido
+ * @returns {Promise<Object>} - { order, tickets } o { order, refund: true }
+ */
+orderSchema.statics.confirm = async function(order) {
+  const TicketType = mongoose.model('TicketType');
+  const Ticket = mongoose.model('Ticket');
+
+  if (order.estado === 'pagado') {
+    return { order, tickets: await Ticket.find({ pedido: order._id }) };
+  }
+
+  if (order.estado === 'pendiente') {
+    const paid = await this.findOneAndUpdate(
+      { _id: order._id, estado: 'pendiente' },
+      { estado: 'pagado', pagadoEn: new Date() },
+      { new: true }
+    );
+    if (!paid) {
+      // Otro proceso cambió el estado entretanto: reintentar con el estado actual
+      return this.confirm(await this.findById(order._id));
+    }
+    for (const line of paid.lineas) {
+      await TicketType.markSold(line.tipoEntrada, line.cantidad);
+    }
+    return { order: paid, tickets: await Ticket.issueForOrder(paid) };
+  }
+
+  if (['caducado', 'cancelado', 'fallido'].includes(order.estado)) {
+    // Reclamar el pedido antes de vender para que dos notificaciones simultáneas no vendan dos veces
+    const claimed = await this.findOneAndUpdate(
+      { _id: order._id, estado: order.estado },
+      { estado: 'pagado', pagadoEn: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return this.confirm(await this.findById(order._id));
+    }
+
+    const sold = [];
+    for (const line of claimed.lineas) {
+      if (!await TicketType.sellDirect(line.tipoEntrada, line.cantidad)) {
+        for (const previous of sold) {
+          await TicketType.updateOne({ _id: previous.tipoEntrada }, { $inc: { vendidas: -previous.cantidad } });
+        }
+        await this.updateOne({ _id: order._id }, { estado: order.estado, pagadoEn: null });
+        return { order, refund: true };
+      }
+      sold.push(line);
+    }
+
+    return { order: claimed, tickets: await Ticket.issueForOrder(claimed) };
+  }
+
+  // Pedido ya reembolsado: no se emiten entradas
+  return { order, tickets: [] };
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+Order.ESTADOS = ESTADOS;
+Order.HOLD_MINUTES = HOLD_MINUTES;
+
+module.exports = Order;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Roles dentro de una organización
+const MEMBER_ROLES = ['admin', 'miembro'];
+
+const memberSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: [true, 'El email del miembro es obligatorio'],
+    lowercase: true,
+    validate: {
+      validator: function(email) {
+        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
+      },
+      message: 'Email inválido'
+    }
+  },
+  rol: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: `Rol no válido. Valores permitidos: ${MEMBER_ROLES.join(', ')}`
+    },
+    default: 'miembro'
+  },
+  desde: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la organización es obligatorio'],
+    trim: true,
+    maxLength: [150, 'El nombre no puede superar los 150 caracteres']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxLength: [2000, 'La descripción no puede superar los 2000 caracteres'],
+    default: ''
+  },
+  logo: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(url) {
+        if (!url) return true; // Permitir null/undefined
+        return /^https?:\/\//.test(url);
+      },
+      message: 'El logo debe ser una URL válida'
+    }
+  },
+  logoPublicId: {
+    type: String,
+    default: null // Solo para logos subidos al almacenamiento de imágenes
+  },
+  // Almacenamiento en el que está guardado el logo subido (cloudinary o local)
+  logoAlmacen: {
+    type: String,
+    default: 'cloudinary'
+  },
+  web: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(url) {
+        if (!url) return true;
+        return /^https?:\/\//.test(url);
+      },
+      message: 'La web debe ser una URL válida'
+    }
+  },
+  miembros: {
+    type: [memberSchema],
+    default: []
+  },
+  creadoPor: {
+    type: String,
+    required: true,
+    lowercase: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.logoPublicId;
+      delete ret.logoAlmacen;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+organizationSchema.index({ 'miembros.usuario': 1 }); // Para las organizaciones de un usuario
+organizationSchema.index({ nombre: 1 });
+
+// Middleware pre-validate: una organización siempre necesita al menos un administrador
+organizationSchema.pre('validate', function(next) {
+  if (!this.miembros.some(member => member.rol === 'admin')) {
+    this.invalidate('miembros', 'La organización debe tener al menos un administrador');
+  }
+  next();
+});
+
+// Método para obtener el rol de un usuario en la organización ('admin', 'miembro' o null)
+organizationSchema.methods.getRoleFor = function(email) {
+  const member = this.miembros.find(m => m.usuario === email);
+  return member ? member.rol : null;
+};
+
+// Método para comprobar si un usuario administra la organización
+organizationSchema.methods.isAdmin = function(email) {
+  return this.getRoleFor(email) === 'admin';
+};
+
+// Perfil público (sin los emails de los miembros)
+organizationSchema.methods.toPublicProfile = function() {
+  return {
+    id: this._id,
+    nombre: this.nombre,
+    descripcion: this.descripcion,
+    logo: this.logo,
+    web: this.web,
+    miembros: this.miembros.length,
+    creadaEn: this.createdAt
+  };
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = Organization;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Motivos por los que un usuario puede denunciar un evento
+const MOTIVOS = ['spam', 'inapropiado', 'fraude', 'engañoso', 'duplicado', 'otro'];
+
+const reportSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'El evento es obligatorio']
+  },
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true
+  },
+  motivo: {
+    type: String,
+    enum: {
+      values: MOTIVOS,
+      message: `Motivo no válido. Valores permitidos: ${MOTIVOS.join(', ')}`
+    },
+    required: [true, 'El motivo es obligatorio']
+  },
+  comentario: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'El comentario no puede superar los 1000 caracteres'],
+    default: ''
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'resuelto', 'descartado'],
+    default: 'pendiente'
+  },
+  resueltoPor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  resueltoEn: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+reportSchema.index({ evento: 1, usuario: 1 }, { unique: true }); // Una denuncia por usuario y evento
+reportSchema.index({ estado: 1, evento: 1 }); // Para la cola de moderación
+
+/**
+ * Resume las denuncias pendientes agrupadas por evento (más denunciados primero)
+ * @param {number} limit - Número máximo de eventos
+ * @returns {Promise<Array>} - [{ evento, total, motivos, ultima }]
+ */
+reportSchema.statics.getPendingSummary = async function(limit = 50) {
+  const results = await this.aggregate([
+    { $match: { estado: 'pendiente' } },
+    {
+      $group: {
+        _id: '$evento',
+        total: { $sum: 1 },
+        motivos: { $push: '$motivo' },
+        ultima: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { total: -1, ultima: -1 } },
+    { $limit: limit }
+  ]);
+
+  return results.map(result => ({
+    evento: result._id,
+    total: result.total,
+    // Recuento por motivo
+    motivos: result.motivos.reduce((counts, motivo) => {
+      counts[motivo] = (counts[motivo] || 0) + 1;
+      return counts;
+    }, {}),
+    ultima: result.ultima
+  }));
+};
+
+// Método estático para cerrar las denuncias pendientes de un evento tras la decisión de un moderador
+reportSchema.statics.closeForEvent = function(eventId, estado, moderador) {
+  return this.updateMany(
+    { evento: eventId, estado: 'pendiente' },
+    { estado: estado, resueltoPor: moderador, resueltoEn: new Date() }
+  );
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.MOTIVOS = MOTIVOS;
+
+module.exports = Report;
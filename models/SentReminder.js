@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Registro de los recordatorios ya enviados, para no repetirlos. Cada ocurrencia
+// (fecha de inicio) tiene su propio registro: si el evento cambia de fecha se
+// vuelve a recordar con la nueva
+const sentReminderSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  fecha: {
+    type: Date,
+    required: true
+  },
+  // Antelación del recordatorio en horas
+  antelacion: {
+    type: Number,
+    required: true
+  },
+  caducidad: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Un recordatorio por ocurrencia y antelación
+sentReminderSchema.index({ evento: 1, fecha: 1, antelacion: 1 }, { unique: true });
+sentReminderSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+/**
+ * Reserva el envío de un recordatorio. Devuelve false si ya se había enviado
+ * (también si otro proceso lo reservó a la vez).
+ * @returns {Promise<boolean>}
+ */
+sentReminderSchema.statics.claim = async function(eventId, fecha, antelacion) {
+  try {
+    await this.create({
+      evento: eventId,
+      fecha: fecha,
+      antelacion: antelacion,
+      caducidad: new Date(fecha.getTime() + 7 * 24 * 60 * 60 * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('SentReminder', sentReminderSchema);
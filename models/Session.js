@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Cada sesión es una familia de refresh tokens: al renovar se rota el token
+// y los anteriores se conservan para detectar su reutilización
+const sessionSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true
+  },
+  userId: {
+    type: String,
+    default: null // ID del usuario en el proveedor (claim id del JWT)
+  },
+  nombre: {
+    type: String,
+    default: ''
+  },
+  provider: {
+    type: String,
+    enum: ['google', 'facebook', 'github', 'oidc', 'local'],
+    default: 'google'
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  refreshTokensAnteriores: {
+    type: [String], // Hashes de refresh tokens ya rotados
+    default: []
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  ultimoUso: {
+    type: Date,
+    default: Date.now
+  },
+  caducidad: {
+    type: Date,
+    required: [true, 'La fecha de caducidad de la sesión es obligatoria']
+  },
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+  revocadaEn: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.refreshTokenHash;
+      delete ret.refreshTokensAnteriores;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar consultas
+sessionSchema.index({ usuario: 1, revocada: 1 }); // Para listar las sesiones activas de un usuario
+sessionSchema.index({ refreshTokensAnteriores: 1 }); // Para detectar la reutilización de tokens rotados
+sessionSchema.index({ caducidad: 1 }, { expireAfterSeconds: 0 }); // MongoDB elimina las sesiones caducadas
+
+// Intervalo mínimo entre actualizaciones de ultimoUso para no escribir en cada petición
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Método estático para obtener una sesión activa a partir del claim sid del token
+sessionSchema.statics.findActive = function(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    _id: id,
+    revocada: false,
+    caducidad: { $gt: new Date() }
+  });
+};
+
+// Método estático para obtener las sesiones activas de un usuario
+sessionSchema.statics.getActiveSessions = function(email) {
+  return this.find({
+    usuario: email,
+    revocada: false,
+    caducidad: { $gt: new Date() }
+  }).sort({ ultimoUso: -1 });
+};
+
+// Método estático para revocar sesiones (por defecto, todas las activas del usuario)
+sessionSchema.statics.revoke = function(filter) {
+  return this.updateMany(
+    { ...filter, revocada: false },
+    { revocada: true, revocadaEn: new Date() }
+  );
+};
+
+// Método para registrar el uso de la sesión (como mucho cada 5 minutos)
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.ultimoUso.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+  this.ultimoUso = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Estados de una entrada
+const ESTADOS = ['valida', 'anulada'];
+
+// Alfabeto de los códigos de entrada (sin caracteres ambiguos como 0/O o 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+// Genera un código legible con el formato XXXX-XXXX-XXXX
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+const ticketSchema = new mongoose.Schema({
+  codigo: {
+    type: String,
+    required: true,
+    default: generateCode
+  },
+  pedido: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  tipoEntrada: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketType',
+    required: true
+  },
+  nombreTipo: {
+    type: String,
+    required: true
+  },
+  // Email del comprador
+  usuario: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  titular: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  estado: {
+    type: String,
+    enum: ESTADOS,
+    default: 'valida'
+  },
+  // Control de acceso: cuándo y quién validó la entrada en la puerta
+  validadaEn: {
+    type: Date,
+    default: null
+  },
+  validadaPor: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+ticketSchema.index({ codigo: 1 }, { unique: true });
+ticketSchema.index({ usuario: 1, createdAt: -1 }); // Para las entradas de un usuario
+ticketSchema.index({ evento: 1, estado: 1 }); // Para las entradas de un evento
+ticketSchema.index({ evento: 1, validadaEn: -1 }); // Para el recuento de accesos
+ticketSchema.index({ pedido: 1 });
+
+/**
+ * Emite las entradas de un pedido pagado, una por unidad. Si el pedido ya tiene
+ * entradas (notificación de pago repetida) se devuelven las existentes.
+ * @param {Object} order - Documento del pedido
+ * @returns {Promise<Array>} - Entradas del pedido
+ */
+ticketSchema.statics.issueForOrder = async function(order) {
+  const existing = await this.find({ pedido: order._id });
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const tickets = [];
+  order.lineas.forEach(line => {
+    for (let i = 0; i < line.cantidad; i++) {
+      tickets.push({
+        pedido: order._id,
+        evento: order.evento,
+        tipoEntrada: line.tipoEntrada,
+        nombreTipo: line.nombre,
+        usuario: order.usuario,
+        titular: order.nombre
+      });
+    }
+  });
+
+  return this.insertMany(tickets);
+};
+
+const Ticket = mongoose.model('Ticket', ticketSchema);
+
+Ticket.ESTADOS = ESTADOS;
+
+module.exports = Ticket;
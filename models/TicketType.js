@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const ticketTypeSchema = new mongoose.Schema({
+  evento: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'El evento es obligatorio']
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la entrada es obligatorio'],
+    trim: true,
+    maxLength: [100, 'El nombre no puede superar los 100 caracteres']
+  },
+  descripcion: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'La descripción no puede superar los 500 caracteres'],
+    default: ''
+  },
+  precio: {
+    type: Number,
+    required: [true, 'El precio es obligatorio'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+  moneda: {
+    type: String,
+    uppercase: true,
+    default: 'EUR'
+  },
+  cantidad: {
+    type: Number,
+    required: [true, 'La cantidad de entradas es obligatoria'],
+    min: [1, 'La cantidad debe ser al menos 1']
+  },
+  // Entradas retenidas por pedidos pendientes de pago
+  reservadas: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Entradas de pedidos pagados
+  vendidas: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxPorPedido: {
+    type: Number,
+    min: [1, 'El máximo por pedido debe ser al menos 1'],
+    default: 10
+  },
+  // Periodo de venta (sin límites: desde la creación hasta el inicio del evento)
+  ventaDesde: {
+    type: Date,
+    default: null
+  },
+  ventaHasta: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(fecha) {
+        return !fecha || !this.ventaDesde || fecha > this.ventaDesde;
+      },
+      message: 'El fin de la venta debe ser posterior a su inicio'
+    }
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  orden: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      ret.disponibles = Math.max(ret.cantidad - ret.reservadas - ret.vendidas, 0);
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+ticketTypeSchema.index({ evento: 1, orden: 1 });
+
+// Método para comprobar si la entrada está a la venta en una fecha
+ticketTypeSchema.methods.isOnSale = function(event, date = new Date()) {
+  if (!this.activo) return false;
+  if (this.ventaDesde && date < this.ventaDesde) return false;
+
+  const end = this.ventaHasta || event.timestamp;
+  return date < end;
+};
+
+// Datos públicos de la entrada (sin los contadores de venta)
+ticketTypeSchema.methods.toPublicJSON = function(event) {
+  const data = this.toJSON();
+  delete data.reservadas;
+  delete data.vendidas;
+  data.aLaVenta = this.isOnSale(event);
+  return data;
+};
+
+/**
+ * Retiene entradas de forma atómica para no superar la cantidad con peticiones concurrentes
+ * @param {string} typeId - ID del tipo de entrada
+ * @param {number} quantity - Número de entradas
+ * @returns {Promise<Object|null>} - Tipo de entrada actualizado o null si no quedan suficientes
+ */
+ticketTypeSchema.statics.hold = function(typeId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: typeId,
+      activo: true,
+      $expr: { $lte: [{ $add: ['$reservadas', '$vendidas', quantity] }, '$cantidad'] }
+    },
+    { $inc: { reservadas: quantity } },
+    { new: true }
+  );
+};
+
+// Método estático para liberar entradas retenidas
+ticketTypeSchema.statics.release = function(typeId, quantity) {
+  return this.updateOne({ _id: typeId }, { $inc: { reservadas: -quantity } });
+};
+
+// Método estático para convertir entradas retenidas en vendidas
+ticketTypeSchema.statics.markSold = function(typeId, quantity) {
+  return this.updateOne({ _id: typeId }, { $inc: { reservadas: -quantity, vendidas: quantity } });
+};
+
+/**
+ * Vende entradas sin retención previa (pago confirmado de un pedido ya caducado)
+ * @returns {Promise<Object|null>} - Tipo de entrada actualizado o null si no quedan suficientes
+ */
+ticketTypeSchema.statics.sellDirect = function(typeId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: typeId,
+      $expr: { $lte: [{ $add: ['$reservadas', '$vendidas', quantity] }, '$cantidad'] }
+    },
+    { $inc: { vendidas: quantity } },
+    { new: true }
+  );
+};
+
+// Método estático para mantener Event.precio (búsquedas por precio) como el de la entrada más barata
+ticketTypeSchema.statics.syncEventPrice = async function(eventId) {
+  const Event = mongoose.model('Event');
+  const cheapest = await this.findOne({ evento: eventId, activo: true }).sort({ precio: 1 });
+  if (cheapest) {
+    await Event.updateOne({ _id: eventId }, { precio: cheapest.precio });
+  }
+};
+
+module.exports = mongoose.model('TicketType', ticketTypeSchema);
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 10;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt ignora lo que supere 72 bytes
+
+// Error de los logins OAuth sin email verificado (el mismo exista o no la cuenta)
+const UNVERIFIED_OAUTH_EMAIL_ERROR = 'El proveedor no ha verificado tu email. Si ya tienes una cuenta, ' +
+  'inicia sesión con ella y vincula este proveedor desde tu perfil';
+
+// Proveedores de login soportados
+const PROVIDERS = ['google', 'facebook', 'github', 'oidc', 'local'];
+
+// Cuenta externa (OAuth/OIDC) vinculada al usuario
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: PROVIDERS.filter(p => p !== 'local'),
+    required: true
+  },
+  providerId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  vinculadoEn: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true,
+    unique: true,
+    validate: {
+      validator: function(email) {
+        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
+      },
+      message: 'Email inválido'
+    }
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es obligatorio'],
+    trim: true,
+    maxLength: [100, 'El nombre no puede superar los 100 caracteres']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'La biografía no puede superar los 1000 caracteres'],
+    default: ''
+  },
+  avatar: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(url) {
+        if (!url) return true; // Permitir null/undefined
+        return /^https?:\/\//.test(url);
+      },
+      message: 'El avatar debe ser una URL válida'
+    }
+  },
+  avatarPublicId: {
+    type: String,
+    default: null // Solo para avatares subidos al almacenamiento de imágenes
+  },
+  // Almacenamiento en el que está guardado el avatar subido (cloudinary o local)
+  avatarAlmacen: {
+    type: String,
+    default: 'cloudinary'
+  },
+  provider: {
+    type: String,
+    enum: PROVIDERS,
+    default: 'google' // Último proveedor usado para iniciar sesión
+  },
+  providerId: {
+    type: String,
+    default: null
+  },
+  identidades: {
+    type: [identitySchema],
+    default: []
+  },
+  ultimoLogin: {
+    type: Date,
+    default: null
+  },
+  // Credenciales locales (email/contraseña). Las cuentas solo OAuth no tienen contraseña
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordCambiadoEn: {
+    type: Date,
+    default: null
+  },
+  emailVerificado: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.avatarPublicId;
+      delete ret.avatarAlmacen;
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// Una cuenta externa solo puede estar vinculada a un usuario
+userSchema.index(
+  { 'identidades.provider': 1, 'identidades.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identidades.providerId': { $exists: true } } }
+);
+
+// Filtro para encontrar al usuario de una cuenta externa (incluye los usuarios
+// anteriores a las identidades, que solo tienen provider/providerId)
+const identityFilter = (provider, providerId) => ({
+  $or: [
+    { identidades: { $elemMatch: { provider: provider, providerId: String(providerId) } } },
+    { provider: provider, providerId: String(providerId) }
+  ]
+});
+
+// Añade la identidad si el usuario aún no la tiene
+const addIdentity = (user, profile) => {
+  const exists = user.identidades.some(i =>
+    i.provider === profile.provider && i.providerId === String(profile.providerId)
+  );
+
+  if (!exists) {
+    user.identidades.push({
+      provider: profile.provider,
+      providerId: String(profile.providerId),
+      email: profile.email || null
+    });
+  }
+};
+
+/**
+ * Obtiene o crea el usuario de un login OAuth/OIDC. Si la cuenta externa no está
+ * vinculada pero su email (verificado por el proveedor) coincide con un usuario
+ * existente, se vincula a él: la misma persona mantiene una única identidad. Sin email
+ * verificado no se vincula ni se crea ninguna cuenta.
+ * El nombre y el avatar solo se toman del proveedor al crear el usuario, para no
+ * sobrescribir los cambios que haya hecho en su perfil.
+ * @param {Object} profile - { provider, providerId, email, emailVerified, name, picture }
+ * @returns {Promise<Object>} - { user } o { error }
+ */
+userSchema.statics.findOrCreateFromOAuth = async function(profile) {
+  const email = profile.email ? profile.email.toLowerCase() : null;
+  let user = await this.findOne(identityFilter(profile.provider, profile.providerId));
+
+  if (!user && email) {
+    // Vincular o crear cuentas solo si el proveedor garantiza que el email pertenece a quien
+    // inicia sesión (mismo error exista o no la cuenta, para no revelar qué emails están registrados)
+    if (!profile.emailVerified) {
+      return { error: UNVERIFIED_OAUTH_EMAIL_ERROR };
+    }
+
+    const existing = await this.findOne({ email: email });
+
+    if (existing) {
+      // Quien registró la cuenta con contraseña no ha demostrado ser el dueño del email:
+      // se anulan su contraseña y sus sesiones antes de entregarle la cuenta al dueño real
+      if (!existing.emailVerificado) {
+        existing.passwordHash = null;
+        await mongoose.model('Session').revoke({ usuario: email });
+      }
+      user = existing;
+    }
+  }
+
+  if (!user) {
+    if (!email) {
+      return { error: 'El proveedor no ha facilitado un email' };
+    }
+
+    user = new this({
+      email: email,
+      nombre: profile.name || email.split('@')[0],
+      avatar: profile.picture || null
+    });
+  }
+
+  addIdentity(user, { ...profile, email });
+  user.provider = profile.provider;
+  user.providerId = String(profile.providerId);
+  user.ultimoLogin = new Date();
+  if (profile.emailVerified && email === user.email) {
+    user.emailVerificado = true;
+  }
+
+  await user.save();
+  return { user };
+};
+
+/**
+ * Vincula una cuenta externa a un usuario existente (vinculación explícita desde el perfil)
+ * @param {string} email - Email del usuario que vincula la cuenta
+ * @param {Object} profile - { provider, providerId, email }
+ * @returns {Promise<Object>} - { user } o { error }
+ */
+userSchema.statics.linkIdentity = async function(email, profile) {
+  const owner = await this.findOne(identityFilter(profile.provider, profile.providerId));
+  if (owner && owner.email !== email.toLowerCase()) {
+    return { error: 'Esta cuenta ya está vinculada a otro usuario' };
+  }
+
+  const user = await this.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    return { error: 'Usuario no encontrado' };
+  }
+
+  addIdentity(user, profile);
+  await user.save();
+  return { user };
+};
+
+/**
+ * Comprueba que una contraseña cumple los requisitos
+ * @param {string} password - Contraseña en claro
+ * @returns {string|null} - Mensaje de error o null si es válida
+ */
+userSchema.statics.validatePassword = function(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    return `La contraseña no puede superar los ${PASSWORD_MAX_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+// Método para establecer la contraseña (se guarda solo el hash)
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  this.passwordCambiadoEn = new Date();
+};
+
+// Método para comprobar la contraseña (requiere haber seleccionado +passwordHash)
+userSchema.methods.comparePassword = async function(password) {
+  if (!this.passwordHash || typeof password !== 'string') {
+    return false;
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Perfil público (sin email ni datos de login)
+userSchema.methods.toPublicProfile = function() {
+  return {
+    id: this._id,
+    nombre: this.nombre,
+    bio: this.bio,
+    avatar: this.avatar,
+    miembroDesde: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+User.PROVIDERS = PROVIDERS;
+
+module.exports = User;
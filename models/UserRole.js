@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Roles disponibles, de menor a mayor nivel de permisos
+const ROLES = ['user', 'moderator', 'admin'];
+
+const userRoleSchema = new mongoose.Schema({
+  usuario: {
+    type: String,
+    required: [true, 'El email del usuario es obligatorio'],
+    lowercase: true,
+    unique: true,
+    validate: {
+      validator: function(email) {
+        return /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email);
+      },
+      message: 'Email inválido'
+    }
+  },
+  rol: {
+    type: String,
+    enum: ROLES,
+    default: 'user',
+    required: true
+  },
+  asignadoPor: {
+    type: String,
+    default: null // null cuando lo asigna el arranque a partir de ADMIN_EMAILS
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Emails con rol de administrador definidos en la configuración
+const getConfiguredAdmins = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Método estático para obtener el rol de un usuario ('user' si no tiene ninguno asignado)
+userRoleSchema.statics.getRole = async function(email) {
+  if (getConfiguredAdmins().includes(String(email).toLowerCase())) {
+    return 'admin';
+  }
+  const entry = await this.findOne({ usuario: email });
+  return entry ? entry.rol : 'user';
+};
+
+// Método estático para asignar un rol a un usuario
+userRoleSchema.statics.setRole = function(email, rol, asignadoPor = null) {
+  return this.findOneAndUpdate(
+    { usuario: email },
+    { rol: rol, asignadoPor: asignadoPor },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Método estático para dar rol de administrador a los emails de ADMIN_EMAILS (al arrancar)
+userRoleSchema.statics.bootstrapAdmins = async function() {
+  const admins = getConfiguredAdmins();
+  for (const email of admins) {
+    await this.setRole(email, 'admin');
+  }
+  return admins;
+};
+
+// Comprueba si un rol tiene al menos el nivel de otro
+userRoleSchema.statics.hasRole = function(rol, required) {
+  return ROLES.indexOf(rol) >= ROLES.indexOf(required);
+};
+
+const UserRole = mongoose.model('UserRole', userRoleSchema);
+
+UserRole.ROLES = ROLES;
+
+module.exports = UserRole;
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Información de accesibilidad del espacio
+const accessibilitySchema = new mongoose.Schema({
+  sillaRuedas: {
+    type: Boolean,
+    default: false
+  },
+  aseoAdaptado: {
+    type: Boolean,
+    default: false
+  },
+  bucleMagnetico: {
+    type: Boolean,
+    default: false
+  },
+  aparcamientoAdaptado: {
+    type: Boolean,
+    default: false
+  },
+  notas: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Las notas de accesibilidad no pueden superar los 1000 caracteres'],
+    default: ''
+  }
+}, { _id: false });
+
+const venueSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre del espacio es obligatorio'],
+    trim: true,
+    maxLength: [200, 'El nombre no puede superar los 200 caracteres']
+  },
+  direccion: {
+    type: String,
+    required: [true, 'La dirección del espacio es obligatoria'],
+    trim: true,
+    maxLength: [500, 'La dirección no puede superar los 500 caracteres']
+  },
+  lat: {
+    type: Number,
+    required: [true, 'La latitud es obligatoria'],
+    min: [-90, 'La latitud debe estar entre -90 y 90'],
+    max: [90, 'La latitud debe estar entre -90 y 90']
+  },
+  lon: {
+    type: Number,
+    required: [true, 'La longitud es obligatoria'],
+    min: [-180, 'La longitud debe estar entre -180 y 180'],
+    max: [180, 'La longitud debe estar entre -180 y 180']
+  },
+  // Punto GeoJSON derivado de lat/lon para las consultas geoespaciales
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [lon, lat] según el estándar GeoJSON
+      default: undefined
+    }
+  },
+  capacidad: {
+    type: Number,
+    min: [1, 'La capacidad debe ser al menos 1'],
+    default: null
+  },
+  accesibilidad: {
+    type: accessibilitySchema,
+    default: () => ({})
+  },
+  descripcion: {
+    type: String,
+    maxLength: [2000, 'La descripción no puede superar los 2000 caracteres'],
+    default: ''
+  },
+  organizacion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  creadoPor: {
+    type: String,
+    required: true,
+    lowercase: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.location; // Uso interno: la API expone lat/lon
+      return ret;
+    }
+  }
+});
+
+// Índices para optimizar las consultas
+venueSchema.index({ location: '2dsphere' }); // Para búsquedas por cercanía
+venueSchema.index({ organizacion: 1 });
+venueSchema.index({ nombre: 'text', direccion: 'text' }, { name: 'venue_text', default_language: 'spanish' });
+
+// Middleware pre-validate para mantener location sincronizado con lat/lon
+venueSchema.pre('validate', function(next) {
+  if (typeof this.lat === 'number' && typeof this.lon === 'number') {
+    this.location = { type: 'Point', coordinates: [this.lon, this.lat] };
+  }
+  next();
+});
+
+/**
+ * Comprueba si un usuario puede modificar el espacio: quien lo creó o
+ * los administradores de su organización
+ * @param {string} email - Email del usuario
+ * @param {Object|null} organization - Organización del espacio (si tiene)
+ * @returns {boolean}
+ */
+venueSchema.methods.canManage = function(email, organization = null) {
+  if (this.creadoPor === email) return true;
+  return !!organization && organization.isAdmin(email);
+};
+
+// Datos del espacio que se copian en los eventos (para búsquedas y calendarios)
+venueSchema.methods.toEventLocation = function() {
+  return {
+    lugar: `${this.nombre}, ${this.direccion}`,
+    lat: this.lat,
+    lon: this.lon
+  };
+};
+
+module.exports = mongoose.model('Venue', venueSchema);
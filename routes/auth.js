@@ -1,47 +1,66 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const LoginLog = require('../models/LoginLog');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthCode = require('../models/AuthCode');
+const ActionToken = require('../models/ActionToken');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getRequestInfo,
+  createSession,
+  rotateRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshCookie,
+  hasRefreshHeader,
+  REFRESH_HEADER,
+  setLinkCookie,
+  clearLinkCookie,
+  getLinkCookie
+} = require('../config/tokens');
+const {
+  getBaseUrl,
+  isProviderEnabled,
+  getEnabledProviders,
+  getProviderScope
+} = require('../config/passport');
 
 const router = express.Router();
 
-// Ruta para iniciar OAuth con Google
-router.get('/google', 
-  passport.authenticate('google', { 
-    scope: ['profile', 'email'] 
-  })
-);
+// Límite más estricto para las rutas que aceptan credenciales o envían emails
+const credentialsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: process.env.NODE_ENV === 'production' ? 20 : 200,
+  message: { error: 'Demasiados intentos, intenta de nuevo más tarde.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
-// Callback de Google OAuth
-router.get('/google/callback', 
-  passport.authenticate('google', { session: false }),
-  async (req, res) => {
-    try {
-      console.log('🔄 Google callback received, user:', req.user ? 'found' : 'not found');
-      
-      if (req.user && req.user.token) {
-        // Redirigir al frontend con el token
-        const frontendUrl = process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app';
-        const redirectUrl = `${frontendUrl}/auth/success?token=${req.user.token}&user=${encodeURIComponent(JSON.stringify({
-          email: req.user.email,
-          name: req.user.name,
-          picture: req.user.picture
-        }))}`;
-        
-        console.log('✅ Redirecting to:', redirectUrl);
-        res.redirect(redirectUrl);
-      } else {
-        const errorUrl = `${process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app'}/auth/error`;
-        console.log('❌ Auth failed, redirecting to:', errorUrl);
-        res.redirect(errorUrl);
-      }
-    } catch (error) {
-      console.error('❌ Error en callback de Google:', error);
-      const errorUrl = `${process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app'}/auth/error`;
-      res.redirect(errorUrl);
-    }
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app';
+
+const redirectToError = (res, message) => {
+  const query = message ? `?message=${encodeURIComponent(message)}` : '';
+  res.redirect(`${getFrontendUrl()}/auth/error${query}`);
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// Envía el email de verificación; un fallo del transporte no debe romper la petición
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await ActionToken.issue(user.email, 'verificar-email');
+    await sendMail(mailTemplates.verifyEmail(user.email, user.nombre, token));
+    return true;
+  } catch (error) {
+    console.error('Error enviando email de verificación:', error.message);
+    return false;
   }
-);
+};
 
 // Verificar token JWT
 router.get('/verify', 
@@ -53,59 +72,318 @@ router.get('/verify',
         id: req.user.id,
         email: req.user.email,
         name: req.user.name,
-        provider: req.user.provider
+        provider: req.user.provider,
+        rol: req.user.rol
       }
     });
   }
 );
 
-// Renovar token
-router.post('/refresh',
-  passport.authenticate('jwt', { session: false }),
-  async (req, res) => {
-    try {
-      // Crear nuevo token
-      const newToken = jwt.sign(
-        { 
-          id: req.user.id, 
-          email: req.user.email,
-          name: req.user.name,
-          provider: req.user.provider
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+// Canjear el código de un solo uso del callback OAuth por los tokens
+router.post('/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
 
-      // Registrar refresh en el log
-      const expiryDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
-      const refreshLog = new LoginLog({
-        usuario: req.user.email,
-        caducidad: expiryDate,
-        token: newToken,
-        provider: req.user.provider,
-        loginType: 'refresh',
-        userAgent: req.get('User-Agent') || '',
-        ipAddress: req.ip || req.connection.remoteAddress || ''
+    if (!code) {
+      return res.status(400).json({ error: 'El código es requerido' });
+    }
+
+    const authCode = await AuthCode.consume(code);
+
+    if (!authCode) {
+      return res.status(400).json({ error: 'Código inválido, caducado o ya utilizado' });
+    }
+
+    const { accessToken, refreshToken, session } = await createSession({
+      id: authCode.userId,
+      email: authCode.usuario,
+      name: authCode.nombre,
+      provider: authCode.provider
+    }, { loginType: 'login', req });
+
+    setRefreshCookie(res, refreshToken, session);
+
+    res.json({
+      token: accessToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      user: {
+        email: authCode.usuario,
+        name: authCode.nombre,
+        picture: authCode.picture
+      }
+    });
+  } catch (error) {
+    console.error('Error canjeando código de autenticación:', error);
+    res.status(500).json({ error: 'Error completando el login' });
+  }
+});
+
+// Registro con email y contraseña
+router.post('/register', credentialsLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const { password, nombre } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email y contraseña son requeridos' });
+    }
+
+    const passwordError = User.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const existing = await User.findOne({ email: email });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Ya existe una cuenta con este email. Inicia sesión o restablece la contraseña'
       });
+    }
 
-      await refreshLog.save();
+    const user = new User({
+      email: email,
+      nombre: (typeof nombre === 'string' && nombre.trim()) || email.split('@')[0],
+      provider: 'local'
+    });
+    await user.setPassword(password);
+    await user.save();
 
-      res.json({
-        token: newToken,
-        expiresIn: '24h'
+    const emailEnviado = await sendVerificationEmail(user);
+
+    res.status(201).json({
+      message: 'Cuenta creada. Revisa tu email para verificarla',
+      emailEnviado: emailEnviado,
+      user: user
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: Object.values(error.errors).map(e => e.message)
       });
-    } catch (error) {
-      console.error('Error renovando token:', error);
-      res.status(500).json({ error: 'Error renovando token' });
     }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya existe una cuenta con este email' });
+    }
+    console.error('Error en registro:', error);
+    res.status(500).json({ error: 'Error creando la cuenta' });
   }
-);
+});
+
+// Login con email y contraseña
+router.post('/login', credentialsLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email y contraseña son requeridos' });
+    }
+
+    const user = await User.findOne({ email: email }).select('+passwordHash');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Email o contraseña incorrectos' });
+    }
+
+    if (!user.emailVerificado) {
+      return res.status(403).json({
+        error: 'Debes verificar tu email antes de iniciar sesión',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    user.ultimoLogin = new Date();
+    await user.save();
+
+    const { accessToken, refreshToken, session } = await createSession({
+      id: String(user._id),
+      email: user.email,
+      name: user.nombre,
+      provider: 'local'
+    }, { loginType: 'login', req });
+
+    setRefreshCookie(res, refreshToken, session);
+
+    res.json({
+      token: accessToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      user: {
+        email: user.email,
+        name: user.nombre,
+        picture: user.avatar
+      }
+    });
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({ error: 'Error iniciando sesión' });
+  }
+});
+
+// Verificar el email con el token recibido por correo
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'El token es requerido' });
+    }
+
+    const email = await ActionToken.consume(token, 'verificar-email');
+    if (!email) {
+      return res.status(400).json({ error: 'Token inválido, caducado o ya utilizado' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email: email },
+      { emailVerificado: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({ message: 'Email verificado exitosamente', user: user });
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    res.status(500).json({ error: 'Error verificando email' });
+  }
+});
+
+// Reenviar el email de verificación (respuesta genérica para no revelar qué emails existen)
+router.post('/resend-verification', credentialsLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    const user = await User.findOne({ email: email });
+    if (user && !user.emailVerificado) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'Si la cuenta existe y no está verificada, recibirás un nuevo email' });
+  } catch (error) {
+    console.error('Error reenviando verificación:', error);
+    res.status(500).json({ error: 'Error reenviando verificación' });
+  }
+});
+
+// Solicitar el restablecimiento de contraseña (respuesta genérica)
+router.post('/forgot-password', credentialsLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    const user = await User.findOne({ email: email });
+    if (user) {
+      try {
+        const token = await ActionToken.issue(user.email, 'restablecer-password');
+        await sendMail(mailTemplates.resetPassword(user.email, user.nombre, token));
+      } catch (error) {
+        console.error('Error enviando email de restablecimiento:', error.message);
+      }
+    }
+
+    res.json({ message: 'Si la cuenta existe, recibirás un email para restablecer la contraseña' });
+  } catch (error) {
+    console.error('Error solicitando restablecimiento:', error);
+    res.status(500).json({ error: 'Error solicitando restablecimiento de contraseña' });
+  }
+});
+
+// Restablecer la contraseña con el token recibido por correo
+router.post('/reset-password', credentialsLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token y contraseña son requeridos' });
+    }
+
+    const passwordError = User.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const email = await ActionToken.consume(token, 'restablecer-password');
+    if (!email) {
+      return res.status(400).json({ error: 'Token inválido, caducado o ya utilizado' });
+    }
+
+    const user = await User.findOne({ email: email });
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    await user.setPassword(password);
+    user.emailVerificado = true; // Ha demostrado acceso al email
+    await user.save();
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    const result = await Session.revoke({ usuario: user.email });
+    clearRefreshCookie(res);
+
+    res.json({
+      message: 'Contraseña restablecida exitosamente. Inicia sesión de nuevo',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({ error: 'Error restableciendo contraseña' });
+  }
+});
+
+// Renovar token de acceso con el refresh token de la cookie (rotación).
+// Requiere la cabecera X-Requested-With para que otras webs no puedan usar la cookie
+router.post('/refresh', async (req, res) => {
+  try {
+    if (!hasRefreshHeader(req)) {
+      return res.status(403).json({ error: `Falta la cabecera ${REFRESH_HEADER}` });
+    }
+
+    const refreshToken = getRefreshCookie(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token no proporcionado' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error) {
+      if (result.reuse) {
+        console.warn('⚠️ Reutilización de refresh token detectada. Sesión revocada');
+      }
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: result.error });
+    }
+
+    setRefreshCookie(res, result.refreshToken, result.session);
+
+    res.json({
+      token: result.accessToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    console.error('Error renovando token:', error);
+    res.status(500).json({ error: 'Error renovando token' });
+  }
+});
 
-// Logout
+// Logout (revoca la sesión del token actual y sus refresh tokens)
 router.post('/logout',
   passport.authenticate('jwt', { session: false }),
   async (req, res) => {
     try {
+      await Session.revoke({ _id: req.user.sessionId });
+      clearRefreshCookie(res);
+
       // Registrar logout en el log
       const logoutLog = new LoginLog({
         usuario: req.user.email,
@@ -113,8 +391,7 @@ router.post('/logout',
         token: req.get('Authorization')?.replace('Bearer ', '') || '',
         provider: req.user.provider,
         loginType: 'logout',
-        userAgent: req.get('User-Agent') || '',
-        ipAddress: req.ip || req.connection.remoteAddress || ''
+        ...getRequestInfo(req)
       });
 
       await logoutLog.save();
@@ -130,21 +407,94 @@ router.post('/logout',
   }
 );
 
+// Listar las sesiones activas (dispositivos) del usuario
+router.get('/sessions',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const sessions = await Session.getActiveSessions(req.user.email);
+
+      res.json({
+        count: sessions.length,
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          actual: session._id.equals(req.user.sessionId)
+        }))
+      });
+    } catch (error) {
+      console.error('Error obteniendo sesiones:', error);
+      res.status(500).json({ error: 'Error obteniendo sesiones' });
+    }
+  }
+);
+
+// Cerrar sesión en todos los dispositivos (?exceptCurrent=true mantiene la actual)
+router.delete('/sessions',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const filter = { usuario: req.user.email };
+      if (req.query.exceptCurrent === 'true') {
+        filter._id = { $ne: req.user.sessionId };
+      }
+
+      const result = await Session.revoke(filter);
+      if (req.query.exceptCurrent !== 'true') {
+        clearRefreshCookie(res);
+      }
+
+      res.json({
+        message: 'Sesiones cerradas exitosamente',
+        revokedCount: result.modifiedCount
+      });
+    } catch (error) {
+      console.error('Error cerrando sesiones:', error);
+      res.status(500).json({ error: 'Error cerrando sesiones' });
+    }
+  }
+);
+
+// Cerrar una sesión concreta del usuario
+router.delete('/sessions/:id',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'ID de sesión inválido' });
+      }
+
+      const result = await Session.revoke({ _id: req.params.id, usuario: req.user.email });
+
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+      }
+
+      res.json({ message: 'Sesión cerrada exitosamente' });
+    } catch (error) {
+      console.error('Error cerrando sesión:', error);
+      res.status(500).json({ error: 'Error cerrando sesión' });
+    }
+  }
+);
+
 // Obtener perfil del usuario actual
 router.get('/profile',
   passport.authenticate('jwt', { session: false }),
   async (req, res) => {
     try {
-      // Obtener últimos logins del usuario
+      // Perfil persistente y últimos logins del usuario
+      const profile = await User.findOne({ email: req.user.email });
       const recentLogins = await LoginLog.getUserLogs(req.user.email, 5);
       
       res.json({
         user: {
           id: req.user.id,
           email: req.user.email,
-          name: req.user.name,
-          provider: req.user.provider
+          name: profile ? profile.nombre : req.user.name,
+          provider: req.user.provider,
+          rol: req.user.rol
         },
+        profile: profile,
         recentLogins: recentLogins
       });
     } catch (error) {
@@ -154,13 +504,174 @@ router.get('/profile',
   }
 );
 
+// Listar los proveedores de login disponibles
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: getEnabledProviders(),
+    local: true
+  });
+});
+
+// Listar las cuentas externas vinculadas al usuario
+router.get('/identities',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ email: req.user.email }).select('+passwordHash');
+
+      if (!user) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+      }
+
+      res.json({
+        identidades: user.identidades,
+        tienePassword: !!user.passwordHash,
+        disponibles: getEnabledProviders()
+      });
+    } catch (error) {
+      console.error('Error obteniendo identidades:', error);
+      res.status(500).json({ error: 'Error obteniendo cuentas vinculadas' });
+    }
+  }
+);
+
+// Iniciar la vinculación de un proveedor: devuelve la URL a la que debe navegar el navegador.
+// El enlace solo funciona en el navegador que hace esta petición (cookie link_nonce), de modo que
+// nadie puede hacer que otra persona vincule su cuenta externa a una cuenta ajena
+router.post('/link/:provider',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+
+      if (!isProviderEnabled(provider)) {
+        return res.status(400).json({ error: 'Proveedor no disponible' });
+      }
+
+      const nonce = setLinkCookie(res);
+      const token = await ActionToken.issue(req.user.email, 'vincular-cuenta', nonce);
+
+      res.json({
+        url: `${getBaseUrl()}/api/auth/${provider}?link=${encodeURIComponent(token)}`
+      });
+    } catch (error) {
+      console.error('Error iniciando vinculación:', error);
+      res.status(500).json({ error: 'Error iniciando la vinculación' });
+    }
+  }
+);
+
+// Desvincular un proveedor (siempre debe quedar al menos un método de acceso)
+router.delete('/identities/:provider',
+  passport.authenticate('jwt', { session: false }),
+  async (req, res) => {
+    try {
+      const { provider } = req.params;
+      const user = await User.findOne({ email: req.user.email }).select('+passwordHash');
+
+      if (!user) {
+        return res.status(404).json({ error: 'Usuario no encontrado' });
+      }
+
+      const remaining = user.identidades.filter(i => i.provider !== provider);
+
+      if (remaining.length === user.identidades.length) {
+        return res.status(404).json({ error: 'El proveedor no está vinculado' });
+      }
+
+      if (remaining.length === 0 && !user.passwordHash) {
+        return res.status(400).json({
+          error: 'No puedes desvincular tu único método de acceso. Establece una contraseña o vincula otro proveedor'
+        });
+      }
+
+      user.identidades = remaining;
+      if (user.provider === provider) {
+        user.provider = remaining.length > 0 ? remaining[0].provider : 'local';
+        user.providerId = remaining.length > 0 ? remaining[0].providerId : null;
+      }
+      await user.save();
+
+      res.json({
+        message: 'Proveedor desvinculado exitosamente',
+        identidades: user.identidades
+      });
+    } catch (error) {
+      console.error('Error desvinculando proveedor:', error);
+      res.status(500).json({ error: 'Error desvinculando proveedor' });
+    }
+  }
+);
+
 // Endpoint de prueba para verificar configuración OAuth
 router.get('/config', (req, res) => {
   res.json({
-    googleConfigured: !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    googleConfigured: isProviderEnabled('google'),
+    providers: getEnabledProviders().map(p => p.name),
+    callbackBaseUrl: getBaseUrl(),
+    localAuthEnabled: true,
     jwtConfigured: !!process.env.JWT_SECRET,
     environment: process.env.NODE_ENV || 'development'
   });
 });
 
+// Iniciar OAuth con un proveedor (?link=<token> vincula la cuenta al usuario que lo solicitó).
+// Estas rutas van al final para no capturar las rutas fijas anteriores.
+router.get('/:provider', async (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!isProviderEnabled(provider)) {
+    return next();
+  }
+
+  try {
+    if (req.query.link) {
+      const nonce = getLinkCookie(req);
+      clearLinkCookie(res);
+      const email = nonce ? await ActionToken.consume(req.query.link, 'vincular-cuenta', nonce) : null;
+      if (!email) {
+        return redirectToError(res, 'Enlace de vinculación inválido o caducado');
+      }
+      req.session.linkEmail = email;
+    } else if (req.session) {
+      delete req.session.linkEmail;
+    }
+
+    passport.authenticate(provider, { scope: getProviderScope(provider), session: false })(req, res, next);
+  } catch (error) {
+    console.error(`Error iniciando OAuth (${provider}):`, error);
+    redirectToError(res);
+  }
+});
+
+// Callback OAuth de cualquier proveedor
+router.get('/:provider/callback', (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!isProviderEnabled(provider)) {
+    return next();
+  }
+
+  passport.authenticate(provider, { session: false }, async (err, user, info) => {
+    try {
+      if (err || !user) {
+        console.log(`❌ Auth ${provider} fallida:`, err ? err.message : (info && info.message));
+        return redirectToError(res, info && info.message);
+      }
+
+      if (user.linked) {
+        return res.redirect(`${getFrontendUrl()}/auth/linked?provider=${encodeURIComponent(provider)}`);
+      }
+
+      // Redirigir al frontend con un código de un solo uso (nunca con el token)
+      const code = await AuthCode.generate(user);
+      console.log(`✅ Redirecting to frontend with one-time code (${provider})`);
+      res.redirect(`${getFrontendUrl()}/auth/success?code=${encodeURIComponent(code)}`);
+    } catch (error) {
+      console.error(`❌ Error en callback de ${provider}:`, error);
+      redirectToError(res);
+    }
+  })(req, res, next);
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,192 @@
+const express = require('express');
+const Attendance = require('../models/Attendance');
+const Ticket = require('../models/Ticket');
+const { requireAuth, requireEventPermission } = require('../config/passport');
+const accessCode = require('../utils/accessCode');
+
+// Rutas de control de acceso de eventos (montadas en /api/events).
+// Pueden usarlas el propietario, los editores y el personal con rol checkin
+const router = express.Router();
+
+// Código legible de una entrada (XXXX-XXXX-XXXX), para validarla a mano si el QR no se lee
+const TICKET_CODE_PATTERN = /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/;
+
+// Número de accesos recientes que se devuelven con el recuento
+const RECENT_LIMIT = 20;
+
+/**
+ * Recuento de accesos de un evento (entradas e inscripciones)
+ * @param {*} eventId - ID del evento
+ * @returns {Promise<Object>}
+ */
+const getCheckInCounts = async (eventId) => {
+  const [entradas, entradasValidadas, inscripciones, inscripcionesValidadas] = await Promise.all([
+    Ticket.countDocuments({ evento: eventId, estado: 'valida' }),
+    Ticket.countDocuments({ evento: eventId, estado: 'valida', validadaEn: { $ne: null } }),
+    Attendance.countDocuments({ evento: eventId, estado: 'confirmado' }),
+    Attendance.countDocuments({ evento: eventId, estado: 'confirmado', validadaEn: { $ne: null } })
+  ]);
+
+  return {
+    entradas: { total: entradas, validadas: entradasValidadas },
+    inscripciones: { total: inscripciones, validadas: inscripcionesValidadas },
+    total: entradas + inscripciones,
+    validados: entradasValidadas + inscripcionesValidadas,
+    pendientes: entradas + inscripciones - entradasValidadas - inscripcionesValidadas
+  };
+};
+
+/**
+ * Identifica la entrada o inscripción a partir del código leído
+ * @param {string} codigo - Código firmado del QR o código legible de la entrada
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<Object|null>} - { Model, filter, validFilter, tipo } o null si el código no es válido
+ */
+const resolveCode = async (codigo, event) => {
+  const verified = accessCode.verify(codigo);
+
+  if (verified && verified.kind === 'ticket') {
+    return { Model: Ticket, filter: { _id: verified.id, evento: event._id }, validFilter: { estado: 'valida' }, tipo: 'entrada' };
+  }
+  if (verified && verified.kind === 'attendance') {
+    return {
+      Model: Attendance,
+      filter: { _id: verified.id, evento: event._id },
+      validFilter: { estado: 'confirmado' },
+      tipo: 'inscripcion'
+    };
+  }
+
+  const manual = String(codigo || '').trim().toUpperCase();
+  if (TICKET_CODE_PATTERN.test(manual)) {
+    return { Model: Ticket, filter: { codigo: manual, evento: event._id }, validFilter: { estado: 'valida' }, tipo: 'entrada' };
+  }
+
+  return null;
+};
+
+// Datos del asistente que se muestran en la puerta
+const toCheckInEntry = (doc, tipo) => ({
+  id: doc._id,
+  tipo: tipo,
+  titular: tipo === 'entrada' ? doc.titular : doc.nombre,
+  usuario: doc.usuario,
+  ...(tipo === 'entrada' && { nombreTipo: doc.nombreTipo, codigo: doc.codigo }),
+  validadaEn: doc.validadaEn,
+  validadaPor: doc.validadaPor
+});
+
+// GET /api/events/:id/checkin - Recuento de accesos en tiempo real y últimos validados
+router.get('/:id/checkin', requireAuth, requireEventPermission('attendees'), async (req, res) => {
+  try {
+    const eventId = req.event._id;
+    const validated = { evento: eventId, validadaEn: { $ne: null } };
+
+    const [recuento, tickets, attendances] = await Promise.all([
+      getCheckInCounts(eventId),
+      Ticket.find(validated).sort({ validadaEn: -1 }).limit(RECENT_LIMIT),
+      Attendance.find(validated).sort({ validadaEn: -1 }).limit(RECENT_LIMIT)
+    ]);
+
+    const recientes = [
+      ...tickets.map(ticket => toCheckInEntry(ticket, 'entrada')),
+      ...attendances.map(attendance => toCheckInEntry(attendance, 'inscripcion'))
+    ]
+      .sort((a, b) => b.validadaEn - a.validadaEn)
+      .slice(0, RECENT_LIMIT);
+
+    res.json({
+      evento: { id: eventId, nombre: req.event.nombre },
+      recuento: recuento,
+      recientes: recientes,
+      actualizadoEn: new Date()
+    });
+  } catch (error) {
+    console.error('Error obteniendo el recuento de accesos:', error);
+    res.status(500).json({ error: 'Error obteniendo el recuento de accesos' });
+  }
+});
+
+// POST /api/events/:id/checkin - Validar una entrada o inscripción en la puerta ({ codigo })
+router.post('/:id/checkin', requireAuth, requireEventPermission('attendees'), async (req, res) => {
+  try {
+    const event = req.event;
+
+    if (event.estado === 'cancelado') {
+      return res.status(409).json({ error: 'El evento ha sido cancelado' });
+    }
+    if (!req.body.codigo) {
+      return res.status(400).json({ error: 'El código es obligatorio' });
+    }
+
+    const resolved = await resolveCode(req.body.codigo, event);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Código no válido' });
+    }
+
+    const { Model, filter, validFilter, tipo } = resolved;
+
+    // Actualización condicionada: una misma entrada no puede validarse dos veces
+    const doc = await Model.findOneAndUpdate(
+      { ...filter, ...validFilter, validadaEn: null },
+      { validadaEn: new Date(), validadaPor: req.user.email },
+      { new: true }
+    );
+
+    if (!doc) {
+      const existing = await Model.findOne(filter);
+      if (!existing) {
+        return res.status(404).json({ error: 'El código no corresponde a ninguna entrada de este evento' });
+      }
+      if (existing.validadaEn) {
+        return res.status(409).json({
+          error: 'Esta entrada ya se ha utilizado',
+          asistente: toCheckInEntry(existing, tipo)
+        });
+      }
+      return res.status(409).json({
+        error: tipo === 'entrada' ? 'La entrada ha sido anulada' : 'La inscripción está en lista de espera',
+        asistente: toCheckInEntry(existing, tipo)
+      });
+    }
+
+    res.json({
+      message: 'Acceso registrado',
+      asistente: toCheckInEntry(doc, tipo),
+      recuento: await getCheckInCounts(event._id)
+    });
+  } catch (error) {
+    console.error('Error registrando acceso:', error);
+    res.status(500).json({ error: 'Error registrando el acceso' });
+  }
+});
+
+// DELETE /api/events/:id/checkin - Deshacer una validación hecha por error ({ codigo })
+router.delete('/:id/checkin', requireAuth, requireEventPermission('attendees'), async (req, res) => {
+  try {
+    const resolved = await resolveCode(req.body.codigo, req.event);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Código no válido' });
+    }
+
+    const doc = await resolved.Model.findOneAndUpdate(
+      { ...resolved.filter, validadaEn: { $ne: null } },
+      { validadaEn: null, validadaPor: null },
+      { new: true }
+    );
+    if (!doc) {
+      return res.status(404).json({ error: 'No hay ningún acceso registrado con este código' });
+    }
+
+    res.json({
+      message: 'Acceso anulado',
+      asistente: toCheckInEntry(doc, resolved.tipo),
+      recuento: await getCheckInCounts(req.event._id)
+    });
+  } catch (error) {
+    console.error('Error anulando acceso:', error);
+    res.status(500).json({ error: 'Error anulando el acceso' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventInvitation = require('../models/EventInvitation');
+const { requireAuth, requireEventPermission } = require('../config/passport');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+
+// Rutas de colaboradores de eventos (montadas en /api/events)
+const router = express.Router();
+
+// GET /api/events/user/invitations - Invitaciones pendientes del usuario autenticado
+router.get('/user/invitations', requireAuth, async (req, res) => {
+  try {
+    const invitations = await EventInvitation.findPendingFor(req.user.email);
+
+    // Descartar invitaciones de eventos que ya no existen
+    const pending = invitations.filter(invitation => invitation.evento);
+
+    res.json({
+      count: pending.length,
+      invitations: pending
+    });
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({ error: 'Error obteniendo invitaciones' });
+  }
+});
+
+// POST /api/events/user/invitations/:invitationId/accept - Aceptar una invitación a colaborar
+router.post('/user/invitations/:invitationId/accept', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(400).json({ error: 'ID de invitación inválido' });
+    }
+
+    const invitation = await EventInvitation.respond(req.params.invitationId, req.user.email, 'aceptada');
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitación no encontrada o caducada' });
+    }
+
+    // Añadir al colaborador solo si aún no forma parte del equipo
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: invitation.evento,
+        organizador: { $ne: req.user.email },
+        'colaboradores.usuario': { $ne: req.user.email }
+      },
+      {
+        $push: {
+          colaboradores: { usuario: req.user.email, rol: invitation.rol, asignadoPor: invitation.invitadoPor }
+        }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      // La invitación no se ha podido aplicar: vuelve a quedar pendiente
+      await EventInvitation.reopen(invitation._id);
+      return res.status(409).json({ error: 'El evento ya no existe o ya formas parte de su equipo' });
+    }
+
+    res.json({
+      message: 'Invitación aceptada',
+      evento: { id: event._id, nombre: event.nombre },
+      rol: invitation.rol
+    });
+  } catch (error) {
+    console.error('Error aceptando invitación:', error);
+    res.status(500).json({ error: 'Error aceptando la invitación' });
+  }
+});
+
+// POST /api/events/user/invitations/:invitationId/decline - Rechazar una invitación a colaborar
+router.post('/user/invitations/:invitationId/decline', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(400).json({ error: 'ID de invitación inválido' });
+    }
+
+    const invitation = await EventInvitation.respond(req.params.invitationId, req.user.email, 'rechazada');
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitación no encontrada o caducada' });
+    }
+
+    res.json({ message: 'Invitación rechazada' });
+  } catch (error) {
+    console.error('Error rechazando invitación:', error);
+    res.status(500).json({ error: 'Error rechazando la invitación' });
+  }
+});
+
+// GET /api/events/:id/collaborators - Equipo del evento (cualquier miembro del equipo)
+router.get('/:id/collaborators', requireAuth, requireEventPermission('attendees'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+
+    const response = {
+      propietario: event.organizador,
+      colaboradores: event.colaboradores,
+      miRol: req.eventRole
+    };
+
+    // Las invitaciones pendientes solo las ve el propietario
+    if (event.can(req.user.email, 'manage')) {
+      response.invitaciones = await EventInvitation.find({
+        evento: event._id,
+        estado: 'pendiente',
+        caducidad: { $gt: new Date() }
+      }).sort({ createdAt: -1 });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error obteniendo colaboradores:', error);
+    res.status(500).json({ error: 'Error obteniendo colaboradores del evento' });
+  }
+});
+
+// POST /api/events/:id/collaborators - Invitar a un colaborador (solo propietario)
+router.post('/:id/collaborators', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { rol } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    if (!Event.COLLABORATOR_ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol no válido. Valores permitidos: ${Event.COLLABORATOR_ROLES.join(', ')}`
+      });
+    }
+
+    if (event.getRoleFor(email)) {
+      return res.status(409).json({ error: 'Este usuario ya forma parte del equipo del evento' });
+    }
+
+    const invitation = await EventInvitation.create({
+      evento: event._id,
+      email: email,
+      rol: rol,
+      invitadoPor: req.user.email
+    });
+
+    // Un fallo del correo no anula la invitación: el invitado también la ve en su lista
+    let emailEnviado = true;
+    try {
+      await sendMail(mailTemplates.eventInvitation(email, event.nombre, req.user.name || req.user.email, rol));
+    } catch (mailError) {
+      emailEnviado = false;
+    }
+
+    res.status(201).json({
+      message: 'Invitación enviada',
+      emailEnviado: emailEnviado,
+      invitation: invitation
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya hay una invitación pendiente para este email' });
+    }
+    console.error('Error invitando colaborador:', error);
+    res.status(500).json({ error: 'Error enviando la invitación' });
+  }
+});
+
+// DELETE /api/events/:id/invitations/:invitationId - Revocar una invitación pendiente (solo propietario)
+router.delete('/:id/invitations/:invitationId', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(400).json({ error: 'ID de invitación inválido' });
+    }
+
+    const result = await EventInvitation.deleteOne({
+      _id: req.params.invitationId,
+      evento: req.event._id,
+      estado: 'pendiente'
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Invitación no encontrada' });
+    }
+
+    res.json({ message: 'Invitación revocada' });
+  } catch (error) {
+    console.error('Error revocando invitación:', error);
+    res.status(500).json({ error: 'Error revocando la invitación' });
+  }
+});
+
+// PUT /api/events/:id/collaborators/:email - Cambiar el rol de un colaborador (solo propietario)
+router.put('/:id/collaborators/:email', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const email = req.params.email.toLowerCase();
+    const { rol } = req.body;
+
+    if (!Event.COLLABORATOR_ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol no válido. Valores permitidos: ${Event.COLLABORATOR_ROLES.join(', ')}`
+      });
+    }
+
+    const collaborator = event.colaboradores.find(c => c.usuario === email);
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Colaborador no encontrado' });
+    }
+
+    collaborator.rol = rol;
+    collaborator.asignadoPor = req.user.email;
+    await event.save();
+
+    res.json({
+      message: 'Rol del colaborador actualizado',
+      colaboradores: event.colaboradores
+    });
+  } catch (error) {
+    console.error('Error actualizando colaborador:', error);
+    res.status(500).json({ error: 'Error actualizando el colaborador' });
+  }
+});
+
+// DELETE /api/events/:id/collaborators/:email - Retirar a un colaborador (propietario, o el propio colaborador)
+router.delete('/:id/collaborators/:email', requireAuth, async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    const isSelf = email === req.user.email;
+    if (!isSelf && !event.can(req.user.email, 'manage')) {
+      return res.status(403).json({ error: 'No tienes permisos para realizar esta acción en este evento.' });
+    }
+
+    if (!event.colaboradores.some(c => c.usuario === email)) {
+      return res.status(404).json({ error: 'Colaborador no encontrado' });
+    }
+
+    event.colaboradores = event.colaboradores.filter(c => c.usuario !== email);
+    await event.save();
+
+    res.json({ message: isSelf ? 'Has dejado de colaborar en el evento' : 'Colaborador retirado' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error retirando colaborador:', error);
+    res.status(500).json({ error: 'Error retirando el colaborador' });
+  }
+});
+
+// POST /api/events/:id/transfer - Transferir la propiedad a un colaborador (solo propietario)
+router.post('/:id/transfer', requireAuth, requireEventPermission('manage'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email del nuevo propietario es requerido' });
+    }
+
+    if (!event.transferOwnership(email)) {
+      return res.status(400).json({
+        error: 'El nuevo propietario debe ser colaborador del evento. Invítale primero'
+      });
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Propiedad del evento transferida. Ahora eres editor',
+      propietario: event.organizador,
+      colaboradores: event.colaboradores
+    });
+  } catch (error) {
+    console.error('Error transfiriendo evento:', error);
+    res.status(500).json({ error: 'Error transfiriendo la propiedad del evento' });
+  }
+});
+
+module.exports = router;
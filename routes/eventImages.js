@@ -0,0 +1,190 @@
+const express = require('express');
+const Event = require('../models/Event');
+const { requireAuth, requireEventPermission } = require('../config/passport');
+const { upload } = require('../config/upload');
+const { uploadImage, deleteImage } = require('../services/storage');
+
+// Rutas de la galería de imágenes de un evento (montadas en /api/events).
+// La galería se consulta con el propio evento (GET /api/events/:id)
+const router = express.Router();
+
+// Imágenes que se pueden subir en una misma petición
+const MAX_FILES_PER_UPLOAD = 10;
+
+const findImage = (event, imageId) => event.imagenes.find(image => String(image._id) === String(imageId));
+
+// Respuesta con la galería actualizada
+const galleryResponse = (event) => {
+  const { imagen, imagenes } = event.toJSON();
+  return { imagen, imagenes };
+};
+
+// Guarda el evento traduciendo los errores de validación y las ediciones simultáneas de la galería
+const saveGallery = async (event, res) => {
+  try {
+    await event.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+      return false;
+    }
+    if (error.name === 'VersionError') {
+      res.status(409).json({ error: 'La galería se ha modificado entretanto. Vuelve a cargarla e inténtalo de nuevo' });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// POST /api/events/:id/images - Añadir imágenes a la galería (campo imagenes, hasta MAX_FILES_PER_UPLOAD;
+// pie opcional por imagen)
+router.post('/:id/images', requireAuth, requireEventPermission('edit'), upload.array('imagenes', MAX_FILES_PER_UPLOAD), async (req, res) => {
+  try {
+    const event = req.event;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Adjunta al menos una imagen en el campo imagenes' });
+    }
+
+    event.adoptLegacyImage();
+    if (event.imagenes.length + files.length > Event.MAX_IMAGES) {
+      return res.status(400).json({
+        error: `La galería no puede tener más de ${Event.MAX_IMAGES} imágenes`,
+        disponibles: Math.max(Event.MAX_IMAGES - event.imagenes.length, 0)
+      });
+    }
+
+    // Pies de foto en el mismo orden que los archivos (?pie repetido)
+    const captions = [].concat(req.body.pie || []);
+    const results = await Promise.allSettled(files.map(file => uploadImage(file, 'eventos')));
+
+    const errores = [];
+    const uploaded = [];
+    results.forEach(({ status, value: result, reason }, index) => {
+      if (status === 'rejected') {
+        errores.push({ archivo: files[index].originalname, error: reason.message });
+        return;
+      }
+      uploaded.push(result);
+      event.imagenes.push({
+        url: result.url,
+        publicId: result.publicId,
+        almacen: result.almacen,
+        pie: captions[index] || '',
+        ancho: result.width,
+        alto: result.height,
+        subidaPor: req.user.email
+      });
+    });
+
+    if (uploaded.length === 0) {
+      return res.status(502).json({ error: 'No se pudieron subir las imágenes', errores });
+    }
+
+    if (!await saveGallery(event, res)) {
+      await Promise.all(uploaded.map(result => deleteImage(result.publicId, result.almacen)));
+      return;
+    }
+
+    res.status(201).json({
+      message: errores.length > 0
+        ? `Se han añadido ${uploaded.length} de ${files.length} imágenes`
+        : 'Imágenes añadidas a la galería',
+      ...galleryResponse(event),
+      ...(errores.length > 0 && { errores })
+    });
+  } catch (error) {
+    console.error('Error subiendo imágenes a la galería:', error);
+    res.status(500).json({ error: 'Error subiendo imágenes a la galería' });
+  }
+});
+
+// PUT /api/events/:id/images/order - Reordenar la galería ({ orden: [idImagen, ...] } con todas las imágenes)
+router.put('/:id/images/order', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+    const { orden } = req.body;
+
+    event.adoptLegacyImage();
+    const ids = Array.isArray(orden) ? orden.map(String) : [];
+    const current = event.imagenes.map(image => String(image._id));
+    const isPermutation = ids.length === current.length &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => current.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'El orden debe incluir una vez cada imagen de la galería' });
+    }
+
+    const images = ids.map(id => findImage(event, id).toObject());
+    event.imagenes = images;
+
+    if (!await saveGallery(event, res)) return;
+
+    res.json({ message: 'Galería reordenada', ...galleryResponse(event) });
+  } catch (error) {
+    console.error('Error reordenando la galería:', error);
+    res.status(500).json({ error: 'Error reordenando la galería' });
+  }
+});
+
+// PUT /api/events/:id/images/:imageId - Editar el pie de foto o elegir la imagen como portada
+router.put('/:id/images/:imageId', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+    const { pie, portada } = req.body;
+
+    event.adoptLegacyImage();
+    const image = findImage(event, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+
+    if (pie !== undefined) image.pie = pie;
+    if (portada === true || portada === 'true') {
+      event.imagenes.forEach(other => {
+        other.portada = other === image;
+      });
+    }
+
+    if (!await saveGallery(event, res)) return;
+
+    res.json({ message: 'Imagen actualizada', ...galleryResponse(event) });
+  } catch (error) {
+    console.error('Error actualizando imagen de la galería:', error);
+    res.status(500).json({ error: 'Error actualizando la imagen' });
+  }
+});
+
+// DELETE /api/events/:id/images/:imageId - Eliminar una imagen (si era la portada, pasa a serlo la primera)
+router.delete('/:id/images/:imageId', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+
+    event.adoptLegacyImage();
+    const image = findImage(event, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+
+    const { publicId, almacen } = image;
+    event.imagenes.pull(image._id);
+
+    if (!await saveGallery(event, res)) return;
+
+    // Si el borrado falla, la imagen huérfana la elimina el trabajo de limpieza
+    await deleteImage(publicId, almacen);
+
+    res.json({ message: 'Imagen eliminada', ...galleryResponse(event) });
+  } catch (error) {
+    console.error('Error eliminando imagen de la galería:', error);
+    res.status(500).json({ error: 'Error eliminando la imagen' });
+  }
+});
+
+module.exports = router;
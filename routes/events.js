@@ -1,75 +1,245 @@
 const express = require('express');
-const axios = require('axios');
-const multer = require('multer');
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
-const { requireAuth, requireEventOwnership } = require('../config/passport');
-const { uploadImage, deleteImage } = require('../config/cloudinary');
+const Attendance = require('../models/Attendance');
+const CalendarFeed = require('../models/CalendarFeed');
+const Report = require('../models/Report');
+const TicketType = require('../models/TicketType');
+const Venue = require('../models/Venue');
+const Organization = require('../models/Organization');
+const UserRole = require('../models/UserRole');
+const { requireAuth, optionalAuth, requireEventPermission } = require('../config/passport');
+const { upload } = require('../config/upload');
+const { uploadImage, deleteImage } = require('../services/storage');
+const geocoder = require('../services/geocoder');
+const { closeSales, purgeEvent } = require('../services/eventCleanup');
+const { notifyEventChangeInBackground, getEventAudience } = require('../services/notifications');
+const { parseSearchParams, textAsRegexFilter, findPublicEventsPage } = require('../utils/eventSearch');
+const { parsePaginationParams } = require('../utils/pagination');
+const { parseRecurrenceInput } = require('../utils/recurrence');
+const { buildCalendar } = require('../utils/ical');
 
 const router = express.Router();
 
-// Configuración de multer para manejo de archivos
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB máximo
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Solo se permiten archivos de imagen'), false);
-    }
+// Valida un par de coordenadas recibido en la petición
+const parseCoordinates = (lat, lon) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+
+  if (isNaN(latitude) || isNaN(longitude) ||
+      latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return null;
   }
-});
 
-// Función para obtener coordenadas mediante geocoding
-const getCoordinatesFromAddress = async (address) => {
-  try {
-    const apiKey = process.env.OPENCAGE_API_KEY;
-    if (!apiKey) {
-      throw new Error('API Key de geocoding no configurada');
+  return { lat: latitude, lon: longitude };
+};
+
+/**
+ * Obtiene el punto de referencia de una búsqueda por cercanía (?lat&lon o ?address)
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} - { near } (null si no hay búsqueda por cercanía) o { error }
+ */
+const resolveSearchPoint = async (query) => {
+  const { lat, lon, address, radiusKm } = query;
+
+  // Radio de búsqueda en kilómetros para las búsquedas por cercanía
+  let radius = Event.DEFAULT_RADIUS_KM;
+  if (radiusKm !== undefined) {
+    radius = parseFloat(radiusKm);
+    if (isNaN(radius) || radius <= 0 || radius > Event.MAX_RADIUS_KM) {
+      return { error: { error: `El radio debe ser un número entre 0 y ${Event.MAX_RADIUS_KM} km` } };
     }
+  }
 
-    const response = await axios.get(`https://api.opencagedata.com/geocode/v1/json`, {
-      params: {
-        q: address,
-        key: apiKey,
-        limit: 1,
-        language: 'es'
-      }
-    });
+  if (lat && lon) {
+    const coordinates = parseCoordinates(lat, lon);
+    if (!coordinates) {
+      return { error: { error: 'Coordenadas inválidas' } };
+    }
+    return { near: { ...coordinates, radiusKm: radius } };
+  }
 
-    if (response.data.results && response.data.results.length > 0) {
-      const result = response.data.results[0];
+  if (address) {
+    try {
+      const coords = await geocoder.geocode(address);
+      return { near: { lat: coords.lat, lon: coords.lon, radiusKm: radius } };
+    } catch (geocodingError) {
       return {
-        lat: result.geometry.lat,
-        lon: result.geometry.lng,
-        formatted: result.formatted
+        error: {
+          error: 'No se pudo procesar la dirección',
+          details: geocodingError.message
+        }
       };
-    } else {
-      throw new Error('No se pudieron obtener coordenadas para esta dirección');
     }
-  } catch (error) {
-    console.error('Error en geocoding:', error);
-    throw error;
   }
+
+  return { near: null };
 };
 
+/**
+ * Calcula la fecha de fin a partir de ?fin o ?duracion (minutos)
+ * @param {Object} body - req.body
+ * @param {Date} start - Fecha de inicio del evento
+ * @returns {Object} - { fin } (undefined si no se indicó) o { error }
+ */
+const parseEndDate = (body, start) => {
+  const { fin, duracion } = body;
+
+  if (fin === null || fin === '' || duracion === null || duracion === '') {
+    return { fin: null };
+  }
+
+  if (fin !== undefined) {
+    const end = new Date(fin);
+    if (isNaN(end.getTime())) {
+      return { error: 'La fecha de fin no es válida' };
+    }
+    return { fin: end };
+  }
+
+  if (duracion !== undefined) {
+    const minutes = parseInt(duracion);
+    if (isNaN(minutes) || minutes <= 0) {
+      return { error: 'La duración debe ser un número positivo de minutos' };
+    }
+    return { fin: new Date(start.getTime() + minutes * 60000) };
+  }
+
+  return { fin: undefined };
+};
+
+/**
+ * Obtiene el espacio y la organización indicados al crear o editar un evento.
+ * Para asociar un evento a una organización hay que ser miembro de ella.
+ * @param {Object} body - req.body ({ venue, organizacion })
+ * @param {string} email - Email del usuario
+ * @returns {Promise<Object>} - { venue, organization } (undefined si no se indicó, null para quitarlo) o { error }
+ */
+const resolveEventLinks = async ({ venue, organizacion }, email) => {
+  const result = {};
+
+  if (venue !== undefined) {
+    result.venue = null;
+    if (venue) {
+      if (!mongoose.Types.ObjectId.isValid(venue)) {
+        return { error: { status: 400, body: { error: 'ID de espacio inválido' } } };
+      }
+      result.venue = await Venue.findById(venue);
+      if (!result.venue) {
+        return { error: { status: 404, body: { error: 'Espacio no encontrado' } } };
+      }
+    }
+  }
+
+  if (organizacion !== undefined) {
+    result.organization = null;
+    if (organizacion) {
+      if (!mongoose.Types.ObjectId.isValid(organizacion)) {
+        return { error: { status: 400, body: { error: 'ID de organización inválido' } } };
+      }
+      result.organization = await Organization.findById(organizacion);
+      if (!result.organization) {
+        return { error: { status: 404, body: { error: 'Organización no encontrada' } } };
+      }
+      if (!result.organization.getRoleFor(email)) {
+        return { error: { status: 403, body: { error: 'No eres miembro de esta organización' } } };
+      }
+    }
+  }
+
+  return result;
+};
+
+// La capacidad de un evento no puede superar el aforo de su espacio
+const exceedsVenueCapacity = (capacity, venue) => (
+  !!venue && venue.capacidad !== null && capacity !== null && capacity > venue.capacidad
+);
+
+// Sube una imagen del evento y devuelve la entrada de la galería (lanza un error si falla la subida)
+const uploadEventImage = async (file, email) => {
+  const uploaded = await uploadImage(file, 'eventos');
+  return {
+    url: uploaded.url,
+    publicId: uploaded.publicId,
+    almacen: uploaded.almacen,
+    ancho: uploaded.width,
+    alto: uploaded.height,
+    subidaPor: email,
+    subidaEn: new Date()
+  };
+};
+
+// Los moderadores pueden ver y gestionar eventos en cualquier estado
+const isModerator = (user) => !!user && UserRole.hasRole(user.rol || 'user', 'moderator');
+
+// Un evento no publicado (borrador, pendiente o rechazado) solo es visible para su equipo y los moderadores
+const canViewEvent = (event, user) => (
+  event.isPublic() || (!!user && (!!event.getRoleFor(user.email) || isModerator(user)))
+);
+
+// Datos internos (historial con autores, colaboradores) solo para el equipo del evento y los moderadores
+const canSeeInternals = (event, user) => !!user && (!!event.getRoleFor(user.email) || isModerator(user));
+
+// Los asistentes de un evento cancelado ya recibieron el aviso: no se les vuelve a avisar al eliminarlo
+const isUpcomingForAttendees = (event) => ['publicado', 'aplazado'].includes(event.estado);
+
+// Envía un calendario iCalendar
+const sendCalendar = (res, events, { name, filename } = {}) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(buildCalendar(events, { name }));
+};
+
+// Número máximo de eventos incluidos en un feed de calendario
+const FEED_LIMIT = 500;
+
 // IMPORTANTE: Mover las rutas específicas ANTES de las rutas con parámetros
 
 // GET /api/events/user/my-events - Obtener eventos del usuario autenticado
 router.get('/user/my-events', requireAuth, async (req, res) => {
   try {
-    console.log('Buscando eventos para usuario:', req.user.email); // Debug
-    const events = await Event.find({ 
-      organizador: req.user.email 
-    }).sort({ timestamp: 1 });
+    const pagination = parsePaginationParams(req.query, ['timestamp', 'createdAt', 'precio'], 'timestamp');
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    // Eventos propios y en los que colabora (?rol=owner para ver solo los propios).
+    // Filtro opcional por estado (?estado=borrador,pendiente); ?eliminados=true muestra la papelera
+    const onlyOwned = req.query.rol === 'owner' || req.query.eliminados === 'true';
+    const filter = onlyOwned ? { organizador: req.user.email } : Event.managedByFilter(req.user.email);
+    if (req.query.eliminados === 'true') {
+      filter.eliminadoEn = { $ne: null };
+    }
+    if (req.query.estado) {
+      const estados = String(req.query.estado).split(',').map(e => e.trim());
+      const invalid = estados.filter(e => !Event.ESTADOS.includes(e));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Estados no válidos: ${invalid.join(', ')}` });
+      }
+      filter.estado = { $in: estados };
+    }
 
-    console.log('Eventos encontrados:', events.length); // Debug
+    const page = await Event.findPage({ ...pagination, filter });
+
+    // Rol del usuario en cada evento (los colaboradores no se incluyen en el JSON público)
+    const teams = await Event.find({ _id: { $in: page.events.map(e => e.id) } })
+      .select('organizador colaboradores')
+      .setOptions({ withDeleted: true });
+    const roles = new Map(teams.map(team => [String(team._id), team.getRoleFor(req.user.email)]));
+    const events = page.events.map(event => ({ ...event, miRol: roles.get(String(event.id)) || null }));
 
     res.json({
       count: events.length,
-      events: events
+      events: events,
+      nextCursor: page.nextCursor,
+      pagination: {
+        limit: pagination.limit,
+        sort: pagination.sort,
+        order: pagination.order === 1 ? 'asc' : 'desc',
+        hasNext: !!page.nextCursor
+      }
     });
   } catch (error) {
     console.error('Error obteniendo eventos del usuario:', error);
@@ -77,6 +247,142 @@ router.get('/user/my-events', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/events/user/attending - Obtener eventos a los que asiste el usuario autenticado
+router.get('/user/attending', requireAuth, async (req, res) => {
+  try {
+    // Solo los eventos visibles: los rechazados o devueltos a borrador no se muestran
+    const attendances = await Attendance.find({ usuario: req.user.email })
+      .populate({ path: 'evento', match: { estado: { $in: Event.ESTADOS_VISIBLES } } })
+      .sort({ createdAt: -1 });
+
+    // Descartar inscripciones de eventos que ya no existen o no son visibles
+    const registrations = attendances
+      .filter(a => a.evento)
+      .map(a => ({
+        estado: a.estado,
+        inscritoEn: a.createdAt,
+        event: a.evento
+      }))
+      .sort((a, b) => a.event.timestamp - b.event.timestamp);
+
+    res.json({
+      count: registrations.length,
+      events: registrations
+    });
+  } catch (error) {
+    console.error('Error obteniendo eventos a los que asiste el usuario:', error);
+    res.status(500).json({ error: 'Error obteniendo eventos a los que asistes' });
+  }
+});
+
+// GET /api/events/user/my-events.ics - Calendario con los eventos del usuario autenticado
+router.get('/user/my-events.ics', requireAuth, async (req, res) => {
+  try {
+    const events = await Event.find(Event.managedByFilter(req.user.email))
+      .sort({ timestamp: 1 })
+      .limit(FEED_LIMIT);
+
+    sendCalendar(res, events, { name: 'Mis eventos - Eventual', filename: 'mis-eventos.ics' });
+  } catch (error) {
+    console.error('Error generando calendario del usuario:', error);
+    res.status(500).json({ error: 'Error generando el calendario' });
+  }
+});
+
+// POST /api/events/user/calendar-feed - Generar (o regenerar) la URL secreta del feed personal
+router.post('/user/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    const token = await CalendarFeed.generateToken(req.user.email);
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    res.status(201).json({
+      message: 'URL del calendario generada. Las URLs anteriores dejan de funcionar',
+      url: `${baseUrl}/feeds/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Error generando feed de calendario:', error);
+    res.status(500).json({ error: 'Error generando la URL del calendario' });
+  }
+});
+
+// DELETE /api/events/user/calendar-feed - Revocar la URL secreta del feed personal
+router.delete('/user/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    const result = await CalendarFeed.deleteOne({ usuario: req.user.email });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'No tienes ninguna URL de calendario activa' });
+    }
+
+    res.json({ message: 'URL del calendario revocada' });
+  } catch (error) {
+    console.error('Error revocando feed de calendario:', error);
+    res.status(500).json({ error: 'Error revocando la URL del calendario' });
+  }
+});
+
+// GET /api/events/feeds/:token.ics - Feed personal para apps de calendario (sin cabecera Bearer)
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByToken(req.params.token);
+
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
+
+    // Eventos organizados por el usuario y eventos a los que asiste
+    const attendances = await Attendance.find({ usuario: feed.usuario }).select('evento');
+    const events = await Event.find({
+      $or: [
+        { organizador: feed.usuario },
+        { 'colaboradores.usuario': feed.usuario },
+        { _id: { $in: attendances.map(a => a.evento) }, estado: { $in: Event.ESTADOS_VISIBLES } }
+      ]
+    })
+      .sort({ timestamp: 1 })
+      .limit(FEED_LIMIT);
+
+    sendCalendar(res, events, { name: 'Eventual' });
+  } catch (error) {
+    console.error('Error generando feed personal:', error);
+    res.status(500).json({ error: 'Error generando el calendario' });
+  }
+});
+
+// GET /api/events/feed.ics - Feed público de eventos (mismos filtros que GET /api/events)
+router.get('/feed.ics', async (req, res) => {
+  try {
+    const search = parseSearchParams(req.query);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+
+    const point = await resolveSearchPoint(req.query);
+    if (point.error) {
+      return res.status(400).json(point.error);
+    }
+
+    const filter = { ...search.base, ...search.categoria, ...search.precio };
+    if (search.text) {
+      Object.assign(filter, textAsRegexFilter(search.text));
+    }
+    if (point.near) {
+      filter.location = {
+        $geoWithin: {
+          $centerSphere: [[point.near.lon, point.near.lat], point.near.radiusKm / 6371]
+        }
+      };
+    }
+
+    const events = await Event.find(filter).sort({ timestamp: 1 }).limit(FEED_LIMIT);
+
+    sendCalendar(res, events, { name: 'Eventual' });
+  } catch (error) {
+    console.error('Error generando feed de eventos:', error);
+    res.status(500).json({ error: 'Error generando el calendario' });
+  }
+});
+
 // POST /api/events/geocode - Endpoint para obtener coordenadas de una dirección
 router.post('/geocode', async (req, res) => {
   try {
@@ -86,7 +392,7 @@ router.post('/geocode', async (req, res) => {
       return res.status(400).json({ error: 'La dirección es requerida' });
     }
 
-    const coordinates = await getCoordinatesFromAddress(address);
+    const coordinates = await geocoder.geocode(address);
     res.json(coordinates);
   } catch (error) {
     console.error('Error en geocoding:', error);
@@ -97,43 +403,82 @@ router.post('/geocode', async (req, res) => {
   }
 });
 
-// GET /api/events - Obtener todos los eventos o eventos cercanos
+// POST /api/events/reverse-geocode - Endpoint para obtener la dirección de unas coordenadas
+router.post('/reverse-geocode', async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.body.lat, req.body.lon);
+
+    if (!coordinates) {
+      return res.status(400).json({ error: 'Coordenadas inválidas' });
+    }
+
+    const result = await geocoder.reverseGeocode(coordinates.lat, coordinates.lon);
+    res.json({
+      lugar: result.formatted,
+      lat: coordinates.lat,
+      lon: coordinates.lon,
+      cached: result.cached
+    });
+  } catch (error) {
+    console.error('Error en geocoding inverso:', error);
+    res.status(400).json({
+      error: 'Error obteniendo la dirección',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/events - Buscar eventos (texto libre, filtros, cercanía) con resumen de facetas
 router.get('/', async (req, res) => {
   try {
-    const { lat, lon, address } = req.query;
-    let events;
-
-    if (lat && lon) {
-      // Buscar eventos cercanos usando coordenadas
-      const latitude = parseFloat(lat);
-      const longitude = parseFloat(lon);
-      
-      if (isNaN(latitude) || isNaN(longitude)) {
-        return res.status(400).json({ error: 'Coordenadas inválidas' });
-      }
-      
-      events = await Event.findNearby(latitude, longitude);
-    } else if (address) {
-      // Buscar eventos cercanos usando dirección
-      try {
-        const coords = await getCoordinatesFromAddress(address);
-        events = await Event.findNearby(coords.lat, coords.lon);
-      } catch (geocodingError) {
-        return res.status(400).json({ 
-          error: 'No se pudo procesar la dirección',
-          details: geocodingError.message
-        });
-      }
+    const search = parseSearchParams(req.query);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+
+    const point = await resolveSearchPoint(req.query);
+    if (point.error) {
+      return res.status(400).json(point.error);
+    }
+    const near = point.near;
+
+    // Ordenación disponible según el tipo de búsqueda
+    const allowedSorts = ['timestamp', 'createdAt', 'precio'];
+    if (near) allowedSorts.push('distance');
+    if (search.text && !near) allowedSorts.push('relevance');
+    const defaultSort = near ? 'distance' : (search.text ? 'relevance' : 'timestamp');
+
+    const pagination = parsePaginationParams(req.query, allowedSorts, defaultSort);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const filter = { ...search.base, ...search.categoria, ...search.precio };
+    let facetOptions = search;
+    let page;
+
+    if (near) {
+      // $geoNear no admite $text: el texto se filtra mediante expresiones regulares
+      const textFilter = search.text ? textAsRegexFilter(search.text) : {};
+      page = await Event.findPage({ ...pagination, filter: { ...filter, ...textFilter }, near, window: search.window });
+      facetOptions = { ...search, base: { ...search.base, ...textFilter }, text: null, near };
     } else {
-      // Obtener todos los eventos futuros
-      events = await Event.find({ 
-        timestamp: { $gte: new Date() }
-      }).sort({ timestamp: 1 }).limit(100);
+      page = await Event.findPage({ ...pagination, filter, text: search.text, window: search.window });
     }
 
+    const facets = await Event.getFacets(facetOptions);
+
     res.json({
-      count: events.length,
-      events: events
+      count: page.events.length,
+      events: page.events,
+      nextCursor: page.nextCursor,
+      pagination: {
+        limit: pagination.limit,
+        sort: pagination.sort,
+        order: pagination.order === 1 ? 'asc' : 'desc',
+        hasNext: !!page.nextCursor
+      },
+      facets: facets
     });
   } catch (error) {
     console.error('Error obteniendo eventos:', error);
@@ -141,16 +486,58 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/events/archive - Archivo de eventos ya celebrados (?desde, ?hasta y los filtros del listado)
+router.get('/archive', async (req, res) => {
+  try {
+    const result = await findPublicEventsPage(req.query, {}, { archive: true });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error obteniendo el archivo de eventos:', error);
+    res.status(500).json({ error: 'Error obteniendo el archivo de eventos' });
+  }
+});
+
 // GET /api/events/:id - Obtener un evento específico
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id)
+      .populate('venue', 'nombre direccion capacidad accesibilidad')
+      .populate('organizacion', 'nombre logo');
     
-    if (!event) {
+    if (!event || !canViewEvent(event, req.user)) {
       return res.status(404).json({ error: 'Evento no encontrado' });
     }
 
-    res.json(event);
+    // El historial de estados (con los motivos de moderación) y los colaboradores solo los ve el equipo
+    const details = event.toJSON();
+    if (canSeeInternals(event, req.user)) {
+      details.historialEstados = event.historialEstados;
+      details.colaboradores = event.colaboradores;
+      details.miRol = event.getRoleFor(req.user.email);
+    }
+
+    if (!event.recurrencia) {
+      return res.json(details);
+    }
+
+    // Eventos recurrentes: incluir las ocurrencias de la ventana solicitada (90 días por defecto)
+    const from = req.query.desde ? new Date(req.query.desde) : new Date();
+    const to = req.query.hasta
+      ? new Date(req.query.hasta)
+      : new Date(from.getTime() + 90 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Fechas inválidas en desde/hasta' });
+    }
+
+    res.json({
+      ...details,
+      proximaOcurrencia: event.getNextOccurrence(),
+      ocurrencias: event.getOccurrences(from, to)
+    });
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(400).json({ error: 'ID de evento inválido' });
@@ -160,22 +547,532 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/events/:id/ics - Exportar un evento a iCalendar
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(event, req.user)) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    sendCalendar(res, [event], { filename: `evento-${event._id}.ics` });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error exportando evento:', error);
+    res.status(500).json({ error: 'Error exportando el evento' });
+  }
+});
+
+// GET /api/events/:id/history - Historial de cambios de estado (cancelaciones, aplazamientos, moderación)
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !canViewEvent(event, req.user)) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    // Quién hizo cada cambio solo lo ven el equipo del evento y los moderadores
+    const showAuthors = canSeeInternals(event, req.user);
+    const history = event.historialEstados.map(change => {
+      const entry = change.toObject();
+      if (!showAuthors) delete entry.usuario;
+      return entry;
+    });
+
+    res.json({
+      estado: event.estado,
+      aviso: event.aviso,
+      historial: history
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error obteniendo historial del evento:', error);
+    res.status(500).json({ error: 'Error obteniendo el historial del evento' });
+  }
+});
+
+// GET /api/events/:id/attendees - Listado de asistentes (organizador y colaboradores)
+router.get('/:id/attendees', requireAuth, requireEventPermission('attendees'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const { confirmados, enEspera } = await Attendance.getEventAttendees(event._id);
+
+    res.json({
+      evento: {
+        id: event._id,
+        nombre: event.nombre,
+        capacidad: event.capacidad,
+        plazasDisponibles: event.toJSON().plazasDisponibles
+      },
+      counts: {
+        confirmados: confirmados.length,
+        enEspera: enEspera.length
+      },
+      confirmados: confirmados,
+      enEspera: enEspera
+    });
+  } catch (error) {
+    console.error('Error obteniendo asistentes:', error);
+    res.status(500).json({ error: 'Error obteniendo asistentes del evento' });
+  }
+});
+
+// POST /api/events/:id/attendees - Inscribirse en un evento (requiere autenticación)
+router.post('/:id/attendees', requireAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    if (!event.isOpen()) {
+      const errors = {
+        cancelado: 'El evento ha sido cancelado',
+        aplazado: 'El evento está aplazado hasta que se confirme la nueva fecha'
+      };
+      return res.status(400).json({ error: errors[event.estado] || 'No es posible inscribirse en un evento no publicado' });
+    }
+
+    if (!event.getNextOccurrence()) {
+      return res.status(400).json({ error: 'No es posible inscribirse en un evento pasado' });
+    }
+
+    // Los eventos con venta de entradas no admiten inscripción libre
+    if (await TicketType.exists({ evento: event._id, activo: true })) {
+      return res.status(409).json({ error: 'Este evento requiere entrada. Cómprala en /ticket-types' });
+    }
+
+    const attendance = await Attendance.register(event, req.user);
+    const confirmed = attendance.estado === 'confirmado';
+
+    res.status(201).json({
+      message: confirmed
+        ? 'Inscripción confirmada'
+        : 'El evento está completo. Te hemos añadido a la lista de espera',
+      attendance: attendance
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya estás inscrito en este evento' });
+    }
+    console.error('Error inscribiendo en evento:', error);
+    res.status(500).json({ error: 'Error inscribiendo en el evento' });
+  }
+});
+
+// DELETE /api/events/:id/attendees - Cancelar inscripción en un evento (requiere autenticación)
+router.delete('/:id/attendees', requireAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    const { cancelled, promoted } = await Attendance.unregister(event, req.user.email);
+
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No estás inscrito en este evento' });
+    }
+
+    res.json({
+      message: 'Inscripción cancelada',
+      promoted: promoted.length
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error cancelando inscripción:', error);
+    res.status(500).json({ error: 'Error cancelando la inscripción' });
+  }
+});
+
+// POST /api/events/:id/report - Denunciar un evento publicado (requiere autenticación)
+router.post('/:id/report', requireAuth, async (req, res) => {
+  try {
+    const { motivo, comentario } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !event.isPublic()) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    if (event.organizador === req.user.email) {
+      return res.status(400).json({ error: 'No puedes denunciar tu propio evento' });
+    }
+
+    const report = await Report.create({
+      evento: event._id,
+      usuario: req.user.email,
+      motivo: motivo,
+      comentario: comentario || ''
+    });
+
+    res.status(201).json({
+      message: 'Denuncia registrada. Un moderador la revisará',
+      report: report
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya has denunciado este evento' });
+    }
+    console.error('Error denunciando evento:', error);
+    res.status(500).json({ error: 'Error registrando la denuncia' });
+  }
+});
+
+// POST /api/events/:id/submit - Enviar a revisión un borrador o un evento rechazado (propietario o editor)
+router.post('/:id/submit', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+
+    if (!['borrador', 'rechazado'].includes(event.estado)) {
+      return res.status(400).json({
+        error: 'Solo se pueden enviar a revisión los borradores y los eventos rechazados',
+        estado: event.estado
+      });
+    }
+
+    // Los eventos de los moderadores se publican sin revisión
+    const estado = isModerator(req.user) ? 'publicado' : 'pendiente';
+    event.setStatus(estado, { usuario: req.user.email });
+    await event.save();
+
+    res.json({
+      message: estado === 'publicado' ? 'Evento publicado' : 'Evento enviado a revisión',
+      event: event
+    });
+  } catch (error) {
+    console.error('Error enviando evento a revisión:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error enviando el evento a revisión' });
+  }
+});
+
+// POST /api/events/:id/cancel - Cancelar un evento manteniéndolo visible (propietario o editor)
+router.post('/:id/cancel', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const motivo = typeof req.body.motivo === 'string' ? req.body.motivo.trim() : '';
+
+    if (!motivo) {
+      return res.status(400).json({ error: 'El motivo de la cancelación es requerido' });
+    }
+
+    if (!['publicado', 'aplazado'].includes(event.estado)) {
+      return res.status(400).json({
+        error: 'Solo se pueden cancelar eventos publicados o aplazados',
+        estado: event.estado
+      });
+    }
+
+    // Los destinatarios se obtienen antes de anular las entradas. Los pedidos cobrados se
+    // reembolsan antes de cancelar: si falla una devolución el evento sigue activo y se puede reintentar
+    const audience = await getEventAudience(event._id);
+    await closeSales(event);
+
+    event.cancel(req.user.email, motivo);
+    await event.save();
+
+    notifyEventChangeInBackground(event, 'evento_cancelado', { actor: req.user.email, motivo, audience });
+
+    res.json({
+      message: 'Evento cancelado',
+      event: event
+    });
+  } catch (error) {
+    console.error('Error cancelando evento:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error cancelando el evento' });
+  }
+});
+
+// POST /api/events/:id/postpone - Aplazar un evento, con o sin nueva fecha (propietario o editor)
+router.post('/:id/postpone', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const motivo = typeof req.body.motivo === 'string' ? req.body.motivo.trim() : '';
+    const { nuevaFecha } = req.body;
+
+    if (!motivo) {
+      return res.status(400).json({ error: 'El motivo del aplazamiento es requerido' });
+    }
+
+    if (!['publicado', 'aplazado'].includes(event.estado)) {
+      return res.status(400).json({
+        error: 'Solo se pueden aplazar eventos publicados o aplazados',
+        estado: event.estado
+      });
+    }
+
+    if (event.recurrencia) {
+      return res.status(400).json({
+        error: 'Los eventos recurrentes no se aplazan en bloque: modifica o cancela las ocurrencias concretas'
+      });
+    }
+
+    let start = null;
+    let end = { fin: undefined };
+    if (nuevaFecha) {
+      start = new Date(nuevaFecha);
+      if (isNaN(start.getTime()) || start <= new Date()) {
+        return res.status(400).json({ error: 'La nueva fecha debe ser una fecha futura válida' });
+      }
+      end = parseEndDate(req.body, start);
+      if (end.error) {
+        return res.status(400).json({ error: end.error });
+      }
+    }
+
+    event.postpone(req.user.email, motivo, start, end.fin);
+    await event.save();
+
+    notifyEventChangeInBackground(event, 'evento_aplazado', { actor: req.user.email, motivo });
+
+    res.json({
+      message: start ? 'Evento aplazado a la nueva fecha' : 'Evento aplazado. Nueva fecha pendiente de confirmar',
+      event: event
+    });
+  } catch (error) {
+    console.error('Error aplazando evento:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error aplazando el evento' });
+  }
+});
+
+// POST /api/events/:id/restore - Restaurar un evento eliminado dentro del plazo (solo organizador)
+router.post('/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      organizador: req.user.email,
+      eliminadoEn: { $ne: null }
+    });
+
+    if (!event) {
+      return res.status(404).json({ error: 'Evento eliminado no encontrado' });
+    }
+
+    if (!event.canRestore()) {
+      return res.status(410).json({ error: 'El plazo para restaurar el evento ha vencido' });
+    }
+
+    event.restore();
+    await event.save();
+
+    res.json({
+      message: 'Evento restaurado exitosamente',
+      event: event
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error restaurando evento:', error);
+    res.status(500).json({ error: 'Error restaurando el evento' });
+  }
+});
+
+// Obtiene la ocurrencia indicada en la URL validando que pertenece a la serie
+const getRequestedOccurrence = (req, res) => {
+  const event = req.event;
+
+  if (!event.recurrencia) {
+    res.status(400).json({ error: 'El evento no es recurrente' });
+    return null;
+  }
+
+  const fecha = new Date(req.params.fecha);
+  if (isNaN(fecha.getTime()) || !event.isOccurrence(fecha)) {
+    res.status(404).json({ error: 'Ocurrencia no encontrada' });
+    return null;
+  }
+
+  return fecha;
+};
+
+// PUT /api/events/:id/occurrences/:fecha - Modificar una única ocurrencia (propietario o editor)
+router.put('/:id/occurrences/:fecha', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const fecha = getRequestedOccurrence(req, res);
+    if (!fecha) return;
+
+    const { nombre, timestamp, lugar, descripcion } = req.body;
+    let override = event.modificaciones.find(mod => mod.fechaOriginal.getTime() === fecha.getTime());
+    if (!override) {
+      event.modificaciones.push({ fechaOriginal: fecha });
+      override = event.modificaciones[event.modificaciones.length - 1];
+    }
+
+    if (nombre) override.nombre = nombre;
+    if (descripcion !== undefined) override.descripcion = descripcion;
+    if (timestamp) {
+      const newDate = new Date(timestamp);
+      if (isNaN(newDate.getTime()) || newDate <= new Date()) {
+        return res.status(400).json({ error: 'La nueva fecha de la ocurrencia debe ser futura' });
+      }
+      override.timestamp = newDate;
+    }
+
+    if (lugar && lugar !== event.lugar) {
+      try {
+        const coordinates = await geocoder.geocode(lugar);
+        override.lugar = coordinates.formatted || lugar;
+        override.lat = coordinates.lat;
+        override.lon = coordinates.lon;
+      } catch (geocodingError) {
+        return res.status(400).json({
+          error: 'No se pudieron obtener las coordenadas de la nueva dirección',
+          details: geocodingError.message
+        });
+      }
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Ocurrencia actualizada exitosamente',
+      occurrence: event.getOccurrences(fecha, fecha)[0]
+    });
+  } catch (error) {
+    console.error('Error actualizando ocurrencia:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error actualizando la ocurrencia' });
+  }
+});
+
+// DELETE /api/events/:id/occurrences/:fecha - Cancelar una única ocurrencia (propietario o editor)
+router.delete('/:id/occurrences/:fecha', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const event = req.event; // Del middleware requireEventPermission
+    const fecha = getRequestedOccurrence(req, res);
+    if (!fecha) return;
+
+    // Se registra como excepción (EXDATE) y se descartan sus cambios puntuales
+    event.recurrencia.excepciones.push(fecha);
+    event.modificaciones = event.modificaciones.filter(mod => mod.fechaOriginal.getTime() !== fecha.getTime());
+    await event.save();
+
+    res.json({
+      message: 'Ocurrencia cancelada exitosamente',
+      fecha: fecha
+    });
+  } catch (error) {
+    console.error('Error cancelando ocurrencia:', error);
+    res.status(500).json({ error: 'Error cancelando la ocurrencia' });
+  }
+});
+
 // POST /api/events - Crear nuevo evento (requiere autenticación)
 router.post('/', requireAuth, upload.single('imagen'), async (req, res) => {
   try {
-    const { nombre, timestamp, lugar, descripcion, categoria, precio, capacidad } = req.body;
+    const {
+      nombre, timestamp, lugar, lat, lon, descripcion, categoria, precio, capacidad, recurrencia, zonaHoraria,
+      borrador
+    } = req.body;
     
-    // Validaciones básicas
-    if (!nombre || !timestamp || !lugar) {
+    // Validaciones básicas (el lugar puede venir dado por el espacio)
+    if (!nombre || !timestamp || (!lugar && !req.body.venue)) {
       return res.status(400).json({ 
-        error: 'Faltan campos obligatorios: nombre, timestamp y lugar son requeridos' 
+        error: 'Faltan campos obligatorios: nombre, timestamp y lugar (o venue) son requeridos' 
       });
     }
 
-    // Obtener coordenadas de la dirección
+    const links = await resolveEventLinks(req.body, req.user.email);
+    if (links.error) {
+      return res.status(links.error.status).json(links.error.body);
+    }
+
+    // Sin capacidad explícita se usa el aforo del espacio
+    const eventCapacity = capacidad ? parseInt(capacidad) : (links.venue ? links.venue.capacidad : null);
+    if (exceedsVenueCapacity(eventCapacity, links.venue)) {
+      return res.status(400).json({
+        error: 'La capacidad no puede superar el aforo del espacio',
+        aforo: links.venue.capacidad
+      });
+    }
+
+    // Fin del evento opcional (fecha de fin o duración en minutos)
+    const end = parseEndDate(req.body, new Date(timestamp));
+    if (end.error) {
+      return res.status(400).json({ error: end.error });
+    }
+
+    // Regla de recurrencia opcional (puede llegar como JSON en multipart/form-data)
+    let recurrenceRule = null;
+    if (recurrencia !== undefined) {
+      const parsed = parseRecurrenceInput(recurrencia);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      recurrenceRule = parsed.rule;
+    }
+
+    // Usar la ubicación del espacio, las coordenadas enviadas (p. ej. clic en el mapa)
+    // o geocodificar la dirección
     let coordinates;
     try {
-      coordinates = await getCoordinatesFromAddress(lugar);
+      if (links.venue) {
+        const location = links.venue.toEventLocation();
+        coordinates = { lat: location.lat, lon: location.lon, formatted: location.lugar };
+      } else if (lat !== undefined && lon !== undefined) {
+        coordinates = parseCoordinates(lat, lon);
+        if (!coordinates) {
+          return res.status(400).json({ error: 'Coordenadas inválidas' });
+        }
+        coordinates.formatted = lugar;
+      } else {
+        coordinates = await geocoder.geocode(lugar);
+      }
     } catch (geocodingError) {
       return res.status(400).json({
         error: 'No se pudieron obtener las coordenadas de la dirección',
@@ -183,21 +1080,16 @@ router.post('/', requireAuth, upload.single('imagen'), async (req, res) => {
       });
     }
 
-    // Subir imagen si se proporcionó
-    let imageUrl = null;
+    // Subir imagen si se proporcionó (primera imagen y portada de la galería)
+    const imagenes = [];
     if (req.file) {
       try {
-        const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        const uploadResult = await uploadImage(base64Image, 'eventos');
-        
-        if (uploadResult.success) {
-          imageUrl = uploadResult.url;
-        } else {
-          console.warn('Error subiendo imagen:', uploadResult.error);
-        }
+        imagenes.push({ ...await uploadEventImage(req.file, req.user.email), portada: true });
       } catch (imageError) {
-        console.warn('Error procesando imagen:', imageError);
-        // Continuar sin imagen en caso de error
+        return res.status(502).json({
+          error: 'Error subiendo la imagen',
+          details: imageError.message
+        });
       }
     }
 
@@ -205,21 +1097,38 @@ router.post('/', requireAuth, upload.single('imagen'), async (req, res) => {
     const newEvent = new Event({
       nombre,
       timestamp: new Date(timestamp),
+      fin: end.fin || null,
+      ...(zonaHoraria && { zonaHoraria }),
       lugar: coordinates.formatted || lugar,
       lat: coordinates.lat,
       lon: coordinates.lon,
       organizador: req.user.email,
-      imagen: imageUrl,
+      imagenes: imagenes,
       descripcion: descripcion || '',
       categoria: categoria || 'otro',
       precio: precio ? parseFloat(precio) : 0,
-      capacidad: capacidad ? parseInt(capacidad) : null
+      capacidad: eventCapacity,
+      recurrencia: recurrenceRule,
+      venue: links.venue ? links.venue._id : null,
+      organizacion: links.organization ? links.organization._id : null
     });
 
+    // Estado inicial: borrador si se pide; si no, pendiente de revisión
+    // (los eventos de los moderadores se publican directamente)
+    let estado = isModerator(req.user) ? 'publicado' : 'pendiente';
+    if (borrador === true || borrador === 'true') estado = 'borrador';
+    newEvent.setStatus(estado, { usuario: req.user.email });
+
     const savedEvent = await newEvent.save();
 
+    const messages = {
+      borrador: 'Borrador guardado exitosamente',
+      pendiente: 'Evento creado. Se publicará cuando lo apruebe un moderador',
+      publicado: 'Evento creado exitosamente'
+    };
+
     res.status(201).json({
-      message: 'Evento creado exitosamente',
+      message: messages[estado],
       event: savedEvent
     });
   } catch (error) {
@@ -236,24 +1145,87 @@ router.post('/', requireAuth, upload.single('imagen'), async (req, res) => {
   }
 });
 
-// PUT /api/events/:id - Actualizar evento (requiere autenticación y ser organizador)
-router.put('/:id', requireAuth, requireEventOwnership, upload.single('imagen'), async (req, res) => {
+// PUT /api/events/:id - Actualizar evento (requiere ser propietario o editor)
+router.put('/:id', requireAuth, requireEventPermission('edit'), upload.single('imagen'), async (req, res) => {
   try {
-    const { nombre, timestamp, lugar, descripcion, categoria, precio, capacidad } = req.body;
-    const event = req.event; // Del middleware requireEventOwnership
+    const {
+      nombre, timestamp, lugar, descripcion, cronica, categoria, precio, capacidad, recurrencia, zonaHoraria
+    } = req.body;
+    const event = req.event; // Del middleware requireEventPermission
+    const previous = { timestamp: event.timestamp, lugar: event.lugar, publico: event.isPublic() };
+    const held = event.isPast();
+
+    // La crónica solo tiene sentido cuando el evento ya se ha celebrado
+    if (cronica !== undefined && !held) {
+      return res.status(400).json({ error: 'La crónica solo se puede añadir a eventos ya celebrados' });
+    }
+
+    const links = await resolveEventLinks(req.body, req.user.email);
+    if (links.error) {
+      return res.status(links.error.status).json(links.error.body);
+    }
+
+    // Asignar (o quitar) el espacio: la ubicación se copia de él
+    if (links.venue) {
+      event.setVenue(links.venue);
+    } else if (links.venue === null) {
+      event.venue = null;
+    }
+    if (links.organization !== undefined) {
+      event.organizacion = links.organization ? links.organization._id : null;
+    }
 
     // Actualizar campos básicos
     if (nombre) event.nombre = nombre;
-    if (timestamp) event.timestamp = new Date(timestamp);
+    if (timestamp) {
+      // Al mover el inicio se conserva la duración salvo que se indique un nuevo fin
+      const durationMs = event.fin ? event.fin - event.timestamp : null;
+      event.timestamp = new Date(timestamp);
+      if (durationMs !== null) event.fin = new Date(event.timestamp.getTime() + durationMs);
+    }
+    const end = parseEndDate(req.body, event.timestamp);
+    if (end.error) {
+      return res.status(400).json({ error: end.error });
+    }
+    if (end.fin !== undefined) event.fin = end.fin;
+    if (zonaHoraria) event.zonaHoraria = zonaHoraria;
     if (descripcion !== undefined) event.descripcion = descripcion;
+    if (cronica !== undefined) event.cronica = cronica;
     if (categoria) event.categoria = categoria;
     if (precio !== undefined) event.precio = parseFloat(precio);
-    if (capacidad !== undefined) event.capacidad = capacidad ? parseInt(capacidad) : null;
 
-    // Si se cambió la dirección, obtener nuevas coordenadas
-    if (lugar && lugar !== event.lugar) {
+    // Cambiar la regla de recurrencia afecta a toda la serie
+    if (recurrencia !== undefined) {
+      const parsed = parseRecurrenceInput(recurrencia);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      event.recurrencia = parsed.rule;
+      if (!parsed.rule) event.modificaciones = [];
+    }
+    if (capacidad !== undefined) {
+      const nuevaCapacidad = capacidad ? parseInt(capacidad) : null;
+      if (nuevaCapacidad !== null && nuevaCapacidad < event.plazasOcupadas) {
+        return res.status(400).json({
+          error: 'La capacidad no puede ser inferior al número de asistentes confirmados',
+          plazasOcupadas: event.plazasOcupadas
+        });
+      }
+      event.capacidad = nuevaCapacidad;
+    }
+
+    const eventVenue = links.venue || (capacidad !== undefined && event.venue ? await Venue.findById(event.venue) : null);
+    if (exceedsVenueCapacity(event.capacidad, eventVenue)) {
+      return res.status(400).json({
+        error: 'La capacidad no puede superar el aforo del espacio',
+        aforo: eventVenue.capacidad
+      });
+    }
+
+    // Si se cambió la dirección (de un evento sin espacio), obtener nuevas coordenadas
+    if (lugar && lugar !== event.lugar && !event.venue) {
       try {
-        const coordinates = await getCoordinatesFromAddress(lugar);
+        const coordinates = await geocoder.geocode(lugar);
         event.lugar = coordinates.formatted || lugar;
         event.lat = coordinates.lat;
         event.lon = coordinates.lon;
@@ -265,32 +1237,69 @@ router.put('/:id', requireAuth, requireEventOwnership, upload.single('imagen'),
       }
     }
 
-    // Actualizar imagen si se proporcionó
+    // Sustituir la portada si se proporcionó una imagen (el resto de la galería se conserva)
+    let replacedImage = null;
     if (req.file) {
+      let image;
       try {
-        // Eliminar imagen anterior si existe
-        if (event.imagen) {
-          // Extraer public_id de la URL de Cloudinary
-          const publicId = event.imagen.split('/').pop().split('.')[0];
-          await deleteImage(`eventos/${publicId}`);
-        }
-
-        // Subir nueva imagen
-        const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        const uploadResult = await uploadImage(base64Image, 'eventos');
-        
-        if (uploadResult.success) {
-          event.imagen = uploadResult.url;
-        }
+        image = await uploadEventImage(req.file, req.user.email);
       } catch (imageError) {
-        console.warn('Error procesando nueva imagen:', imageError);
+        return res.status(502).json({
+          error: 'Error subiendo la imagen',
+          details: imageError.message
+        });
+      }
+
+      event.adoptLegacyImage();
+      const cover = event.getCover();
+      if (cover) {
+        replacedImage = { publicId: cover.publicId, almacen: cover.almacen };
+        Object.assign(cover, image, { pie: '' });
+      } else {
+        event.imagenes.push({ ...image, portada: true });
+      }
+    }
+
+    // Un cambio de contenido (nombre, descripción o portada) en un evento publicado
+    // vuelve a pasar por moderación, salvo que lo haga un moderador
+    const contentChanged = event.isModified('nombre') || event.isModified('descripcion') || !!req.file;
+    const resubmitted = contentChanged && event.estado === 'publicado' && !isModerator(req.user);
+    if (resubmitted) {
+      event.setStatus('pendiente', { usuario: req.user.email, motivo: 'Contenido modificado' });
+    }
+
+    let updatedEvent = await event.save();
+
+    // Eliminar la portada sustituida una vez guardado el evento
+    if (replacedImage) {
+      await deleteImage(replacedImage.publicId, replacedImage.almacen);
+    }
+
+    // Si se amplió el aforo, dar plaza a quienes estaban en lista de espera
+    if (capacidad !== undefined) {
+      const promoted = await Attendance.promoteFromWaitlist(updatedEvent._id);
+      if (promoted.length > 0) {
+        updatedEvent = await Event.findById(updatedEvent._id);
       }
     }
 
-    const updatedEvent = await event.save();
+    // Avisar a los asistentes si cambió la fecha o el lugar de un evento ya publicado, aunque
+    // vuelva a revisión (las correcciones de un evento ya celebrado no se notifican)
+    const cambios = {};
+    if (updatedEvent.timestamp.getTime() !== previous.timestamp.getTime()) {
+      cambios.timestamp = { antes: previous.timestamp, despues: updatedEvent.timestamp };
+    }
+    if (updatedEvent.lugar !== previous.lugar) {
+      cambios.lugar = { antes: previous.lugar, despues: updatedEvent.lugar };
+    }
+    if (Object.keys(cambios).length > 0 && previous.publico && !held) {
+      notifyEventChangeInBackground(updatedEvent, 'evento_modificado', { actor: req.user.email, cambios });
+    }
 
     res.json({
-      message: 'Evento actualizado exitosamente',
+      message: resubmitted
+        ? 'Evento actualizado. Se volverá a publicar cuando lo apruebe un moderador'
+        : 'Evento actualizado exitosamente',
       event: updatedEvent
     });
   } catch (error) {
@@ -307,29 +1316,40 @@ router.put('/:id', requireAuth, requireEventOwnership, upload.single('imagen'),
   }
 });
 
-// DELETE /api/events/:id - Eliminar evento (requiere autenticación y ser organizador)
-router.delete('/:id', requireAuth, requireEventOwnership, async (req, res) => {
+// DELETE /api/events/:id - Eliminar evento (requiere ser el propietario).
+// Se puede restaurar durante Event.RESTORE_DAYS días; ?permanente=true lo elimina definitivamente
+router.delete('/:id', requireAuth, requireEventPermission('delete'), async (req, res) => {
   try {
-    const event = req.event; // Del middleware requireEventOwnership
+    const event = req.event; // Del middleware requireEventPermission
 
-    // Eliminar imagen de Cloudinary si existe
-    if (event.imagen) {
-      try {
-        const publicId = event.imagen.split('/').pop().split('.')[0];
-        await deleteImage(`eventos/${publicId}`);
-      } catch (imageError) {
-        console.warn('Error eliminando imagen:', imageError);
-      }
+    if (req.query.permanente === 'true') {
+      // Los destinatarios se obtienen antes de borrar inscripciones y entradas
+      const audience = isUpcomingForAttendees(event) ? await getEventAudience(event._id) : [];
+      await purgeEvent(event);
+      notifyEventChangeInBackground(event, 'evento_eliminado', { actor: req.user.email, audience });
+
+      return res.json({
+        message: 'Evento eliminado definitivamente',
+        deletedEvent: {
+          id: event._id,
+          nombre: event.nombre
+        }
+      });
     }
 
-    // Eliminar evento
-    await Event.findByIdAndDelete(req.params.id);
+    event.softDelete(req.user.email);
+    await event.save();
+
+    if (isUpcomingForAttendees(event)) {
+      notifyEventChangeInBackground(event, 'evento_eliminado', { actor: req.user.email });
+    }
 
     res.json({
-      message: 'Evento eliminado exitosamente',
+      message: 'Evento eliminado. Puedes restaurarlo desde la papelera',
       deletedEvent: {
         id: event._id,
-        nombre: event.nombre
+        nombre: event.nombre,
+        restaurableHasta: event.toJSON().restaurableHasta
       }
     });
   } catch (error) {
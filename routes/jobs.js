@@ -0,0 +1,79 @@
+const express = require('express');
+const Job = require('../models/Job');
+const jobs = require('../services/jobs');
+const { requireAuth, requireRole } = require('../config/passport');
+
+const router = express.Router();
+
+// Todas las rutas del planificador requieren rol de administrador
+router.use(requireAuth, requireRole('admin'));
+
+// GET /api/jobs - Estado del planificador: trabajos periódicos, cola y últimos fallos
+router.get('/', async (req, res) => {
+  try {
+    res.json(await jobs.getStatus());
+  } catch (error) {
+    console.error('Error obteniendo el estado de los trabajos:', error);
+    res.status(500).json({ error: 'Error al obtener el estado de los trabajos' });
+  }
+});
+
+// GET /api/jobs/:id - Detalle de un trabajo
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Trabajo no encontrado' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de trabajo inválido' });
+    }
+    console.error('Error obteniendo trabajo:', error);
+    res.status(500).json({ error: 'Error al obtener el trabajo' });
+  }
+});
+
+// POST /api/jobs/:nombre/run - Ejecutar un trabajo registrado en la siguiente comprobación
+router.post('/:nombre/run', async (req, res) => {
+  try {
+    if (!jobs.definitions.has(req.params.nombre)) {
+      return res.status(404).json({ error: 'Trabajo desconocido' });
+    }
+
+    const job = await jobs.runNow(req.params.nombre);
+    if (!job) {
+      return res.status(409).json({ error: 'El trabajo ya se está ejecutando' });
+    }
+
+    res.status(202).json({
+      message: 'Trabajo programado para ejecutarse en la siguiente comprobación',
+      job
+    });
+  } catch (error) {
+    console.error('Error programando trabajo:', error);
+    res.status(500).json({ error: 'Error al programar el trabajo' });
+  }
+});
+
+// POST /api/jobs/:id/retry - Reintentar un trabajo fallido
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await jobs.retry(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Trabajo fallido no encontrado' });
+    }
+
+    res.status(202).json({ message: 'Trabajo reencolado', job });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de trabajo inválido' });
+    }
+    console.error('Error reintentando trabajo:', error);
+    res.status(500).json({ error: 'Error al reintentar el trabajo' });
+  }
+});
+
+module.exports = router;
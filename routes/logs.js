@@ -1,11 +1,11 @@
 const express = require('express');
 const LoginLog = require('../models/LoginLog');
-const { requireAuth } = require('../config/passport');
+const { requireAuth, requireRole } = require('../config/passport');
 
 const router = express.Router();
 
-// GET /api/logs - Obtener todos los logs de login (ordenados por fecha descendente)
-router.get('/', async (req, res) => {
+// GET /api/logs - Obtener todos los logs de login (ordenados por fecha descendente, solo admin)
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
   try {
     const { limit = 100, page = 1, user } = req.query;
     
@@ -46,8 +46,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/logs/recent - Obtener logs recientes (últimos 50 por defecto)
-router.get('/recent', async (req, res) => {
+// GET /api/logs/recent - Obtener logs recientes (últimos 50 por defecto, solo admin)
+router.get('/recent', requireAuth, requireRole('admin'), async (req, res) => {
   try {
     const { limit = 50 } = req.query;
     
@@ -63,8 +63,8 @@ router.get('/recent', async (req, res) => {
   }
 });
 
-// GET /api/logs/user/:email - Obtener logs de un usuario específico
-router.get('/user/:email', async (req, res) => {
+// GET /api/logs/user/:email - Obtener logs de un usuario específico (solo admin)
+router.get('/user/:email', requireAuth, requireRole('admin'), async (req, res) => {
   try {
     const { email } = req.params;
     const { limit = 50 } = req.query;
@@ -100,8 +100,8 @@ router.get('/my-logs', requireAuth, async (req, res) => {
   }
 });
 
-// GET /api/logs/stats - Obtener estadísticas de los logs
-router.get('/stats', async (req, res) => {
+// GET /api/logs/stats - Obtener estadísticas de los logs (moderadores y admin)
+router.get('/stats', requireAuth, requireRole('moderator'), async (req, res) => {
   try {
     // Total de logs
     const totalLogs = await LoginLog.countDocuments();
@@ -182,10 +182,9 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// DELETE /api/logs/cleanup - Limpiar tokens expirados (solo para administradores o uso interno)
-router.delete('/cleanup', async (req, res) => {
+// DELETE /api/logs/cleanup - Limpiar tokens expirados (solo admin)
+router.delete('/cleanup', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    // En un entorno de producción, esta ruta debería tener autenticación de admin
     const result = await LoginLog.cleanExpiredTokens();
     
     res.json({
@@ -198,8 +197,8 @@ router.delete('/cleanup', async (req, res) => {
   }
 });
 
-// POST /api/logs/search - Búsqueda avanzada de logs
-router.post('/search', async (req, res) => {
+// POST /api/logs/search - Búsqueda avanzada de logs (solo admin)
+router.post('/search', requireAuth, requireRole('admin'), async (req, res) => {
   try {
     const { 
       usuario, 
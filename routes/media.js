@@ -0,0 +1,61 @@
+const express = require('express');
+const { providers } = require('../services/storage');
+
+// Imágenes del almacenamiento local (STORAGE_PROVIDER=local), montadas en /api/media
+const router = express.Router();
+const local = providers.local;
+
+// Las URL de las imágenes no cambian (cada subida genera un public_id nuevo)
+const CACHE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// Lee un tamaño de la query (?ancho=&alto=)
+const parseSize = (value) => {
+  if (value === undefined) return { size: null };
+  const size = parseInt(value);
+  if (isNaN(size) || size < 1) {
+    return { error: 'El ancho y el alto deben ser números positivos' };
+  }
+  return { size };
+};
+
+// GET /api/media/<carpeta>/<id>.<formato> - Servir una imagen (?ancho, ?alto, ?recorte=fill|limit).
+// Los tamaños se ajustan al siguiente de los que admite el almacenamiento local (SERVE_SIZES)
+router.get(/^\/(.+)\.([a-z0-9]+)$/i, async (req, res) => {
+  try {
+    const publicId = req.params[0];
+    const format = req.params[1].toLowerCase();
+
+    if (!local.FORMATS[format]) {
+      return res.status(400).json({ error: `Formato no válido. Valores permitidos: ${Object.keys(local.FORMATS).join(', ')}` });
+    }
+
+    const width = parseSize(req.query.ancho);
+    const height = parseSize(req.query.alto);
+    if (width.error || height.error) {
+      return res.status(400).json({ error: width.error || height.error });
+    }
+
+    const crop = req.query.recorte || 'limit';
+    if (!['fill', 'limit'].includes(crop)) {
+      return res.status(400).json({ error: 'El recorte debe ser fill o limit' });
+    }
+
+    const image = await local.render(publicId, { width: width.size, height: height.size, crop, format });
+    if (!image) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': `public, max-age=${CACHE_MAX_AGE_SECONDS}, immutable`,
+      // El frontend está en otro dominio: helmet bloquearía la imagen por defecto
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(image.buffer);
+  } catch (error) {
+    console.error('Error sirviendo imagen:', error);
+    res.status(500).json({ error: 'Error obteniendo la imagen' });
+  }
+});
+
+module.exports = router;
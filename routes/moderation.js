@@ -0,0 +1,158 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Report = require('../models/Report');
+const { requireAuth, requireRole } = require('../config/passport');
+
+const router = express.Router();
+
+// Todas las rutas de moderación requieren rol de moderador (o administrador)
+router.use(requireAuth, requireRole('moderator'));
+
+// Obtiene el evento de la URL o responde con el error correspondiente
+const findEvent = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'ID de evento inválido' });
+    return null;
+  }
+
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    res.status(404).json({ error: 'Evento no encontrado' });
+    return null;
+  }
+
+  return event;
+};
+
+// GET /api/moderation/queue - Cola de moderación: eventos pendientes de revisión y eventos denunciados
+router.get('/queue', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    // Los más antiguos primero: se revisan por orden de llegada
+    const pending = await Event.find({ estado: 'pendiente' })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const summary = await Report.getPendingSummary(limit);
+    const reportedEvents = await Event.find({ _id: { $in: summary.map(item => item.evento) } });
+    const eventsById = new Map(reportedEvents.map(event => [String(event._id), event]));
+
+    const reported = summary
+      .filter(item => eventsById.has(String(item.evento)))
+      .map(item => ({
+        event: eventsById.get(String(item.evento)),
+        denuncias: {
+          total: item.total,
+          motivos: item.motivos,
+          ultima: item.ultima
+        }
+      }));
+
+    res.json({
+      counts: {
+        pendientes: pending.length,
+        denunciados: reported.length
+      },
+      pendientes: pending,
+      denunciados: reported
+    });
+  } catch (error) {
+    console.error('Error obteniendo cola de moderación:', error);
+    res.status(500).json({ error: 'Error obteniendo la cola de moderación' });
+  }
+});
+
+// GET /api/moderation/events/:id - Evento con su historial de estados y sus denuncias
+router.get('/events/:id', async (req, res) => {
+  try {
+    const event = await findEvent(req, res);
+    if (!event) return;
+
+    const reports = await Report.find({ evento: event._id }).sort({ createdAt: -1 });
+
+    res.json({
+      event: { ...event.toJSON(), historialEstados: event.historialEstados },
+      denuncias: reports
+    });
+  } catch (error) {
+    console.error('Error obteniendo evento para moderación:', error);
+    res.status(500).json({ error: 'Error obteniendo el evento' });
+  }
+});
+
+// POST /api/moderation/events/:id/approve - Aprobar (publicar) un evento pendiente o denunciado
+router.post('/events/:id/approve', async (req, res) => {
+  try {
+    const event = await findEvent(req, res);
+    if (!event) return;
+
+    if (!['pendiente', 'publicado', 'rechazado'].includes(event.estado)) {
+      return res.status(400).json({
+        error: 'Solo se pueden aprobar eventos pendientes, publicados o rechazados',
+        estado: event.estado
+      });
+    }
+
+    const motivo = req.body.motivo || '';
+    if (event.estado !== 'publicado') {
+      event.setStatus('publicado', { usuario: req.user.email, motivo });
+      await event.save();
+    }
+
+    // Aprobar un evento publicado equivale a descartar sus denuncias
+    const reports = await Report.closeForEvent(event._id, 'descartado', req.user.email);
+
+    res.json({
+      message: 'Evento aprobado',
+      event: event,
+      denunciasCerradas: reports.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error aprobando evento:', error);
+    res.status(500).json({ error: 'Error aprobando el evento' });
+  }
+});
+
+// POST /api/moderation/events/:id/reject - Rechazar un evento (el motivo es obligatorio)
+router.post('/events/:id/reject', async (req, res) => {
+  try {
+    const motivo = typeof req.body.motivo === 'string' ? req.body.motivo.trim() : '';
+    if (!motivo) {
+      return res.status(400).json({ error: 'El motivo del rechazo es requerido' });
+    }
+
+    const event = await findEvent(req, res);
+    if (!event) return;
+
+    if (!['pendiente', 'publicado', 'aplazado'].includes(event.estado)) {
+      return res.status(400).json({
+        error: 'Solo se pueden rechazar eventos pendientes, publicados o aplazados',
+        estado: event.estado
+      });
+    }
+
+    event.setStatus('rechazado', { usuario: req.user.email, motivo });
+    await event.save();
+
+    const reports = await Report.closeForEvent(event._id, 'resuelto', req.user.email);
+
+    res.json({
+      message: 'Evento rechazado',
+      event: event,
+      denunciasCerradas: reports.modifiedCount
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Error rechazando evento:', error);
+    res.status(500).json({ error: 'Error rechazando el evento' });
+  }
+});
+
+module.exports = router;
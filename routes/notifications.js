@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { requireAuth } = require('../config/passport');
+const { notify } = require('../services/notifications');
+
+const router = express.Router();
+
+// Todas las rutas de notificaciones requieren autenticación
+router.use(requireAuth);
+
+// Preferencias tal como las ve su propietario (incluye el secreto de firma del webhook)
+const toPreferencesResponse = (preferences) => ({
+  canales: preferences.canales,
+  tipos: preferences.tipos,
+  webhookUrl: preferences.webhookUrl,
+  webhookSecret: preferences.webhookSecret,
+  canalesDisponibles: NotificationPreference.CANALES
+});
+
+// GET /api/notifications - Bandeja de entrada (?noLeidas=true, ?antesDe=<fecha> para paginar)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { usuario: req.user.email };
+
+    if (req.query.noLeidas === 'true') {
+      filter.leida = false;
+    }
+    if (req.query.antesDe) {
+      const before = new Date(req.query.antesDe);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'La fecha antesDe no es válida' });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const [notifications, noLeidas] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ usuario: req.user.email, leida: false })
+    ]);
+
+    res.json({
+      count: notifications.length,
+      noLeidas: noLeidas,
+      notifications: notifications
+    });
+  } catch (error) {
+    console.error('Error obteniendo notificaciones:', error);
+    res.status(500).json({ error: 'Error obteniendo notificaciones' });
+  }
+});
+
+// GET /api/notifications/preferences - Preferencias de notificación del usuario
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.findOrCreate(req.user.email);
+    res.json(toPreferencesResponse(preferences));
+  } catch (error) {
+    console.error('Error obteniendo preferencias de notificación:', error);
+    res.status(500).json({ error: 'Error obteniendo preferencias' });
+  }
+});
+
+// PUT /api/notifications/preferences - Actualizar canales, tipos y webhook
+// ({ canales: { email, inapp, webhook }, tipos: { cambios, recordatorios }, webhookUrl, rotarSecreto })
+router.put('/preferences', async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.findOrCreate(req.user.email);
+    const { canales, tipos, webhookUrl, rotarSecreto } = req.body;
+    const toBoolean = (value) => value === true || value === 'true';
+
+    if (canales && typeof canales === 'object') {
+      NotificationPreference.CANALES.forEach(canal => {
+        if (canales[canal] !== undefined) preferences.canales[canal] = toBoolean(canales[canal]);
+      });
+    }
+    if (tipos && typeof tipos === 'object') {
+      ['cambios', 'recordatorios'].forEach(tipo => {
+        if (tipos[tipo] !== undefined) preferences.tipos[tipo] = toBoolean(tipos[tipo]);
+      });
+    }
+    if (webhookUrl !== undefined) {
+      preferences.webhookUrl = webhookUrl || null;
+    }
+    if (toBoolean(rotarSecreto)) {
+      preferences.rotateWebhookSecret();
+    }
+
+    await preferences.save();
+
+    res.json({
+      message: 'Preferencias actualizadas',
+      ...toPreferencesResponse(preferences)
+    });
+  } catch (error) {
+    console.error('Error actualizando preferencias de notificación:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error actualizando preferencias' });
+  }
+});
+
+// POST /api/notifications/test - Enviar una notificación de prueba por los canales activos
+router.post('/test', async (req, res) => {
+  try {
+    const result = await notify([req.user.email], {
+      tipo: 'prueba',
+      titulo: 'Notificación de prueba',
+      mensaje: 'Si estás leyendo esto, tus notificaciones de Eventual funcionan correctamente.'
+    });
+
+    res.json({
+      message: 'Notificación de prueba enviada',
+      envios: result
+    });
+  } catch (error) {
+    console.error('Error enviando notificación de prueba:', error);
+    res.status(500).json({ error: 'Error enviando la notificación de prueba' });
+  }
+});
+
+// POST /api/notifications/read-all - Marcar todas las notificaciones como leídas
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.markRead(req.user.email);
+
+    res.json({
+      message: 'Notificaciones marcadas como leídas',
+      actualizadas: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marcando notificaciones como leídas:', error);
+    res.status(500).json({ error: 'Error actualizando notificaciones' });
+  }
+});
+
+// POST /api/notifications/:id/read - Marcar una notificación como leída
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de notificación inválido' });
+    }
+
+    await Notification.markRead(req.user.email, { _id: req.params.id });
+    const notification = await Notification.findOne({ _id: req.params.id, usuario: req.user.email });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error marcando notificación como leída:', error);
+    res.status(500).json({ error: 'Error actualizando notificación' });
+  }
+});
+
+// DELETE /api/notifications/:id - Eliminar una notificación de la bandeja
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de notificación inválido' });
+    }
+
+    const result = await Notification.deleteOne({ _id: req.params.id, usuario: req.user.email });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    res.json({ message: 'Notificación eliminada' });
+  } catch (error) {
+    console.error('Error eliminando notificación:', error);
+    res.status(500).json({ error: 'Error eliminando notificación' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const { requireAuth } = require('../config/passport');
+
+const router = express.Router();
+
+// Todas las rutas de pedidos requieren autenticación
+router.use(requireAuth);
+
+// Obtiene un pedido del usuario autenticado o responde con el error correspondiente
+const findOwnOrder = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'ID de pedido inválido' });
+    return null;
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, usuario: req.user.email });
+  if (!order) {
+    res.status(404).json({ error: 'Pedido no encontrado' });
+    return null;
+  }
+  return order;
+};
+
+// GET /api/orders - Pedidos del usuario autenticado (?estado=pagado)
+router.get('/', async (req, res) => {
+  try {
+    await Order.releaseExpired({ usuario: req.user.email });
+
+    const filter = { usuario: req.user.email };
+    if (req.query.estado) {
+      if (!Order.ESTADOS.includes(req.query.estado)) {
+        return res.status(400).json({ error: `Estado no válido. Valores permitidos: ${Order.ESTADOS.join(', ')}` });
+      }
+      filter.estado = req.query.estado;
+    }
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate({ path: 'evento', select: 'nombre timestamp lugar imagen', options: { withDeleted: true } });
+
+    res.json({
+      count: orders.length,
+      orders: orders
+    });
+  } catch (error) {
+    console.error('Error obteniendo pedidos:', error);
+    res.status(500).json({ error: 'Error obteniendo pedidos' });
+  }
+});
+
+// GET /api/orders/:id - Detalle de un pedido del usuario con sus entradas
+router.get('/:id', async (req, res) => {
+  try {
+    let order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    if (order.estado === 'pendiente' && order.caducidad <= new Date()) {
+      order = (await Order.release(order, 'caducado')) || await Order.findById(order._id);
+    }
+
+    const tickets = order.estado === 'pagado' ? await Ticket.find({ pedido: order._id }) : [];
+
+    res.json({
+      ...order.toJSON(),
+      tickets: tickets
+    });
+  } catch (error) {
+    console.error('Error obteniendo pedido:', error);
+    res.status(500).json({ error: 'Error obteniendo pedido' });
+  }
+});
+
+// POST /api/orders/:id/cancel - Cancelar un pedido pendiente de pago y liberar sus entradas
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const cancelled = await Order.release(order, 'cancelado');
+    if (!cancelled) {
+      return res.status(409).json({
+        error: 'Solo se pueden cancelar pedidos pendientes de pago',
+        estado: order.estado
+      });
+    }
+
+    res.json({
+      message: 'Pedido cancelado',
+      order: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelando pedido:', error);
+    res.status(500).json({ error: 'Error cancelando pedido' });
+  }
+});
+
+module.exports = router;
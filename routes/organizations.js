@@ -0,0 +1,394 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Event = require('../models/Event');
+const Venue = require('../models/Venue');
+const { requireAuth, optionalAuth } = require('../config/passport');
+const { upload } = require('../config/upload');
+const { uploadImage, deleteImage } = require('../services/storage');
+const { findPublicEventsPage } = require('../utils/eventSearch');
+
+const router = express.Router();
+
+// Obtiene la organización de la URL o responde con el error correspondiente
+const findOrganization = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'ID de organización inválido' });
+    return null;
+  }
+
+  const organization = await Organization.findById(req.params.id);
+  if (!organization) {
+    res.status(404).json({ error: 'Organización no encontrada' });
+    return null;
+  }
+
+  return organization;
+};
+
+// Middleware: la organización debe existir y el usuario ser uno de sus administradores
+const requireOrganizationAdmin = async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    if (!organization.isAdmin(req.user.email)) {
+      return res.status(403).json({ error: 'Solo los administradores de la organización pueden hacer esto' });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Error verificando administrador de la organización:', error);
+    res.status(500).json({ error: 'Error verificando permisos' });
+  }
+};
+
+// Sube el logo recibido (si lo hay) y devuelve { logo: { url, publicId, almacen } | null } o { error }
+const uploadLogo = async (file) => {
+  if (!file) return { logo: null };
+
+  try {
+    const uploadResult = await uploadImage(file, 'organizaciones');
+    return { logo: { url: uploadResult.url, publicId: uploadResult.publicId, almacen: uploadResult.almacen } };
+  } catch (imageError) {
+    return { error: imageError.message };
+  }
+};
+
+const logoErrorResponse = (res, details) => res.status(502).json({
+  error: 'Error subiendo el logo',
+  details: details
+});
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  error: 'Error de validación',
+  details: Object.values(error.errors).map(e => e.message)
+});
+
+// GET /api/organizations - Listar organizaciones (?q filtra por nombre)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const filter = {};
+    if (req.query.q) {
+      const escaped = String(req.query.q).slice(0, 100).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.nombre = { $regex: escaped, $options: 'i' };
+    }
+
+    const organizations = await Organization.find(filter).sort({ nombre: 1 }).limit(limit);
+
+    res.json({
+      count: organizations.length,
+      organizations: organizations.map(org => org.toPublicProfile())
+    });
+  } catch (error) {
+    console.error('Error obteniendo organizaciones:', error);
+    res.status(500).json({ error: 'Error obteniendo organizaciones' });
+  }
+});
+
+// GET /api/organizations/user/mine - Organizaciones del usuario autenticado
+router.get('/user/mine', requireAuth, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'miembros.usuario': req.user.email }).sort({ nombre: 1 });
+
+    res.json({
+      count: organizations.length,
+      organizations: organizations.map(org => ({
+        ...org.toPublicProfile(),
+        miRol: org.getRoleFor(req.user.email)
+      }))
+    });
+  } catch (error) {
+    console.error('Error obteniendo organizaciones del usuario:', error);
+    res.status(500).json({ error: 'Error obteniendo organizaciones' });
+  }
+});
+
+// GET /api/organizations/:id - Perfil público de la organización (los miembros ven la lista completa)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    const [eventos, espacios] = await Promise.all([
+      Event.countDocuments({ organizacion: organization._id, estado: { $in: Event.ESTADOS_VISIBLES } }),
+      Venue.countDocuments({ organizacion: organization._id })
+    ]);
+
+    const profile = { ...organization.toPublicProfile(), eventos, espacios };
+
+    const role = req.user ? organization.getRoleFor(req.user.email) : null;
+    if (role) {
+      profile.miRol = role;
+      profile.miembros = organization.miembros;
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error obteniendo organización:', error);
+    res.status(500).json({ error: 'Error obteniendo organización' });
+  }
+});
+
+// GET /api/organizations/:id/events - Próximos eventos públicos de la organización
+router.get('/:id/events', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    const result = await findPublicEventsPage(req.query, { organizacion: organization._id });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      organizacion: { id: organization._id, nombre: organization.nombre, logo: organization.logo },
+      ...result
+    });
+  } catch (error) {
+    console.error('Error obteniendo eventos de la organización:', error);
+    res.status(500).json({ error: 'Error obteniendo eventos de la organización' });
+  }
+});
+
+// GET /api/organizations/:id/venues - Espacios de la organización
+router.get('/:id/venues', async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    const venues = await Venue.find({ organizacion: organization._id }).sort({ nombre: 1 });
+
+    res.json({
+      count: venues.length,
+      venues: venues
+    });
+  } catch (error) {
+    console.error('Error obteniendo espacios de la organización:', error);
+    res.status(500).json({ error: 'Error obteniendo espacios de la organización' });
+  }
+});
+
+// POST /api/organizations - Crear una organización (quien la crea queda como administrador)
+router.post('/', requireAuth, upload.single('logo'), async (req, res) => {
+  try {
+    const { nombre, descripcion, web } = req.body;
+
+    if (!nombre) {
+      return res.status(400).json({ error: 'El nombre de la organización es obligatorio' });
+    }
+
+    const organization = new Organization({
+      nombre,
+      descripcion: descripcion || '',
+      web: web || null,
+      miembros: [{ usuario: req.user.email, rol: 'admin' }],
+      creadoPor: req.user.email
+    });
+
+    // Validar antes de subir el logo para no dejar imágenes huérfanas
+    await organization.validate();
+
+    const { logo, error: logoError } = await uploadLogo(req.file);
+    if (logoError) {
+      return logoErrorResponse(res, logoError);
+    }
+    if (logo) {
+      organization.logo = logo.url;
+      organization.logoPublicId = logo.publicId;
+      organization.logoAlmacen = logo.almacen;
+    }
+
+    const savedOrganization = await organization.save();
+
+    res.status(201).json({
+      message: 'Organización creada exitosamente',
+      organization: savedOrganization
+    });
+  } catch (error) {
+    console.error('Error creando organización:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error creando organización' });
+  }
+});
+
+// PUT /api/organizations/:id - Actualizar una organización (administradores)
+router.put('/:id', requireAuth, requireOrganizationAdmin, upload.single('logo'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { nombre, descripcion, web } = req.body;
+
+    if (nombre) organization.nombre = nombre;
+    if (descripcion !== undefined) organization.descripcion = descripcion;
+    if (web !== undefined) organization.web = web || null;
+
+    const { logo, error: logoError } = await uploadLogo(req.file);
+    if (logoError) {
+      return logoErrorResponse(res, logoError);
+    }
+    if (logo) {
+      if (organization.logoPublicId) {
+        await deleteImage(organization.logoPublicId, organization.logoAlmacen);
+      }
+      organization.logo = logo.url;
+      organization.logoPublicId = logo.publicId;
+      organization.logoAlmacen = logo.almacen;
+    }
+
+    const updatedOrganization = await organization.save();
+
+    res.json({
+      message: 'Organización actualizada exitosamente',
+      organization: updatedOrganization
+    });
+  } catch (error) {
+    console.error('Error actualizando organización:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error actualizando organización' });
+  }
+});
+
+// DELETE /api/organizations/:id - Eliminar una organización sin eventos (administradores)
+router.delete('/:id', requireAuth, requireOrganizationAdmin, async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    const events = await Event.countDocuments({ organizacion: organization._id });
+    if (events > 0) {
+      return res.status(409).json({
+        error: 'No se puede eliminar una organización con eventos asociados',
+        eventos: events
+      });
+    }
+
+    // Los espacios de la organización se conservan, sin organización
+    await Venue.updateMany({ organizacion: organization._id }, { organizacion: null });
+
+    if (organization.logoPublicId) {
+      await deleteImage(organization.logoPublicId, organization.logoAlmacen);
+    }
+    await Organization.deleteOne({ _id: organization._id });
+
+    res.json({ message: 'Organización eliminada exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando organización:', error);
+    res.status(500).json({ error: 'Error eliminando organización' });
+  }
+});
+
+// POST /api/organizations/:id/members - Añadir un miembro (administradores)
+router.post('/:id/members', requireAuth, requireOrganizationAdmin, async (req, res) => {
+  try {
+    const organization = req.organization;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const rol = req.body.rol || 'miembro';
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email del miembro es obligatorio' });
+    }
+    if (!Organization.MEMBER_ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol no válido. Valores permitidos: ${Organization.MEMBER_ROLES.join(', ')}`
+      });
+    }
+    if (organization.getRoleFor(email)) {
+      return res.status(409).json({ error: 'El usuario ya es miembro de la organización' });
+    }
+
+    organization.miembros.push({ usuario: email, rol });
+    await organization.save();
+
+    res.status(201).json({
+      message: 'Miembro añadido exitosamente',
+      miembros: organization.miembros
+    });
+  } catch (error) {
+    console.error('Error añadiendo miembro:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error añadiendo miembro' });
+  }
+});
+
+// PUT /api/organizations/:id/members/:email - Cambiar el rol de un miembro (administradores)
+router.put('/:id/members/:email', requireAuth, requireOrganizationAdmin, async (req, res) => {
+  try {
+    const organization = req.organization;
+    const email = req.params.email.toLowerCase();
+    const { rol } = req.body;
+
+    if (!Organization.MEMBER_ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol no válido. Valores permitidos: ${Organization.MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    const member = organization.miembros.find(m => m.usuario === email);
+    if (!member) {
+      return res.status(404).json({ error: 'El usuario no es miembro de la organización' });
+    }
+
+    member.rol = rol;
+    await organization.save(); // El pre-validate impide quedarse sin administradores
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      miembros: organization.miembros
+    });
+  } catch (error) {
+    console.error('Error actualizando miembro:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error actualizando miembro' });
+  }
+});
+
+// DELETE /api/organizations/:id/members/:email - Quitar un miembro (administradores o el propio miembro)
+router.delete('/:id/members/:email', requireAuth, async (req, res) => {
+  try {
+    const organization = await findOrganization(req, res);
+    if (!organization) return;
+
+    const email = req.params.email.toLowerCase();
+    if (email !== req.user.email && !organization.isAdmin(req.user.email)) {
+      return res.status(403).json({ error: 'Solo los administradores de la organización pueden hacer esto' });
+    }
+    if (!organization.getRoleFor(email)) {
+      return res.status(404).json({ error: 'El usuario no es miembro de la organización' });
+    }
+
+    organization.miembros = organization.miembros.filter(m => m.usuario !== email);
+    await organization.save(); // El pre-validate impide quedarse sin administradores
+
+    res.json({
+      message: 'Miembro eliminado de la organización',
+      miembros: organization.miembros
+    });
+  } catch (error) {
+    console.error('Error eliminando miembro:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error eliminando miembro' });
+  }
+});
+
+module.exports = router;
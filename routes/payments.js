@@ -0,0 +1,106 @@
+const express = require('express');
+const Order = require('../models/Order');
+const payments = require('../services/payments');
+
+const router = express.Router();
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app';
+
+// Resultados que se pueden simular en el checkout del proveedor simulado
+const FAKE_RESULTS = {
+  completado: 'pago.completado',
+  fallido: 'pago.fallido'
+};
+
+// Obtiene el pedido pendiente de una referencia del proveedor simulado (solo si está activo)
+const findFakeOrder = async (referencia) => {
+  const provider = payments.getProvider();
+  if (provider.name !== 'fake' || !provider.isConfigured()) return null;
+
+  return Order.findOne({ 'pago.proveedor': 'fake', 'pago.referencia': String(referencia) });
+};
+
+// POST /api/payments/webhook/:provider - Notificaciones de pago firmadas del proveedor
+// (el cuerpo sin parsear se guarda en req.rawBody, ver server.js)
+router.post('/webhook/:provider', async (req, res) => {
+  if (!payments.providers[req.params.provider]) {
+    return res.status(404).json({ error: 'Proveedor de pagos desconocido' });
+  }
+
+  let result;
+  try {
+    result = await payments.handleWebhook(req.params.provider, req.rawBody || Buffer.alloc(0), req.headers);
+  } catch (error) {
+    // Firma no válida o cuerpo mal formado: el proveedor no debe reintentar
+    console.warn('Notificación de pago rechazada:', error.message);
+    return res.status(400).json({ error: 'Notificación de pago no válida' });
+  }
+
+  res.json({
+    received: true,
+    ...(result.order && { pedido: result.order._id, estado: result.estado })
+  });
+});
+
+// GET /api/payments/fake/checkout/:referencia - Página de pago del proveedor simulado (desarrollo)
+router.get('/fake/checkout/:referencia', async (req, res) => {
+  try {
+    const order = await findFakeOrder(req.params.referencia);
+    if (!order) {
+      return res.status(404).json({ error: 'Pago no encontrado' });
+    }
+
+    const action = `/api/payments/fake/checkout/${encodeURIComponent(order.pago.referencia)}`;
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(`<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>Pago simulado</title></head>
+<body>
+  <h1>Pago simulado</h1>
+  <p>Pedido ${order._id}: ${order.total.toFixed(2)} ${order.moneda} (${order.estado})</p>
+  <form method="post" action="${action}"><input type="hidden" name="resultado" value="completado"><button>Pagar</button></form>
+  <form method="post" action="${action}"><input type="hidden" name="resultado" value="fallido"><button>Simular fallo</button></form>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Error mostrando el checkout simulado:', error);
+    res.status(500).json({ error: 'Error mostrando el pago' });
+  }
+});
+
+// POST /api/payments/fake/checkout/:referencia - Completa o hace fallar un pago simulado.
+// Envía la misma notificación firmada que un proveedor real
+router.post('/fake/checkout/:referencia', async (req, res) => {
+  try {
+    const order = await findFakeOrder(req.params.referencia);
+    if (!order) {
+      return res.status(404).json({ error: 'Pago no encontrado' });
+    }
+
+    const tipo = FAKE_RESULTS[req.body.resultado || 'completado'];
+    if (!tipo) {
+      return res.status(400).json({
+        error: `Resultado no válido. Valores permitidos: ${Object.keys(FAKE_RESULTS).join(', ')}`
+      });
+    }
+
+    const webhook = payments.providers.fake.buildWebhook(order.pago.referencia, tipo, order.total);
+    const result = await payments.handleWebhook('fake', webhook.body, webhook.headers);
+
+    // Desde el formulario se vuelve al frontend; desde la API se devuelve el resultado
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(`${getFrontendUrl()}/orders/${order._id}?estado=${result.estado}`);
+    }
+
+    res.json({
+      message: 'Pago simulado procesado',
+      order: result.order,
+      tickets: result.tickets || []
+    });
+  } catch (error) {
+    console.error('Error procesando el pago simulado:', error);
+    res.status(500).json({ error: 'Error procesando el pago' });
+  }
+});
+
+module.exports = router;
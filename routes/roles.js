@@ -0,0 +1,85 @@
+const express = require('express');
+const UserRole = require('../models/UserRole');
+const { requireAuth, requireRole } = require('../config/passport');
+
+const router = express.Router();
+
+// Todas las rutas de gestión de roles requieren ser administrador
+router.use(requireAuth, requireRole('admin'));
+
+// GET /api/roles - Listar usuarios con rol asignado
+router.get('/', async (req, res) => {
+  try {
+    const { rol } = req.query;
+    const query = rol ? { rol: rol } : {};
+
+    const roles = await UserRole.find(query).sort({ rol: 1, usuario: 1 });
+
+    res.json({
+      count: roles.length,
+      roles: roles
+    });
+  } catch (error) {
+    console.error('Error obteniendo roles:', error);
+    res.status(500).json({ error: 'Error obteniendo roles' });
+  }
+});
+
+// PUT /api/roles/:email - Asignar rol a un usuario
+router.put('/:email', async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const { rol } = req.body;
+
+    if (!UserRole.ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol no válido. Valores permitidos: ${UserRole.ROLES.join(', ')}`
+      });
+    }
+
+    // Evitar que un administrador se retire a sí mismo el acceso por error
+    if (email === req.user.email && rol !== 'admin') {
+      return res.status(400).json({ error: 'No puedes quitarte a ti mismo el rol de administrador' });
+    }
+
+    const userRole = await UserRole.setRole(email, rol, req.user.email);
+
+    res.json({
+      message: 'Rol actualizado exitosamente',
+      role: userRole
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    console.error('Error asignando rol:', error);
+    res.status(500).json({ error: 'Error asignando rol' });
+  }
+});
+
+// DELETE /api/roles/:email - Retirar el rol asignado (el usuario vuelve a 'user')
+router.delete('/:email', async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+
+    if (email === req.user.email) {
+      return res.status(400).json({ error: 'No puedes quitarte a ti mismo el rol de administrador' });
+    }
+
+    const result = await UserRole.deleteOne({ usuario: email });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'El usuario no tiene ningún rol asignado' });
+    }
+
+    res.json({ message: 'Rol retirado exitosamente' });
+  } catch (error) {
+    console.error('Error retirando rol:', error);
+    res.status(500).json({ error: 'Error retirando rol' });
+  }
+});
+
+module.exports = router;
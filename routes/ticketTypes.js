@@ -0,0 +1,290 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const TicketType = require('../models/TicketType');
+const Order = require('../models/Order');
+const { requireAuth, optionalAuth, requireEventPermission } = require('../config/passport');
+const { startPayment } = require('../services/payments');
+
+// Rutas de tipos de entrada y compra de entradas (montadas en /api/events)
+const router = express.Router();
+
+// Campos editables de un tipo de entrada
+const parseTicketTypeFields = (body) => {
+  const fields = {};
+  ['nombre', 'descripcion', 'moneda'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.precio !== undefined) fields.precio = parseFloat(body.precio);
+  if (body.cantidad !== undefined) fields.cantidad = parseInt(body.cantidad);
+  if (body.maxPorPedido !== undefined) fields.maxPorPedido = parseInt(body.maxPorPedido);
+  if (body.orden !== undefined) fields.orden = parseInt(body.orden);
+  if (body.activo !== undefined) fields.activo = body.activo === true || body.activo === 'true';
+  ['ventaDesde', 'ventaHasta'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field] ? new Date(body[field]) : null;
+  });
+  return fields;
+};
+
+/**
+ * Valida las entradas solicitadas en un pedido y agrupa las repetidas
+ * @param {Object} body - req.body ({ entradas: [{ tipoEntrada, cantidad }] } o { tipoEntrada, cantidad })
+ * @returns {Object} - { items } o { error }
+ */
+const parseOrderItems = (body) => {
+  const list = Array.isArray(body.entradas) ? body.entradas : [{ tipoEntrada: body.tipoEntrada, cantidad: body.cantidad }];
+  const items = [];
+
+  for (const entry of list) {
+    const id = entry && entry.tipoEntrada;
+    const cantidad = parseInt(entry && entry.cantidad !== undefined ? entry.cantidad : 1);
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return { error: 'Tipo de entrada inválido' };
+    }
+    if (isNaN(cantidad) || cantidad < 1) {
+      return { error: 'La cantidad debe ser un número positivo' };
+    }
+    items.push({ tipoEntrada: String(id), cantidad: cantidad });
+  }
+
+  if (items.length === 0) {
+    return { error: 'El pedido debe incluir al menos una entrada' };
+  }
+
+  // Order.reserve suma las líneas repetidas de un mismo tipo
+  return { items: items };
+};
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  error: 'Error de validación',
+  details: Object.values(error.errors).map(e => e.message)
+});
+
+// Obtiene el tipo de entrada de la URL (del evento de req.event)
+const findTicketType = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.typeId)) {
+    res.status(400).json({ error: 'ID de tipo de entrada inválido' });
+    return null;
+  }
+
+  const type = await TicketType.findOne({ _id: req.params.typeId, evento: req.event._id });
+  if (!type) {
+    res.status(404).json({ error: 'Tipo de entrada no encontrado' });
+    return null;
+  }
+  return type;
+};
+
+// GET /api/events/:id/ticket-types - Entradas de un evento (el equipo ve también las ventas)
+router.get('/:id/ticket-types', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const role = event && req.user ? event.getRoleFor(req.user.email) : null;
+
+    if (!event || (!event.isPublic() && !role)) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+
+    const filter = { evento: event._id };
+    if (!role) filter.activo = true;
+    const types = await TicketType.find(filter).sort({ orden: 1, precio: 1 });
+
+    res.json({
+      count: types.length,
+      ticketTypes: types.map(type => (role ? type.toJSON() : type.toPublicJSON(event)))
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error obteniendo tipos de entrada:', error);
+    res.status(500).json({ error: 'Error obteniendo las entradas del evento' });
+  }
+});
+
+// POST /api/events/:id/ticket-types - Crear un tipo de entrada (propietario o editor)
+router.post('/:id/ticket-types', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    if (req.event.recurrencia) {
+      return res.status(400).json({ error: 'La venta de entradas no está disponible para eventos recurrentes' });
+    }
+
+    const type = await TicketType.create({
+      ...parseTicketTypeFields(req.body),
+      evento: req.event._id,
+      reservadas: 0,
+      vendidas: 0
+    });
+    await TicketType.syncEventPrice(req.event._id);
+
+    res.status(201).json({
+      message: 'Tipo de entrada creado exitosamente',
+      ticketType: type
+    });
+  } catch (error) {
+    console.error('Error creando tipo de entrada:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error creando el tipo de entrada' });
+  }
+});
+
+// PUT /api/events/:id/ticket-types/:typeId - Actualizar un tipo de entrada (propietario o editor)
+router.put('/:id/ticket-types/:typeId', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const type = await findTicketType(req, res);
+    if (!type) return;
+
+    const fields = parseTicketTypeFields(req.body);
+    if (fields.cantidad !== undefined && fields.cantidad < type.reservadas + type.vendidas) {
+      return res.status(400).json({
+        error: 'La cantidad no puede ser inferior a las entradas vendidas o reservadas',
+        vendidas: type.vendidas,
+        reservadas: type.reservadas
+      });
+    }
+    // Los pedidos ya hechos conservan su precio; solo cambia para las compras nuevas
+    Object.assign(type, fields);
+
+    const updatedType = await type.save();
+    await TicketType.syncEventPrice(req.event._id);
+
+    res.json({
+      message: 'Tipo de entrada actualizado exitosamente',
+      ticketType: updatedType
+    });
+  } catch (error) {
+    console.error('Error actualizando tipo de entrada:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({ error: 'Error actualizando el tipo de entrada' });
+  }
+});
+
+// DELETE /api/events/:id/ticket-types/:typeId - Eliminar un tipo de entrada sin ventas (propietario o editor)
+router.delete('/:id/ticket-types/:typeId', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    const type = await findTicketType(req, res);
+    if (!type) return;
+
+    if (type.vendidas > 0 || type.reservadas > 0) {
+      return res.status(409).json({
+        error: 'No se puede eliminar una entrada con ventas o reservas. Desactívala para dejar de venderla'
+      });
+    }
+
+    await TicketType.deleteOne({ _id: type._id });
+    await TicketType.syncEventPrice(req.event._id);
+
+    res.json({ message: 'Tipo de entrada eliminado exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando tipo de entrada:', error);
+    res.status(500).json({ error: 'Error eliminando el tipo de entrada' });
+  }
+});
+
+// GET /api/events/:id/orders - Pedidos y resumen de ventas del evento (propietario o editor)
+router.get('/:id/orders', requireAuth, requireEventPermission('edit'), async (req, res) => {
+  try {
+    await Order.releaseExpired({ evento: req.event._id });
+
+    const filter = { evento: req.event._id };
+    if (req.query.estado) {
+      if (!Order.ESTADOS.includes(req.query.estado)) {
+        return res.status(400).json({ error: `Estado no válido. Valores permitidos: ${Order.ESTADOS.join(', ')}` });
+      }
+      filter.estado = req.query.estado;
+    }
+
+    const [orders, types] = await Promise.all([
+      Order.find(filter).sort({ createdAt: -1 }),
+      TicketType.find({ evento: req.event._id }).sort({ orden: 1, precio: 1 })
+    ]);
+
+    const paid = orders.filter(order => order.estado === 'pagado');
+
+    res.json({
+      resumen: {
+        pedidosPagados: paid.length,
+        ingresos: Math.round(paid.reduce((sum, order) => sum + order.total, 0) * 100) / 100,
+        entradas: types.map(type => ({
+          id: type._id,
+          nombre: type.nombre,
+          cantidad: type.cantidad,
+          vendidas: type.vendidas,
+          reservadas: type.reservadas
+        }))
+      },
+      count: orders.length,
+      orders: orders
+    });
+  } catch (error) {
+    console.error('Error obteniendo pedidos del evento:', error);
+    res.status(500).json({ error: 'Error obteniendo los pedidos del evento' });
+  }
+});
+
+// POST /api/events/:id/orders - Comprar entradas: retiene las entradas e inicia el pago
+router.post('/:id/orders', requireAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event || !event.isPublic()) {
+      return res.status(404).json({ error: 'Evento no encontrado' });
+    }
+    if (!event.isOpen()) {
+      return res.status(409).json({ error: 'La venta de entradas de este evento está cerrada' });
+    }
+
+    const parsed = parseOrderItems(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Liberar antes las retenciones caducadas para que cuenten como disponibles
+    await Order.releaseExpired({ evento: event._id });
+
+    const result = await Order.reserve(event, req.user, parsed.items);
+    if (result.error) {
+      return res.status(result.agotado ? 409 : 400).json({ error: result.error });
+    }
+
+    // Entradas gratuitas: se emiten sin pasar por el proveedor de pagos
+    if (result.order.total === 0) {
+      const confirmed = await Order.confirm(result.order);
+      return res.status(201).json({
+        message: 'Entradas emitidas exitosamente',
+        order: confirmed.order,
+        tickets: confirmed.tickets
+      });
+    }
+
+    let order;
+    try {
+      order = await startPayment(result.order);
+    } catch (paymentError) {
+      console.error('Error iniciando el pago:', paymentError);
+      await Order.release(result.order, 'fallido');
+      return res.status(503).json({ error: 'El servicio de pagos no está disponible' });
+    }
+
+    res.status(201).json({
+      message: `Entradas reservadas durante ${Order.HOLD_MINUTES} minutos. Completa el pago para recibirlas`,
+      order: order,
+      urlPago: order.pago.urlPago
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+    console.error('Error creando pedido:', error);
+    res.status(500).json({ error: 'Error creando el pedido' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Attendance = require('../models/Attendance');
+const { requireAuth } = require('../config/passport');
+const accessCode = require('../utils/accessCode');
+
+const router = express.Router();
+
+// Todas las rutas de entradas requieren autenticación
+router.use(requireAuth);
+
+// Datos del evento que se muestran junto a cada entrada
+const EVENT_FIELDS = 'nombre timestamp fin lugar imagen estado';
+
+// GET /api/tickets - Entradas del usuario autenticado
+router.get('/', async (req, res) => {
+  try {
+    const tickets = await Ticket.find({ usuario: req.user.email })
+      .sort({ createdAt: -1 })
+      .populate({ path: 'evento', select: EVENT_FIELDS, options: { withDeleted: true } });
+
+    res.json({
+      count: tickets.length,
+      tickets: tickets
+    });
+  } catch (error) {
+    console.error('Error obteniendo entradas:', error);
+    res.status(500).json({ error: 'Error obteniendo entradas' });
+  }
+});
+
+// GET /api/tickets/:id - Obtener una entrada del usuario autenticado
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de entrada inválido' });
+    }
+
+    const ticket = await Ticket.findOne({ _id: req.params.id, usuario: req.user.email })
+      .populate({ path: 'evento', select: EVENT_FIELDS, options: { withDeleted: true } });
+    if (!ticket) {
+      return res.status(404).json({ error: 'Entrada no encontrada' });
+    }
+
+    res.json({
+      ...ticket.toJSON(),
+      codigoAcceso: accessCode.sign('ticket', ticket._id)
+    });
+  } catch (error) {
+    console.error('Error obteniendo entrada:', error);
+    res.status(500).json({ error: 'Error obteniendo entrada' });
+  }
+});
+
+// GET /api/tickets/:id/qr - Código QR de acceso de una entrada (?formato=png|svg).
+// Las inscripciones confirmadas de eventos gratuitos también sirven de entrada: :id puede ser
+// el ID de la inscripción
+router.get('/:id/qr', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de entrada inválido' });
+    }
+
+    const formato = req.query.formato || 'png';
+    if (!['png', 'svg'].includes(formato)) {
+      return res.status(400).json({ error: 'Formato no válido. Valores permitidos: png, svg' });
+    }
+
+    let code = null;
+    const ticket = await Ticket.findOne({ _id: req.params.id, usuario: req.user.email });
+    if (ticket) {
+      if (ticket.estado !== 'valida') {
+        return res.status(410).json({ error: 'La entrada ha sido anulada' });
+      }
+      code = accessCode.sign('ticket', ticket._id);
+    } else {
+      const attendance = await Attendance.findOne({ _id: req.params.id, usuario: req.user.email });
+      if (!attendance) {
+        return res.status(404).json({ error: 'Entrada no encontrada' });
+      }
+      if (attendance.estado !== 'confirmado') {
+        return res.status(409).json({ error: 'La inscripción está en lista de espera' });
+      }
+      code = accessCode.sign('attendance', attendance._id);
+    }
+
+    // El código no cambia: se puede cachear en el dispositivo del asistente
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    if (formato === 'svg') {
+      res.set('Content-Type', 'image/svg+xml');
+      return res.send(await QRCode.toString(code, { type: 'svg', margin: 1 }));
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.send(await QRCode.toBuffer(code, { type: 'png', width: 300, margin: 1 }));
+  } catch (error) {
+    console.error('Error generando código QR:', error);
+    res.status(500).json({ error: 'Error generando el código QR' });
+  }
+});
+
+module.exports = router;
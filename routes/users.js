@@ -0,0 +1,235 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserRole = require('../models/UserRole');
+const Event = require('../models/Event');
+const Attendance = require('../models/Attendance');
+const LoginLog = require('../models/LoginLog');
+const CalendarFeed = require('../models/CalendarFeed');
+const Report = require('../models/Report');
+const EventInvitation = require('../models/EventInvitation');
+const Organization = require('../models/Organization');
+const Venue = require('../models/Venue');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const Session = require('../models/Session');
+const { requireAuth } = require('../config/passport');
+const { upload } = require('../config/upload');
+const { uploadImage, deleteImage } = require('../services/storage');
+const { purgeEvent } = require('../services/eventCleanup');
+
+const router = express.Router();
+
+// Eventos celebrados que se muestran en el perfil (el resto, en /api/events/archive?organizador=<email>)
+const PROFILE_HISTORY_LIMIT = 20;
+
+// GET /api/users/me - Obtener el perfil del usuario autenticado
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.user.email });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.json({
+      ...user.toJSON(),
+      rol: req.user.rol
+    });
+  } catch (error) {
+    console.error('Error obteniendo perfil:', error);
+    res.status(500).json({ error: 'Error obteniendo perfil' });
+  }
+});
+
+// PUT /api/users/me - Actualizar el perfil (nombre, bio y avatar)
+router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.user.email });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const { nombre, bio } = req.body;
+    if (nombre !== undefined) user.nombre = nombre;
+    if (bio !== undefined) user.bio = bio;
+
+    // Subir el nuevo avatar y eliminar el anterior si no era el del proveedor OAuth
+    if (req.file) {
+      let uploadResult;
+      try {
+        uploadResult = await uploadImage(req.file, 'avatares');
+      } catch (imageError) {
+        return res.status(502).json({
+          error: 'Error subiendo el avatar',
+          details: imageError.message
+        });
+      }
+
+      if (user.avatarPublicId) {
+        await deleteImage(user.avatarPublicId, user.avatarAlmacen);
+      }
+      user.avatar = uploadResult.url;
+      user.avatarPublicId = uploadResult.publicId;
+      user.avatarAlmacen = uploadResult.almacen;
+    }
+
+    const updatedUser = await user.save();
+
+    res.json({
+      message: 'Perfil actualizado exitosamente',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Error actualizando perfil:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error actualizando perfil' });
+  }
+});
+
+// DELETE /api/users/me - Eliminar la cuenta junto con sus eventos, inscripciones y logs
+router.delete('/me', requireAuth, async (req, res) => {
+  try {
+    const email = req.user.email;
+    const user = await User.findOne({ email: email });
+
+    // Eventos organizados por el usuario (incluidos los de la papelera): se eliminan con sus imágenes,
+    // inscripciones y denuncias
+    const events = await Event.find({ organizador: email }).setOptions({ withDeleted: true });
+    for (const event of events) {
+      await purgeEvent(event);
+    }
+    await Report.deleteMany({ usuario: email });
+
+    // Dejar de colaborar en eventos de otros y descartar las invitaciones recibidas
+    await Event.updateMany(
+      { 'colaboradores.usuario': email },
+      { $pull: { colaboradores: { usuario: email } } }
+    );
+    await EventInvitation.deleteMany({ email: email });
+
+    // Salir de sus organizaciones: si era el único administrador se asciende al miembro más antiguo,
+    // y las organizaciones que se quedan sin miembros se eliminan (sus espacios y eventos se conservan)
+    const organizations = await Organization.find({ 'miembros.usuario': email });
+    for (const organization of organizations) {
+      organization.miembros = organization.miembros.filter(m => m.usuario !== email);
+
+      if (organization.miembros.length === 0) {
+        await Venue.updateMany({ organizacion: organization._id }, { organizacion: null });
+        await Event.updateMany({ organizacion: organization._id }, { organizacion: null });
+        if (organization.logoPublicId) {
+          await deleteImage(organization.logoPublicId, organization.logoAlmacen);
+        }
+        await Organization.deleteOne({ _id: organization._id });
+        continue;
+      }
+
+      if (!organization.miembros.some(m => m.rol === 'admin')) {
+        organization.miembros[0].rol = 'admin';
+      }
+      await organization.save();
+    }
+
+    // Pedidos en eventos de otros: liberar las entradas retenidas y borrar pedidos y entradas
+    // (los contadores de venta de los organizadores se conservan)
+    const pendingOrders = await Order.find({ usuario: email, estado: 'pendiente' });
+    for (const order of pendingOrders) {
+      await Order.release(order, 'cancelado');
+    }
+    await Ticket.deleteMany({ usuario: email });
+    await Order.deleteMany({ usuario: email });
+
+    // Inscripciones en eventos de otros: liberar plazas y promocionar la lista de espera
+    const attendances = await Attendance.find({ usuario: email })
+      .populate({ path: 'evento', options: { withDeleted: true } });
+    for (const attendance of attendances) {
+      if (attendance.evento) {
+        await Attendance.unregister(attendance.evento, email);
+      } else {
+        await Attendance.deleteOne({ _id: attendance._id });
+      }
+    }
+
+    if (user && user.avatarPublicId) {
+      await deleteImage(user.avatarPublicId, user.avatarAlmacen);
+    }
+
+    // Al borrar las sesiones, los tokens del usuario dejan de ser válidos
+    await Session.deleteMany({ usuario: email });
+    const logs = await LoginLog.deleteMany({ usuario: email });
+    await CalendarFeed.deleteOne({ usuario: email });
+    await Notification.deleteMany({ usuario: email });
+    await NotificationPreference.deleteOne({ usuario: email });
+    await UserRole.deleteOne({ usuario: email });
+    await User.deleteOne({ email: email });
+
+    res.json({
+      message: 'Cuenta eliminada exitosamente',
+      deleted: {
+        events: events.length,
+        attendances: attendances.length,
+        logs: logs.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error eliminando cuenta:', error);
+    res.status(500).json({ error: 'Error eliminando la cuenta' });
+  }
+});
+
+// GET /api/users/:id - Perfil público de un organizador con sus próximos eventos y su historial
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const now = new Date();
+    const [events, pastEvents, pastCount] = await Promise.all([
+      Event.find({
+        organizador: user.email,
+        estado: { $in: Event.ESTADOS_VISIBLES },
+        timestamp: { $gte: now }
+      }).sort({ timestamp: 1 }).limit(50),
+      // Historial: los eventos ya celebrados, del más reciente al más antiguo
+      Event.find({ organizador: user.email, estado: 'publicado', ...Event.heldFilter(now) })
+        .sort({ timestamp: -1 })
+        .limit(PROFILE_HISTORY_LIMIT),
+      Event.countDocuments({ organizador: user.email, estado: 'publicado', ...Event.heldFilter(now) })
+    ]);
+
+    res.json({
+      user: user.toPublicProfile(),
+      upcomingEvents: {
+        count: events.length,
+        events: events
+      },
+      pastEvents: {
+        count: pastEvents.length,
+        total: pastCount,
+        events: pastEvents
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo perfil público:', error);
+    res.status(500).json({ error: 'Error obteniendo perfil' });
+  }
+});
+
+module.exports = router;
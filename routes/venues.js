@@ -0,0 +1,321 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const Organization = require('../models/Organization');
+const { requireAuth } = require('../config/passport');
+const geocoder = require('../services/geocoder');
+const { findPublicEventsPage } = require('../utils/eventSearch');
+
+const router = express.Router();
+
+// Campos de accesibilidad que se aceptan en la petición
+const ACCESSIBILITY_FIELDS = ['sillaRuedas', 'aseoAdaptado', 'bucleMagnetico', 'aparcamientoAdaptado', 'notas'];
+
+// Accesibilidad enviada como objeto o como JSON (multipart/form-data)
+const parseAccessibility = (value) => {
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  const result = {};
+  ACCESSIBILITY_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    result[field] = field === 'notas' ? String(data[field]) : data[field] === true || data[field] === 'true';
+  });
+  return result;
+};
+
+/**
+ * Obtiene las coordenadas del espacio: las enviadas en la petición o, si no hay,
+ * las de la dirección geocodificada (una sola vez; los eventos las copian del espacio)
+ * @returns {Promise<Object>} - { lat, lon, formatted } o { error }
+ */
+const resolveLocation = async (direccion, lat, lon) => {
+  if (lat !== undefined && lon !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return { error: { error: 'Coordenadas inválidas' } };
+    }
+    return { lat: latitude, lon: longitude, formatted: direccion };
+  }
+
+  try {
+    return await geocoder.geocode(direccion);
+  } catch (geocodingError) {
+    return {
+      error: {
+        error: 'No se pudieron obtener las coordenadas de la dirección',
+        details: geocodingError.message
+      }
+    };
+  }
+};
+
+// Obtiene el espacio de la URL o responde con el error correspondiente
+const findVenue = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'ID de espacio inválido' });
+    return null;
+  }
+
+  const venue = await Venue.findById(req.params.id);
+  if (!venue) {
+    res.status(404).json({ error: 'Espacio no encontrado' });
+    return null;
+  }
+
+  return venue;
+};
+
+// Obtiene la organización indicada y comprueba que el usuario es miembro
+const findMemberOrganization = async (id, email) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { error: { status: 400, body: { error: 'ID de organización inválido' } } };
+  }
+  const organization = await Organization.findById(id);
+  if (!organization) {
+    return { error: { status: 404, body: { error: 'Organización no encontrada' } } };
+  }
+  if (!organization.getRoleFor(email)) {
+    return { error: { status: 403, body: { error: 'No eres miembro de esta organización' } } };
+  }
+  return { organization };
+};
+
+// GET /api/venues - Listar espacios (?q texto, ?organizacion, ?lat&lon&radiusKm cercanía)
+router.get('/', async (req, res) => {
+  try {
+    const { q, organizacion, lat, lon } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const filter = {};
+
+    if (q) {
+      filter.$text = { $search: String(q).slice(0, 200) };
+    }
+    if (organizacion) {
+      if (!mongoose.Types.ObjectId.isValid(organizacion)) {
+        return res.status(400).json({ error: 'ID de organización inválido' });
+      }
+      filter.organizacion = organizacion;
+    }
+    if (lat && lon) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lon);
+      const radius = parseFloat(req.query.radiusKm) || Event.DEFAULT_RADIUS_KM;
+      if (isNaN(latitude) || isNaN(longitude) || radius <= 0 || radius > Event.MAX_RADIUS_KM) {
+        return res.status(400).json({ error: 'Coordenadas o radio inválidos' });
+      }
+      // $near no se puede combinar con $text: se usa $geoWithin
+      filter.location = {
+        $geoWithin: { $centerSphere: [[longitude, latitude], radius / 6371] }
+      };
+    }
+
+    const venues = await Venue.find(filter).sort({ nombre: 1 }).limit(limit);
+
+    res.json({
+      count: venues.length,
+      venues: venues
+    });
+  } catch (error) {
+    console.error('Error obteniendo espacios:', error);
+    res.status(500).json({ error: 'Error obteniendo espacios' });
+  }
+});
+
+// GET /api/venues/:id - Obtener un espacio
+router.get('/:id', async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    await venue.populate('organizacion', 'nombre logo');
+    res.json(venue);
+  } catch (error) {
+    console.error('Error obteniendo espacio:', error);
+    res.status(500).json({ error: 'Error obteniendo espacio' });
+  }
+});
+
+// GET /api/venues/:id/events - Próximos eventos públicos del espacio (mismos filtros que GET /api/events)
+router.get('/:id/events', async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    const result = await findPublicEventsPage(req.query, { venue: venue._id });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      venue: { id: venue._id, nombre: venue.nombre },
+      ...result
+    });
+  } catch (error) {
+    console.error('Error obteniendo eventos del espacio:', error);
+    res.status(500).json({ error: 'Error obteniendo eventos del espacio' });
+  }
+});
+
+// POST /api/venues - Crear un espacio (requiere autenticación)
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { nombre, direccion, lat, lon, capacidad, descripcion, accesibilidad, organizacion } = req.body;
+
+    if (!nombre || !direccion) {
+      return res.status(400).json({ error: 'Faltan campos obligatorios: nombre y direccion son requeridos' });
+    }
+
+    let organization = null;
+    if (organizacion) {
+      const result = await findMemberOrganization(organizacion, req.user.email);
+      if (result.error) {
+        return res.status(result.error.status).json(result.error.body);
+      }
+      organization = result.organization;
+    }
+
+    let accessibility;
+    if (accesibilidad !== undefined) {
+      accessibility = parseAccessibility(accesibilidad);
+      if (!accessibility) {
+        return res.status(400).json({ error: 'Los datos de accesibilidad no son válidos' });
+      }
+    }
+
+    const coordinates = await resolveLocation(direccion, lat, lon);
+    if (coordinates.error) {
+      return res.status(400).json(coordinates.error);
+    }
+
+    const venue = await Venue.create({
+      nombre,
+      direccion: coordinates.formatted || direccion,
+      lat: coordinates.lat,
+      lon: coordinates.lon,
+      capacidad: capacidad ? parseInt(capacidad) : null,
+      descripcion: descripcion || '',
+      accesibilidad: accessibility,
+      organizacion: organization ? organization._id : null,
+      creadoPor: req.user.email
+    });
+
+    res.status(201).json({
+      message: 'Espacio creado exitosamente',
+      venue: venue
+    });
+  } catch (error) {
+    console.error('Error creando espacio:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error creando espacio' });
+  }
+});
+
+// PUT /api/venues/:id - Actualizar un espacio (su creador o los administradores de su organización)
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    const organization = venue.organizacion ? await Organization.findById(venue.organizacion) : null;
+    if (!venue.canManage(req.user.email, organization)) {
+      return res.status(403).json({ error: 'No tienes permisos para modificar este espacio' });
+    }
+
+    const { nombre, direccion, lat, lon, capacidad, descripcion, accesibilidad } = req.body;
+    if (nombre) venue.nombre = nombre;
+    if (descripcion !== undefined) venue.descripcion = descripcion;
+    if (capacidad !== undefined) venue.capacidad = capacidad ? parseInt(capacidad) : null;
+    if (accesibilidad !== undefined) {
+      const accessibility = parseAccessibility(accesibilidad);
+      if (!accessibility) {
+        return res.status(400).json({ error: 'Los datos de accesibilidad no son válidos' });
+      }
+      Object.assign(venue.accesibilidad, accessibility);
+    }
+
+    // Si cambia la dirección o las coordenadas, se actualizan también los eventos pendientes
+    const addressChanged = (direccion && direccion !== venue.direccion) || (lat !== undefined && lon !== undefined);
+    if (addressChanged) {
+      const coordinates = await resolveLocation(direccion || venue.direccion, lat, lon);
+      if (coordinates.error) {
+        return res.status(400).json(coordinates.error);
+      }
+      venue.direccion = coordinates.formatted || direccion || venue.direccion;
+      venue.lat = coordinates.lat;
+      venue.lon = coordinates.lon;
+    }
+
+    const updatedVenue = await venue.save();
+
+    let updatedEvents = 0;
+    if (addressChanged || nombre) {
+      const result = await Event.syncVenueLocation(updatedVenue);
+      updatedEvents = result.modifiedCount;
+    }
+
+    res.json({
+      message: 'Espacio actualizado exitosamente',
+      venue: updatedVenue,
+      eventosActualizados: updatedEvents
+    });
+  } catch (error) {
+    console.error('Error actualizando espacio:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Error de validación',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Error actualizando espacio' });
+  }
+});
+
+// DELETE /api/venues/:id - Eliminar un espacio sin eventos (su creador o los administradores de su organización)
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const venue = await findVenue(req, res);
+    if (!venue) return;
+
+    const organization = venue.organizacion ? await Organization.findById(venue.organizacion) : null;
+    if (!venue.canManage(req.user.email, organization)) {
+      return res.status(403).json({ error: 'No tienes permisos para eliminar este espacio' });
+    }
+
+    const events = await Event.countDocuments({ venue: venue._id });
+    if (events > 0) {
+      return res.status(409).json({
+        error: 'No se puede eliminar un espacio con eventos asociados',
+        eventos: events
+      });
+    }
+
+    await Venue.deleteOne({ _id: venue._id });
+
+    res.json({ message: 'Espacio eliminado exitosamente' });
+  } catch (error) {
+    console.error('Error eliminando espacio:', error);
+    res.status(500).json({ error: 'Error eliminando espacio' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Migración: marca como publicados los eventos creados antes del flujo de moderación
+ * (no tienen `estado`) para que sigan apareciendo en los listados públicos.
+ *
+ * Uso: npm run migrate:event-status
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Event = require('../models/Event');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  const result = await Event.backfillStatus();
+  console.log(`📋 Eventos marcados como publicados: ${result.modifiedCount}`);
+
+  await Event.syncIndexes();
+  console.log('✅ Índices sincronizados');
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,32 @@
+/**
+ * Migración: añade el punto GeoJSON `location` a los eventos que solo tienen lat/lon
+ * y crea el índice 2dsphere necesario para las búsquedas por cercanía.
+ *
+ * Uso: npm run migrate:geojson
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Event = require('../models/Event');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  const result = await Event.backfillLocations();
+  console.log(`📍 Eventos actualizados con location: ${result.modifiedCount}`);
+
+  // Sustituye el antiguo índice { lat, lon } por el índice 2dsphere
+  const dropped = await Event.syncIndexes();
+  if (dropped.length > 0) {
+    console.log('🗑️ Índices eliminados:', dropped.join(', '));
+  }
+  console.log('✅ Índices sincronizados');
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
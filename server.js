@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const session = require('express-session');
+const cookieParser = require('cookie-parser');
 const passport = require('passport');
 require('dotenv').config();
 
@@ -13,13 +14,38 @@ require('./config/passport');
 // Importar rutas
 const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
+const collaboratorRoutes = require('./routes/collaborators');
 const logRoutes = require('./routes/logs');
+const roleRoutes = require('./routes/roles');
+const userRoutes = require('./routes/users');
+const moderationRoutes = require('./routes/moderation');
+const venueRoutes = require('./routes/venues');
+const organizationRoutes = require('./routes/organizations');
+const ticketTypeRoutes = require('./routes/ticketTypes');
+const checkinRoutes = require('./routes/checkin');
+const eventImageRoutes = require('./routes/eventImages');
+const orderRoutes = require('./routes/orders');
+const ticketRoutes = require('./routes/tickets');
+const paymentRoutes = require('./routes/payments');
+const notificationRoutes = require('./routes/notifications');
+const jobRoutes = require('./routes/jobs');
+const mediaRoutes = require('./routes/media');
+const UserRole = require('./models/UserRole');
+const { handleUploadError } = require('./config/upload');
+const jobs = require('./services/jobs');
+const { registerBuiltinJobs } = require('./services/jobs/builtin');
+const mailer = require('./services/mailer');
 
 const app = express();
 
 // Configuración para Vercel
 const isProduction = process.env.NODE_ENV === 'production';
 
+// En producción, sin transporte de correo no se arranca (getTransport lanza el error)
+if (isProduction) {
+  mailer.getTransport();
+}
+
 // IMPORTANT: Configurar trust proxy SIEMPRE para servicios como Render
 // Esto debe ir antes de cualquier middleware que use IPs (como rate limiting)
 app.set('trust proxy', 1);
@@ -30,31 +56,31 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
+// Orígenes del frontend. Las peticiones con credenciales (la cookie del refresh token)
+// solo se aceptan desde estos orígenes exactos: cualquier otra web podría obtener tokens
+const allowedOrigins = [
+  'https://eventual-frontend.vercel.app',
+  'https://eventual-frontend-five.vercel.app',
+  'https://eventual.vercel.app',
+  process.env.FRONTEND_URL
+].filter(Boolean);
+
+// En desarrollo se acepta además el frontend local (cualquier puerto de localhost)
+const isLocalOrigin = (origin) => {
+  try {
+    return ['localhost', '127.0.0.1'].includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
 // Configuración CORS para producción separada
 app.use(cors({
   origin: function (origin, callback) {
     // Permitir requests sin origin (apps móviles, Postman, etc.)
     if (!origin) return callback(null, true);
-    
-    // En desarrollo, permitir localhost
-    if (!isProduction && origin.includes('localhost')) {
-      return callback(null, true);
-    }
-    
-    // En producción, permitir dominios específicos
-    const allowedOrigins = [
-      'https://eventual-frontend.vercel.app',
-      'https://eventual-frontend-five.vercel.app',
-      'https://eventual.vercel.app',
-      process.env.FRONTEND_URL
-    ].filter(Boolean);
-    
-    if (isProduction && allowedOrigins.some(allowed => origin === allowed || origin.includes('vercel.app'))) {
-      return callback(null, true);
-    }
-    
-    // Más permisivo para desarrollo
-    return callback(null, !isProduction);
+
+    return callback(null, allowedOrigins.includes(origin) || (!isProduction && isLocalOrigin(origin)));
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -74,11 +100,32 @@ const limiter = rateLimit({
     return !isProduction && req.ip === '127.0.0.1';
   }
 });
+
+// Las imágenes del almacenamiento local tienen su propio límite: cada página carga muchas
+const mediaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: isProduction ? 1000 : 10000,
+  message: 'Demasiadas peticiones de imágenes desde esta IP, intenta de nuevo más tarde.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !isProduction && req.ip === '127.0.0.1'
+});
+
+app.use('/api/media', mediaLimiter, mediaRoutes);
 app.use('/api', limiter);
 
 // Middleware de parsing
-app.use(express.json({ limit: '10mb' }));
+// Las notificaciones de pago se verifican sobre el cuerpo sin parsear
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Configuración de sesión
 app.use(session({
@@ -96,13 +143,36 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Registrar los trabajos de mantenimiento antes de arrancar el planificador
+registerBuiltinJobs();
+
 // Conectar a MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('✅ Conectado a MongoDB');
+
+  // Asignar rol de administrador a los emails configurados en ADMIN_EMAILS
+  try {
+    const admins = await UserRole.bootstrapAdmins();
+    if (admins.length > 0) {
+      console.log(`👑 Administradores configurados: ${admins.length}`);
+    }
+  } catch (error) {
+    console.error('❌ Error configurando administradores:', error);
+  }
+
+  // Trabajos periódicos de mantenimiento (tokens, pedidos, recordatorios, archivo, papelera e imágenes)
+  if (process.env.JOBS_ENABLED !== 'false') {
+    try {
+      await jobs.start();
+      console.log(`⚙️ Planificador de trabajos iniciado (${jobs.WORKER_ID})`);
+    } catch (error) {
+      console.error('❌ Error iniciando el planificador de trabajos:', error);
+    }
+  }
 })
 .catch((error) => {
   console.error('❌ Error conectando a MongoDB:', error);
@@ -122,8 +192,22 @@ mongoose.connection.on('disconnected', () => {
 
 // Rutas API
 app.use('/api/auth', authRoutes);
+app.use('/api/events', collaboratorRoutes);
+app.use('/api/events', ticketTypeRoutes);
+app.use('/api/events', checkinRoutes);
+app.use('/api/events', eventImageRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/logs', logRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Ruta de salud para verificar el servidor
 app.get('/api/health', (req, res) => {
@@ -145,6 +229,9 @@ if (isProduction) {
   });
 }
 
+// Errores de subida de archivos (tamaño, número o tipo)
+app.use(handleUploadError);
+
 // Manejo de errores global
 app.use((error, req, res, next) => {
   console.error('❌ Error no manejado:', error);
@@ -0,0 +1,84 @@
+const Event = require('../models/Event');
+const Attendance = require('../models/Attendance');
+const Report = require('../models/Report');
+const EventInvitation = require('../models/EventInvitation');
+const TicketType = require('../models/TicketType');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const SentReminder = require('../models/SentReminder');
+const { deleteImage } = require('./storage');
+const { refundOrder } = require('./payments');
+
+/**
+ * Cierra los pedidos de un evento que se cancela o se va a eliminar. Los cobrados se reembolsan
+ * a través del proveedor antes de tocar el evento (si falla una devolución, no se cancela ni se
+ * elimina) y el resto de pedidos abiertos se cancelan. Los pedidos se conservan como registro.
+ * @param {Object} event - Documento del evento
+ */
+const closeOrders = async (event) => {
+  const paid = await Order.find({ evento: event._id, estado: 'pagado' });
+
+  for (const order of paid) {
+    if (order.total > 0 && order.pago.referencia) {
+      await refundOrder(order);
+    } else {
+      // Entradas gratuitas: no hay nada que devolver
+      order.estado = 'cancelado';
+      await order.save();
+    }
+  }
+
+  await Order.updateMany({ evento: event._id, estado: 'pendiente' }, { estado: 'cancelado' });
+};
+
+/**
+ * Cierra la venta de entradas de un evento cancelado: reembolsa o cancela sus pedidos
+ * y anula las entradas emitidas
+ * @param {Object} event - Documento del evento
+ */
+const closeSales = async (event) => {
+  await closeOrders(event);
+  await Ticket.updateMany({ evento: event._id, estado: 'valida' }, { estado: 'anulada' });
+};
+
+/**
+ * Elimina definitivamente un evento junto con sus imágenes, inscripciones, denuncias, invitaciones y entradas.
+ * Los pedidos se conservan (reembolsados o cancelados)
+ * @param {Object} event - Documento del evento
+ */
+const purgeEvent = async (event) => {
+  await closeOrders(event);
+
+  // Eliminar las imágenes de la galería
+  for (const image of event.getStoredImages()) {
+    await deleteImage(image.publicId, image.almacen);
+  }
+
+  await Attendance.deleteMany({ evento: event._id });
+  await Report.deleteMany({ evento: event._id });
+  await EventInvitation.deleteMany({ evento: event._id });
+  await Ticket.deleteMany({ evento: event._id });
+  await TicketType.deleteMany({ evento: event._id });
+  await SentReminder.deleteMany({ evento: event._id });
+  await Event.deleteOne({ _id: event._id }).setOptions({ withDeleted: true });
+};
+
+/**
+ * Elimina definitivamente los eventos cuyo plazo de restauración ha vencido
+ * @returns {Promise<number>} - Número de eventos eliminados
+ */
+const purgeExpiredEvents = async () => {
+  const events = await Event.findExpiredDeleted();
+
+  for (const event of events) {
+    await purgeEvent(event);
+  }
+
+  return events.length;
+};
+
+module.exports = {
+  closeSales,
+  purgeEvent,
+  purgeExpiredEvents
+};
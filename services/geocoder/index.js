@@ -0,0 +1,102 @@
+const GeocodeCache = require('../../models/GeocodeCache');
+
+const providers = {
+  opencage: require('./opencage'),
+  nominatim: require('./nominatim'),
+  local: require('./local')
+};
+
+// Duración de la caché de geocoding (30 días por defecto)
+const CACHE_TTL_MS = (parseInt(process.env.GEOCODER_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Selecciona el proveedor de geocoding según GEOCODER_PROVIDER.
+ * Sin configuración explícita se usa OpenCage si hay API key y, si no, Nominatim,
+ * de modo que la falta de la clave no impide crear eventos.
+ * @returns {Object} - Proveedor ({ name, geocode, reverse })
+ */
+const getProvider = () => {
+  const name = process.env.GEOCODER_PROVIDER;
+
+  if (name) {
+    const provider = providers[name.toLowerCase()];
+    if (!provider) {
+      throw new Error(`Proveedor de geocoding desconocido: ${name}`);
+    }
+    return provider;
+  }
+
+  return providers.opencage.isConfigured() ? providers.opencage : providers.nominatim;
+};
+
+// Lee de la caché sin que un fallo de MongoDB impida geocodificar
+const readCache = async (tipo, clave) => {
+  try {
+    return await GeocodeCache.lookup(tipo, clave);
+  } catch (error) {
+    console.warn('Error leyendo la caché de geocoding:', error.message);
+    return null;
+  }
+};
+
+const writeCache = async (tipo, clave, provider, result) => {
+  try {
+    await GeocodeCache.store(tipo, clave, provider, result, CACHE_TTL_MS);
+  } catch (error) {
+    console.warn('Error guardando en la caché de geocoding:', error.message);
+  }
+};
+
+/**
+ * Obtiene las coordenadas de una dirección
+ * @param {string} address - Dirección a geocodificar
+ * @returns {Promise<Object>} - { lat, lon, formatted, cached }
+ */
+const geocode = async (address) => {
+  const provider = getProvider();
+  const clave = GeocodeCache.buildKey('directo', address, provider.name);
+  const cached = await readCache('directo', clave);
+  if (cached) {
+    return { lat: cached.lat, lon: cached.lon, formatted: cached.formatted, cached: true };
+  }
+
+  try {
+    const result = await provider.geocode(address);
+    await writeCache('directo', clave, provider.name, result);
+    return { ...result, cached: false };
+  } catch (error) {
+    console.error(`Error en geocoding (${provider.name}):`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene la dirección correspondiente a unas coordenadas
+ * @param {number} lat - Latitud
+ * @param {number} lon - Longitud
+ * @returns {Promise<Object>} - { lat, lon, formatted, cached }
+ */
+const reverseGeocode = async (lat, lon) => {
+  const provider = getProvider();
+  const clave = GeocodeCache.buildKey('inverso', { lat, lon }, provider.name);
+  const cached = await readCache('inverso', clave);
+  if (cached) {
+    return { lat: cached.lat, lon: cached.lon, formatted: cached.formatted, cached: true };
+  }
+
+  try {
+    const result = await provider.reverse(lat, lon);
+    await writeCache('inverso', clave, provider.name, result);
+    return { ...result, cached: false };
+  } catch (error) {
+    console.error(`Error en geocoding inverso (${provider.name}):`, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  geocode,
+  reverseGeocode,
+  getProvider,
+  providers
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Proveedor local basado en fixtures, para desarrollo y tests sin acceso a red.
+// Se puede apuntar a otro fichero mediante GEOCODER_FIXTURES.
+let fixtures = null;
+
+const normalize = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const loadFixtures = () => {
+  if (!fixtures) {
+    const file = process.env.GEOCODER_FIXTURES || path.join(__dirname, 'fixtures.json');
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return fixtures;
+};
+
+const geocode = async (address) => {
+  const key = normalize(address);
+  const match = loadFixtures().find(entry =>
+    normalize(entry.address) === key ||
+    (entry.aliases || []).some(alias => normalize(alias) === key)
+  );
+
+  if (!match) {
+    throw new Error('No se pudieron obtener coordenadas para esta dirección');
+  }
+
+  return {
+    lat: match.lat,
+    lon: match.lon,
+    formatted: match.formatted || match.address
+  };
+};
+
+// Devuelve la entrada más cercana a las coordenadas (máximo 1 km)
+const reverse = async (lat, lon) => {
+  const Event = require('../../models/Event');
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const entry of loadFixtures()) {
+    const distance = Event.calculateDistance(lat, lon, entry.lat, entry.lon);
+    if (distance < nearestDistance) {
+      nearest = entry;
+      nearestDistance = distance;
+    }
+  }
+
+  if (!nearest || nearestDistance > 1) {
+    throw new Error('No se encontró ninguna dirección para estas coordenadas');
+  }
+
+  return {
+    lat: nearest.lat,
+    lon: nearest.lon,
+    formatted: nearest.formatted || nearest.address
+  };
+};
+
+module.exports = {
+  name: 'local',
+  isConfigured: () => true,
+  geocode,
+  reverse
+};
@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// Proveedor de geocoding de OpenStreetMap Nominatim (no requiere API key).
+// Su política de uso exige identificar la aplicación mediante User-Agent.
+const BASE_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+const headers = () => ({
+  'User-Agent': process.env.NOMINATIM_USER_AGENT || 'eventual-backend/1.0',
+  'Accept-Language': 'es'
+});
+
+const geocode = async (address) => {
+  const response = await axios.get(`${BASE_URL}/search`, {
+    params: {
+      q: address,
+      format: 'jsonv2',
+      limit: 1
+    },
+    headers: headers(),
+    timeout: 10000
+  });
+
+  if (!Array.isArray(response.data) || response.data.length === 0) {
+    throw new Error('No se pudieron obtener coordenadas para esta dirección');
+  }
+
+  const result = response.data[0];
+  return {
+    lat: parseFloat(result.lat),
+    lon: parseFloat(result.lon),
+    formatted: result.display_name
+  };
+};
+
+const reverse = async (lat, lon) => {
+  const response = await axios.get(`${BASE_URL}/reverse`, {
+    params: {
+      lat: lat,
+      lon: lon,
+      format: 'jsonv2'
+    },
+    headers: headers(),
+    timeout: 10000
+  });
+
+  if (!response.data || response.data.error) {
+    throw new Error('No se encontró ninguna dirección para estas coordenadas');
+  }
+
+  return {
+    lat: parseFloat(response.data.lat),
+    lon: parseFloat(response.data.lon),
+    formatted: response.data.display_name
+  };
+};
+
+module.exports = {
+  name: 'nominatim',
+  isConfigured: () => true,
+  geocode,
+  reverse
+};
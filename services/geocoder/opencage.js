@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+// Proveedor de geocoding de OpenCage (requiere OPENCAGE_API_KEY)
+const BASE_URL = 'https://api.opencagedata.com/geocode/v1/json';
+
+const request = async (q) => {
+  const apiKey = process.env.OPENCAGE_API_KEY;
+  if (!apiKey) {
+    throw new Error('API Key de geocoding no configurada');
+  }
+
+  const response = await axios.get(BASE_URL, {
+    params: {
+      q: q,
+      key: apiKey,
+      limit: 1,
+      language: 'es'
+    },
+    timeout: 10000
+  });
+
+  if (!response.data.results || response.data.results.length === 0) {
+    return null;
+  }
+
+  const result = response.data.results[0];
+  return {
+    lat: result.geometry.lat,
+    lon: result.geometry.lng,
+    formatted: result.formatted
+  };
+};
+
+const geocode = async (address) => {
+  const result = await request(address);
+  if (!result) {
+    throw new Error('No se pudieron obtener coordenadas para esta dirección');
+  }
+  return result;
+};
+
+const reverse = async (lat, lon) => {
+  const result = await request(`${lat},${lon}`);
+  if (!result) {
+    throw new Error('No se encontró ninguna dirección para estas coordenadas');
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'opencage',
+  isConfigured: () => !!process.env.OPENCAGE_API_KEY,
+  geocode,
+  reverse
+};
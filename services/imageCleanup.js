@@ -0,0 +1,73 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { getPublicIdFromUrl } = require('../config/cloudinary');
+const { getProvider, deleteImage } = require('./storage');
+
+// Carpetas en las que se suben imágenes
+const FOLDERS = ['eventos', 'avatares', 'organizaciones'];
+
+// Las imágenes recientes se respetan: pueden pertenecer a una subida que aún no se ha guardado
+const MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Máximo de imágenes eliminadas por ejecución
+const MAX_DELETIONS = parseInt(process.env.ORPHAN_IMAGES_MAX_DELETIONS) || 200;
+
+// public_id de todas las imágenes referenciadas (incluidos los eventos de la papelera)
+const getReferencedImages = async () => {
+  const [events, users, organizations] = await Promise.all([
+    Event.find({ imagen: { $ne: null } }).select('imagen imagenes').setOptions({ withDeleted: true }),
+    User.find({ avatar: { $ne: null } }).select('avatar avatarPublicId'),
+    Organization.find({ logo: { $ne: null } }).select('logo logoPublicId')
+  ]);
+
+  const referenced = new Set();
+  const add = (publicId, url) => {
+    const id = publicId || getPublicIdFromUrl(url);
+    if (id) referenced.add(id);
+  };
+
+  events.forEach(event => event.getStoredImages().forEach(image => add(image.publicId)));
+  users.forEach(user => add(user.avatarPublicId, user.avatar));
+  organizations.forEach(organization => add(organization.logoPublicId, organization.logo));
+
+  return referenced;
+};
+
+/**
+ * Elimina del almacenamiento actual las imágenes que ya no usa ningún evento, usuario u organización
+ * @returns {Promise<Object>} - { almacen, revisadas, eliminadas } u { omitido } si no está configurado
+ */
+const cleanOrphanImages = async () => {
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    return { omitido: `El almacenamiento ${provider.name} no está configurado` };
+  }
+
+  const referenced = await getReferencedImages();
+  const cutoff = new Date(Date.now() - MIN_AGE_MS);
+  let revisadas = 0;
+  let eliminadas = 0;
+
+  for (const folder of FOLDERS) {
+    let cursor = null;
+    do {
+      const page = await provider.list(folder, cursor);
+      for (const image of page.images) {
+        revisadas++;
+        if (referenced.has(image.publicId) || image.created > cutoff) continue;
+        if (eliminadas >= MAX_DELETIONS) break;
+
+        const result = await deleteImage(image.publicId, provider.name);
+        if (result.success) eliminadas++;
+      }
+      cursor = page.nextCursor;
+    } while (cursor && eliminadas < MAX_DELETIONS);
+  }
+
+  return { almacen: provider.name, revisadas, eliminadas };
+};
+
+module.exports = {
+  cleanOrphanImages
+};
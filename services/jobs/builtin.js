@@ -0,0 +1,45 @@
+const jobs = require('./index');
+const LoginLog = require('../../models/LoginLog');
+const Event = require('../../models/Event');
+const Order = require('../../models/Order');
+const { purgeExpiredEvents } = require('../eventCleanup');
+const { sendDueReminders } = require('../notifications/reminders');
+const { cleanOrphanImages } = require('../imageCleanup');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Registra los trabajos periódicos de mantenimiento de la aplicación
+const registerBuiltinJobs = () => {
+  jobs.define('limpiar-tokens', async () => {
+    const result = await LoginLog.cleanExpiredTokens();
+    return { eliminados: result.deletedCount };
+  }, { descripcion: 'Elimina del log los tokens caducados', intervalo: 6 * HOUR_MS });
+
+  jobs.define('liberar-pedidos', async () => {
+    return { liberados: await Order.releaseExpired() };
+  }, { descripcion: 'Libera las entradas de los pedidos sin pagar cuya reserva ha caducado', intervalo: 5 * MINUTE_MS });
+
+  jobs.define('enviar-recordatorios', async () => {
+    return { enviados: await sendDueReminders() };
+  }, { descripcion: 'Envía los recordatorios de los próximos eventos', intervalo: 5 * MINUTE_MS });
+
+  jobs.define('archivar-eventos', async () => {
+    const result = await Event.archivePast();
+    return { archivados: result.modifiedCount };
+  }, { descripcion: 'Archiva los eventos ya celebrados', intervalo: HOUR_MS });
+
+  jobs.define('purgar-eventos-eliminados', async () => {
+    return { purgados: await purgeExpiredEvents() };
+  }, { descripcion: 'Borra definitivamente los eventos de la papelera cuyo plazo de restauración ha vencido', intervalo: 6 * HOUR_MS });
+
+  jobs.define('limpiar-imagenes-huerfanas', cleanOrphanImages, {
+    descripcion: 'Elimina del almacenamiento las imágenes que ya no usa ningún evento, usuario u organización',
+    intervalo: 24 * HOUR_MS,
+    lockMs: 30 * MINUTE_MS
+  });
+};
+
+module.exports = {
+  registerBuiltinJobs
+};
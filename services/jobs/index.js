@@ -0,0 +1,214 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../../models/Job');
+
+// Identificador de esta instancia (para los bloqueos de los trabajos)
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const POLL_INTERVAL_MS = (parseInt(process.env.JOBS_POLL_INTERVAL_SECONDS) || 30) * 1000;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+
+// Máximo de trabajos que se ejecutan seguidos en cada comprobación
+const MAX_JOBS_PER_TICK = 20;
+
+const definitions = new Map();
+let timer = null;
+let running = false;
+
+/**
+ * Registra un tipo de trabajo
+ * @param {string} nombre - Nombre del trabajo
+ * @param {Function} handler - async (datos, job) => resultado
+ * @param {Object} options - { descripcion, intervalo (ms, trabajos periódicos), maxIntentos, lockMs, backoffMs }
+ */
+const define = (nombre, handler, options = {}) => {
+  definitions.set(nombre, {
+    nombre,
+    handler,
+    descripcion: options.descripcion || '',
+    intervalo: options.intervalo || null,
+    maxIntentos: options.maxIntentos || 3,
+    lockMs: options.lockMs || DEFAULT_LOCK_MS,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS
+  });
+};
+
+/**
+ * Encola un trabajo puntual
+ * @param {string} nombre - Nombre de un trabajo registrado
+ * @param {Object} datos - Datos que recibe el handler
+ * @param {Object} options - { ejecutarEn }
+ * @returns {Promise<Object>} - Trabajo creado
+ */
+const schedule = (nombre, datos = null, { ejecutarEn = new Date() } = {}) => {
+  const definition = definitions.get(nombre);
+  if (!definition) {
+    throw new Error(`Trabajo desconocido: ${nombre}`);
+  }
+
+  return Job.create({ nombre, datos, ejecutarEn, maxIntentos: definition.maxIntentos });
+};
+
+// Crea (una sola vez entre todas las instancias) el documento de cada trabajo periódico
+const ensureRecurringJobs = async () => {
+  for (const definition of definitions.values()) {
+    if (!definition.intervalo) continue;
+
+    try {
+      await Job.updateOne(
+        { clave: definition.nombre },
+        {
+          $set: { intervalo: definition.intervalo, maxIntentos: definition.maxIntentos },
+          $setOnInsert: { nombre: definition.nombre, ejecutarEn: new Date() }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Otra instancia lo creó a la vez
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+/**
+ * Reserva y ejecuta el siguiente trabajo pendiente
+ * @returns {Promise<boolean>} - false si no había ninguno
+ */
+const runNext = async () => {
+  const names = Array.from(definitions.keys());
+  const lockMs = Math.max(...Array.from(definitions.values(), d => d.lockMs));
+  const job = await Job.claimNext(WORKER_ID, names, lockMs);
+  if (!job) return false;
+
+  const definition = definitions.get(job.nombre);
+
+  // Renovar el bloqueo mientras el trabajo siga en marcha
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, bloqueadoPor: WORKER_ID },
+      { bloqueadoHasta: new Date(Date.now() + lockMs) }
+    ).catch(error => console.error(`Error renovando el bloqueo del trabajo ${job.nombre}:`, error.message));
+  }, lockMs / 2);
+
+  try {
+    const result = await definition.handler(job.datos || {}, job);
+    await job.complete(result);
+  } catch (error) {
+    console.error(`❌ Error en el trabajo ${job.nombre} (intento ${job.intentos}/${job.maxIntentos}):`, error.message);
+    await job.fail(error, definition.backoffMs);
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return true;
+};
+
+// Ejecuta los trabajos pendientes (sin solaparse con la comprobación anterior)
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (let i = 0; i < MAX_JOBS_PER_TICK; i++) {
+      if (!await runNext()) break;
+    }
+  } catch (error) {
+    console.error('❌ Error en el planificador de trabajos:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Arranca el planificador en esta instancia
+const start = async () => {
+  if (timer) return;
+
+  await ensureRecurringJobs();
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Adelanta un trabajo periódico para que se ejecute en la siguiente comprobación
+ * o encola uno puntual
+ * @param {string} nombre - Nombre del trabajo
+ * @returns {Promise<Object|null>} - Trabajo afectado (null si el periódico ya se está ejecutando)
+ */
+const runNow = async (nombre) => {
+  const definition = definitions.get(nombre);
+  if (!definition) {
+    throw new Error(`Trabajo desconocido: ${nombre}`);
+  }
+
+  if (!definition.intervalo) {
+    return schedule(nombre);
+  }
+
+  return Job.findOneAndUpdate(
+    { clave: nombre, estado: 'pendiente' },
+    { ejecutarEn: new Date(), intentos: 0 },
+    { new: true }
+  );
+};
+
+/**
+ * Vuelve a encolar un trabajo puntual que agotó sus reintentos
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<Object|null>} - Trabajo reencolado (null si no existe o no ha fallado)
+ */
+const retry = (jobId) => Job.findOneAndUpdate(
+  { _id: jobId, estado: 'fallido' },
+  { estado: 'pendiente', ejecutarEn: new Date(), intentos: 0, caducidad: null },
+  { new: true }
+);
+
+/**
+ * Estado del planificador: trabajos periódicos, cola y últimos fallos
+ * @returns {Promise<Object>}
+ */
+const getStatus = async () => {
+  const [recurring, counts, failed] = await Promise.all([
+    Job.find({ clave: { $type: 'string' } }).sort({ nombre: 1 }),
+    Job.aggregate([
+      { $match: { clave: { $exists: false } } },
+      { $group: { _id: '$estado', count: { $sum: 1 } } }
+    ]),
+    Job.find({ estado: 'fallido' }).sort({ finalizadoEn: -1 }).limit(20)
+  ]);
+
+  return {
+    instancia: WORKER_ID,
+    activo: !!timer,
+    intervaloComprobacionMs: POLL_INTERVAL_MS,
+    periodicos: recurring.map(job => ({
+      ...job.toJSON(),
+      descripcion: definitions.has(job.nombre) ? definitions.get(job.nombre).descripcion : null
+    })),
+    cola: Job.ESTADOS.reduce((acc, estado) => {
+      const found = counts.find(item => item._id === estado);
+      acc[estado] = found ? found.count : 0;
+      return acc;
+    }, {}),
+    fallidos: failed
+  };
+};
+
+module.exports = {
+  define,
+  schedule,
+  start,
+  stop,
+  runNow,
+  retry,
+  runNext,
+  getStatus,
+  definitions,
+  WORKER_ID
+};
@@ -0,0 +1,15 @@
+// Transporte de desarrollo: muestra los correos en la consola
+
+const send = async (message) => {
+  console.log('📧 Correo (transporte console)');
+  console.log(`  Para: ${message.to}`);
+  console.log(`  Asunto: ${message.subject}`);
+  console.log(message.text.split('\n').map(line => `  ${line}`).join('\n'));
+
+  return { transport: 'console', messageId: null };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Transporte de desarrollo/tests: guarda cada correo como JSON en MAIL_DIR
+// para poder inspeccionarlo (p. ej. para obtener el enlace de verificación)
+const getMailDir = () => process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+const send = async (message) => {
+  const dir = getMailDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(dir, `${messageId}.json`);
+
+  await fs.writeFile(file, JSON.stringify({
+    ...message,
+    messageId: messageId,
+    date: new Date().toISOString()
+  }, null, 2));
+
+  return { transport: 'file', messageId, file };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
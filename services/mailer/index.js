@@ -0,0 +1,55 @@
+const transports = {
+  console: require('./console'),
+  file: require('./file'),
+  smtp: require('./smtp')
+};
+
+/**
+ * Selecciona el transporte de correo según MAIL_TRANSPORT.
+ * Por defecto: SMTP si hay SMTP_HOST configurado y, si no, consola. En producción no hay
+ * transporte por defecto: la consola dejaría los enlaces de verificación y de restablecimiento
+ * de contraseña en los logs.
+ * @returns {Object} - Transporte ({ name, send })
+ */
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+
+  if (name) {
+    const transport = transports[name.toLowerCase()];
+    if (!transport) {
+      throw new Error(`Transporte de correo desconocido: ${name}`);
+    }
+    return transport;
+  }
+
+  if (process.env.SMTP_HOST) {
+    return transports.smtp;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No hay transporte de correo configurado: define SMTP_HOST o MAIL_TRANSPORT');
+  }
+
+  return transports.console;
+};
+
+/**
+ * Envía un correo
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Resultado del transporte
+ */
+const sendMail = async (message) => {
+  const transport = getTransport();
+  try {
+    return await transport.send(message);
+  } catch (error) {
+    console.error(`Error enviando correo (${transport.name}):`, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  transports
+};
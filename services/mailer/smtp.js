@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// Transporte SMTP (producción, o un servidor local de captura como MailHog en desarrollo)
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Eventual <no-reply@eventual.app>',
+    ...message
+  });
+
+  return { transport: 'smtp', messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
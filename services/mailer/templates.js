@@ -0,0 +1,80 @@
+// Plantillas de los correos (autenticación, invitaciones y notificaciones)
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app';
+
+const DEFAULT_FOOTER = 'Si no has solicitado este correo, puedes ignorarlo.';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, body, link, linkText, footer = DEFAULT_FOOTER) => `
+  <div style="font-family: sans-serif; max-width: 560px; margin: 0 auto;">
+    <h2>${title}</h2>
+    <p>${body}</p>
+    <p><a href="${link}" style="display: inline-block; padding: 10px 16px; background: #4f46e5; color: #fff; text-decoration: none; border-radius: 6px;">${linkText}</a></p>
+    <p style="color: #666; font-size: 12px;">${footer}</p>
+  </div>
+`;
+
+const verifyEmail = (to, name, token) => {
+  const link = `${frontendUrl()}/auth/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: to,
+    subject: 'Confirma tu email en Eventual',
+    text: `Hola ${name},\n\nConfirma tu email abriendo este enlace:\n${link}\n\nEl enlace caduca en 24 horas.`,
+    html: layout(`Hola ${escapeHtml(name)}`, 'Confirma tu email para activar tu cuenta de Eventual. El enlace caduca en 24 horas.', link, 'Confirmar email')
+  };
+};
+
+const resetPassword = (to, name, token) => {
+  const link = `${frontendUrl()}/auth/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: to,
+    subject: 'Restablece tu contraseña de Eventual',
+    text: `Hola ${name},\n\nPuedes elegir una nueva contraseña en este enlace:\n${link}\n\nEl enlace caduca en 1 hora y solo puede usarse una vez.`,
+    html: layout(`Hola ${escapeHtml(name)}`, 'Puedes elegir una nueva contraseña desde este enlace. Caduca en 1 hora y solo puede usarse una vez.', link, 'Restablecer contraseña')
+  };
+};
+
+const ROLE_LABELS = {
+  editor: 'editor',
+  checkin: 'personal de check-in'
+};
+
+const eventInvitation = (to, eventName, inviter, rol) => {
+  const link = `${frontendUrl()}/invitaciones`;
+  const role = ROLE_LABELS[rol] || rol;
+  return {
+    to: to,
+    subject: `Invitación para colaborar en "${eventName}"`,
+    text: `Hola,\n\n${inviter} te ha invitado a colaborar como ${role} en el evento "${eventName}".\nPuedes aceptar o rechazar la invitación aquí:\n${link}\n\nLa invitación caduca en 14 días.`,
+    html: layout('Invitación a colaborar', `${escapeHtml(inviter)} te ha invitado a colaborar como <strong>${escapeHtml(role)}</strong> en el evento "${escapeHtml(eventName)}". La invitación caduca en 14 días.`, link, 'Ver invitación')
+  };
+};
+
+// Notificación de un evento (cambios, cancelación, recordatorios)
+const eventNotification = (to, notification) => {
+  const link = notification.evento ? `${frontendUrl()}/events/${notification.evento}` : frontendUrl();
+  return {
+    to: to,
+    subject: notification.titulo,
+    text: `${notification.mensaje}\n\n${link}\n\nPuedes cambiar qué notificaciones recibes desde tu perfil.`,
+    html: layout(
+      escapeHtml(notification.titulo),
+      escapeHtml(notification.mensaje).replace(/\n/g, '<br>'),
+      link,
+      'Ver evento',
+      'Puedes cambiar qué notificaciones recibes desde tu perfil.'
+    )
+  };
+};
+
+module.exports = {
+  verifyEmail,
+  resetPassword,
+  eventInvitation,
+  eventNotification
+};
@@ -0,0 +1,11 @@
+const { sendMail } = require('../mailer');
+const templates = require('../mailer/templates');
+
+// Canal de email: usa el transporte configurado en services/mailer
+// (en desarrollo, file o un SMTP local de captura como MailHog)
+const send = (email, notification) => sendMail(templates.eventNotification(email, notification));
+
+module.exports = {
+  name: 'email',
+  send
+};
@@ -0,0 +1,16 @@
+const Notification = require('../../models/Notification');
+
+// Canal in-app: guarda la notificación en la bandeja de entrada del usuario
+const send = (email, notification) => Notification.create({
+  usuario: email,
+  tipo: notification.tipo,
+  titulo: notification.titulo,
+  mensaje: notification.mensaje,
+  evento: notification.evento || null,
+  datos: notification.datos || null
+});
+
+module.exports = {
+  name: 'inapp',
+  send
+};
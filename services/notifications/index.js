@@ -0,0 +1,143 @@
+const Attendance = require('../../models/Attendance');
+const Ticket = require('../../models/Ticket');
+const NotificationPreference = require('../../models/NotificationPreference');
+const { DEFAULT_TIMEZONE } = require('../../utils/timezone');
+
+const channels = {
+  email: require('./email'),
+  inapp: require('./inapp'),
+  webhook: require('./webhook')
+};
+
+// Fecha legible en la zona horaria del evento
+const formatDate = (date, timeZone) => new Date(date).toLocaleString('es-ES', {
+  timeZone: timeZone || DEFAULT_TIMEZONE,
+  dateStyle: 'full',
+  timeStyle: 'short'
+});
+
+/**
+ * Envía una notificación a varios usuarios por los canales que cada uno tenga activos.
+ * Los fallos de un canal se registran sin interrumpir el resto de envíos.
+ * @param {Array<string>} emails - Destinatarios
+ * @param {Object} notification - { tipo, titulo, mensaje, evento, datos }
+ * @returns {Promise<Object>} - Envíos por canal y errores
+ */
+const notify = async (emails, notification) => {
+  const recipients = [...new Set(emails.map(email => String(email).toLowerCase()))];
+  const results = { email: 0, inapp: 0, webhook: 0, errores: 0 };
+  if (recipients.length === 0) return results;
+
+  const preferences = await NotificationPreference.getForUsers(recipients);
+
+  for (const email of recipients) {
+    const prefs = preferences.get(email);
+    if (!prefs.wants(notification.tipo)) continue;
+
+    for (const name of prefs.getChannels()) {
+      try {
+        await channels[name].send(email, notification, prefs);
+        results[name]++;
+      } catch (error) {
+        results.errores++;
+        console.error(`Error enviando notificación (${name}) a ${email}:`, error.message);
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Usuarios que planean asistir a un evento: inscritos (también en lista de espera)
+ * y titulares de entradas válidas
+ * @param {*} eventId - ID del evento
+ * @returns {Promise<Array<string>>} - Emails
+ */
+const getEventAudience = async (eventId) => {
+  const [attendees, holders] = await Promise.all([
+    Attendance.distinct('usuario', { evento: eventId }),
+    Ticket.distinct('usuario', { evento: eventId, estado: 'valida' })
+  ]);
+  return [...new Set([...attendees, ...holders])];
+};
+
+// Título y mensaje de cada aviso sobre un evento
+const buildEventNotice = (event, tipo, { cambios = {}, motivo = '' } = {}) => {
+  const timeZone = event.zonaHoraria;
+  const withReason = (text) => (motivo ? `${text}\nMotivo: ${motivo}` : text);
+
+  switch (tipo) {
+    case 'evento_modificado': {
+      const lines = [];
+      if (cambios.timestamp) {
+        lines.push(`- Nueva fecha: ${formatDate(cambios.timestamp.despues, timeZone)} (antes: ${formatDate(cambios.timestamp.antes, timeZone)})`);
+      }
+      if (cambios.lugar) {
+        lines.push(`- Nuevo lugar: ${cambios.lugar.despues} (antes: ${cambios.lugar.antes})`);
+      }
+      return {
+        titulo: `Cambios en "${event.nombre}"`,
+        mensaje: `El evento "${event.nombre}" ha cambiado:\n${lines.join('\n')}`
+      };
+    }
+    case 'evento_aplazado':
+      return {
+        titulo: `"${event.nombre}" se ha aplazado`,
+        mensaje: withReason(event.aviso && event.aviso.nuevaFecha
+          ? `El evento "${event.nombre}" se ha aplazado al ${formatDate(event.aviso.nuevaFecha, timeZone)}.`
+          : `El evento "${event.nombre}" se ha aplazado. Te avisaremos cuando haya nueva fecha.`)
+      };
+    case 'evento_cancelado':
+      return {
+        titulo: `"${event.nombre}" ha sido cancelado`,
+        mensaje: withReason(`El evento "${event.nombre}" previsto para el ${formatDate(event.timestamp, timeZone)} ha sido cancelado.`)
+      };
+    case 'evento_eliminado':
+      return {
+        titulo: `"${event.nombre}" ya no está disponible`,
+        mensaje: `El organizador ha eliminado el evento "${event.nombre}" previsto para el ${formatDate(event.timestamp, timeZone)}.`
+      };
+    default:
+      throw new Error(`Tipo de aviso desconocido: ${tipo}`);
+  }
+};
+
+/**
+ * Avisa a los asistentes de un cambio en un evento (fecha o lugar, aplazamiento,
+ * cancelación o eliminación). Quien hace el cambio no recibe el aviso.
+ * @param {Object} event - Documento del evento (con los datos ya actualizados)
+ * @param {string} tipo - Tipo de notificación
+ * @param {Object} options - { actor, cambios, motivo, audience }
+ * @returns {Promise<Object>} - Resultado de notify
+ */
+const notifyEventChange = async (event, tipo, { actor = null, cambios, motivo, audience } = {}) => {
+  const recipients = (audience || await getEventAudience(event._id)).filter(email => email !== actor);
+  const notice = buildEventNotice(event, tipo, { cambios, motivo });
+
+  return notify(recipients, {
+    tipo: tipo,
+    ...notice,
+    evento: event._id,
+    datos: {
+      ...(cambios && { cambios }),
+      ...(motivo && { motivo })
+    }
+  });
+};
+
+// Lanza un aviso sin bloquear la respuesta de la petición
+const notifyEventChangeInBackground = (event, tipo, options) => {
+  notifyEventChange(event, tipo, options).catch(error => {
+    console.error(`Error enviando avisos (${tipo}) del evento ${event._id}:`, error);
+  });
+};
+
+module.exports = {
+  notify,
+  notifyEventChange,
+  notifyEventChangeInBackground,
+  getEventAudience,
+  formatDate,
+  channels
+};
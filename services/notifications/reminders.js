@@ -0,0 +1,62 @@
+const Event = require('../../models/Event');
+const SentReminder = require('../../models/SentReminder');
+const { notify, getEventAudience, formatDate } = require('./index');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Antelaciones de los recordatorios en horas (por defecto, 24 h y 1 h antes del inicio)
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '24,1')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0)
+  .sort((a, b) => a - b);
+
+/**
+ * Envía los recordatorios de las ocurrencias que empiezan dentro de alguna de las
+ * antelaciones configuradas. Si un recordatorio no se envió a tiempo (p. ej. el
+ * servidor estaba parado) solo se envía el de la antelación más corta que aún aplica.
+ * @param {Date} now - Fecha de referencia
+ * @returns {Promise<number>} - Número de recordatorios enviados (uno por ocurrencia)
+ */
+const sendDueReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS_HOURS.length === 0) return 0;
+
+  const until = new Date(now.getTime() + REMINDER_OFFSETS_HOURS[REMINDER_OFFSETS_HOURS.length - 1] * HOUR_MS);
+  const events = await Event.find({
+    estado: 'publicado',
+    $or: [
+      { 'recurrencia.frecuencia': { $exists: false }, timestamp: { $gt: now, $lte: until } },
+      { 'recurrencia.frecuencia': { $exists: true }, timestamp: { $lte: until }, 'recurrencia.finSerie': { $not: { $lt: now } } }
+    ]
+  });
+
+  let sent = 0;
+  for (const event of events) {
+    const occurrences = event.getOccurrences(now, until).filter(occurrence => occurrence.timestamp > now);
+
+    for (const occurrence of occurrences) {
+      const remainingMs = occurrence.timestamp - now;
+      const offset = REMINDER_OFFSETS_HOURS.find(hours => remainingMs <= hours * HOUR_MS);
+      if (!offset) continue;
+
+      // Reservar antes de enviar para que dos procesos no manden el mismo recordatorio
+      if (!await SentReminder.claim(event._id, occurrence.fechaOriginal, offset)) continue;
+
+      await notify(await getEventAudience(event._id), {
+        tipo: 'recordatorio',
+        titulo: `Recordatorio: "${occurrence.nombre}"`,
+        mensaje: `El evento "${occurrence.nombre}" empieza el ${formatDate(occurrence.timestamp, event.zonaHoraria)}.\nLugar: ${occurrence.lugar}`,
+        evento: event._id,
+        datos: { fecha: occurrence.timestamp, antelacionHoras: offset }
+      });
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendDueReminders,
+  REMINDER_OFFSETS_HOURS
+};
@@ -0,0 +1,52 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const signature = require('../../utils/webhookSignature');
+const { checkPublicUrl, publicLookup } = require('../../utils/publicAddress');
+
+const TIMEOUT_MS = 5000;
+
+// Los agentes vuelven a comprobar la IP al conectar (la URL pudo validarse con otra respuesta DNS)
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Canal webhook: envía la notificación como JSON a la URL del usuario, firmada con su
+// secreto en la cabecera X-Eventual-Signature (t=<timestamp>,v1=<hmac sha256>)
+const send = async (email, notification, preferences) => {
+  // La URL se validó al guardarla, pero su nombre puede resolver ahora a una red interna
+  const urlError = await checkPublicUrl(preferences.webhookUrl);
+  if (urlError) {
+    throw new Error(`Webhook no permitido: ${urlError}`);
+  }
+
+  const body = JSON.stringify({
+    tipo: notification.tipo,
+    usuario: email,
+    titulo: notification.titulo,
+    mensaje: notification.mensaje,
+    evento: notification.evento ? String(notification.evento) : null,
+    datos: notification.datos || null,
+    enviada: new Date().toISOString()
+  });
+
+  const response = await axios.post(preferences.webhookUrl, body, {
+    timeout: TIMEOUT_MS,
+    maxRedirects: 0,
+    proxy: false,
+    httpAgent,
+    httpsAgent,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Eventual-Webhooks/1.0',
+      'X-Eventual-Event': notification.tipo,
+      'X-Eventual-Signature': signature.sign(body, preferences.webhookSecret)
+    }
+  });
+
+  return { status: response.status };
+};
+
+module.exports = {
+  name: 'webhook',
+  send
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const signature = require('../../utils/webhookSignature');
+
+// Proveedor de pagos local para desarrollo y tests: no cobra nada. El pago se completa
+// (o falla) desde la página de checkout simulada, que envía una notificación firmada
+// igual que lo haría un proveedor real.
+const name = 'fake';
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET;
+
+// En producción solo se usa si se elige explícitamente con PAYMENT_PROVIDER=fake
+const isConfigured = () => !!getSecret() &&
+  (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_PROVIDER === 'fake');
+
+/**
+ * Crea un pago para un pedido
+ * @param {Object} order - Documento del pedido
+ * @param {Object} options - { baseUrl }
+ * @returns {Promise<Object>} - { referencia, urlPago }
+ */
+const createPayment = async (order, { baseUrl }) => {
+  const referencia = `fake_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    referencia,
+    urlPago: `${baseUrl}/api/payments/fake/checkout/${referencia}`
+  };
+};
+
+/**
+ * Verifica y normaliza una notificación de pago
+ * @param {Buffer} rawBody - Cuerpo recibido, sin parsear
+ * @param {Object} headers - Cabeceras de la petición
+ * @returns {Object} - { id, tipo: 'pago.completado' | 'pago.fallido', referencia, importe }
+ */
+const parseWebhook = (rawBody, headers) => {
+  if (!signature.verify(rawBody, headers[SIGNATURE_HEADER], getSecret())) {
+    throw new Error('Firma de la notificación no válida');
+  }
+
+  const data = JSON.parse(rawBody.toString('utf8'));
+  return {
+    id: data.id,
+    tipo: data.tipo,
+    referencia: data.referencia,
+    importe: data.importe
+  };
+};
+
+const refund = async (referencia) => ({ success: true, referencia });
+
+/**
+ * Construye la notificación firmada que enviaría el proveedor (usada por el checkout simulado)
+ * @returns {Object} - { body, headers }
+ */
+const buildWebhook = (referencia, tipo, importe) => {
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    tipo,
+    referencia,
+    importe,
+    creado: new Date().toISOString()
+  });
+
+  return {
+    body: Buffer.from(body),
+    headers: { [SIGNATURE_HEADER]: signature.sign(body, getSecret()) }
+  };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  parseWebhook,
+  refund,
+  buildWebhook
+};
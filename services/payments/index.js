@@ -0,0 +1,104 @@
+const Order = require('../../models/Order');
+const { getBaseUrl } = require('../../config/passport');
+
+// Cada proveedor implementa { name, isConfigured, createPayment, parseWebhook, refund }
+const providers = {
+  fake: require('./fake')
+};
+
+/**
+ * Selecciona el proveedor de pagos según PAYMENT_PROVIDER (por defecto, el simulado)
+ * @returns {Object} - Proveedor
+ */
+const getProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'fake';
+  const provider = providers[name.toLowerCase()];
+  if (!provider) {
+    throw new Error(`Proveedor de pagos desconocido: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Inicia el pago de un pedido pendiente y guarda la referencia del proveedor
+ * @param {Object} order - Documento del pedido
+ * @returns {Promise<Object>} - Pedido con los datos del pago
+ */
+const startPayment = async (order) => {
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`El proveedor de pagos ${provider.name} no está configurado`);
+  }
+
+  const payment = await provider.createPayment(order, { baseUrl: getBaseUrl() });
+  order.pago = {
+    proveedor: provider.name,
+    referencia: payment.referencia,
+    urlPago: payment.urlPago
+  };
+  return order.save();
+};
+
+/**
+ * Devuelve el importe de un pedido cobrado a través del proveedor con el que se pagó
+ * y lo marca como reembolsado. Lanza un error si el proveedor rechaza la devolución.
+ * @param {Object} order - Documento del pedido
+ * @returns {Promise<Object>} - Pedido reembolsado
+ */
+const refundOrder = async (order) => {
+  const provider = providers[order.pago.proveedor];
+  if (!provider) {
+    throw new Error(`Proveedor de pagos desconocido: ${order.pago.proveedor}`);
+  }
+
+  await provider.refund(order.pago.referencia);
+  order.estado = 'reembolsado';
+  return order.save();
+};
+
+/**
+ * Procesa una notificación de pago. Es idempotente: las notificaciones repetidas
+ * no emiten entradas de nuevo.
+ * @param {string} providerName - Proveedor que envía la notificación
+ * @param {Buffer} rawBody - Cuerpo sin parsear (necesario para verificar la firma)
+ * @param {Object} headers - Cabeceras de la petición
+ * @returns {Promise<Object>} - { order, estado } o { ignored: true } si no corresponde a ningún pedido
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Proveedor de pagos desconocido: ${providerName}`);
+  }
+
+  const notification = provider.parseWebhook(rawBody, headers);
+  const order = await Order.findOne({ 'pago.proveedor': provider.name, 'pago.referencia': notification.referencia });
+  if (!order) {
+    return { ignored: true };
+  }
+
+  if (notification.tipo === 'pago.fallido') {
+    const failed = await Order.release(order, 'fallido');
+    return { order: failed || order, estado: (failed || order).estado };
+  }
+
+  if (notification.tipo !== 'pago.completado') {
+    return { ignored: true };
+  }
+
+  const result = await Order.confirm(order);
+  if (result.refund) {
+    // Se cobró un pedido cuyas entradas ya no están disponibles: devolver el importe
+    await refundOrder(order);
+    return { order, estado: 'reembolsado' };
+  }
+
+  return { order: result.order, estado: result.order.estado, tickets: result.tickets };
+};
+
+module.exports = {
+  getProvider,
+  startPayment,
+  handleWebhook,
+  refundOrder,
+  providers
+};
@@ -0,0 +1,47 @@
+const {
+  cloudinary,
+  isConfigured,
+  uploadImage,
+  deleteImage,
+  getTransformedUrl,
+  getImageInfo,
+  listImages
+} = require('../../config/cloudinary');
+const { toDataUri } = require('../../config/upload');
+
+// Almacenamiento en Cloudinary (las transformaciones se aplican al servir la imagen)
+
+const upload = async (file, folder) => {
+  const result = await uploadImage(toDataUri(file), folder);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const { success, ...image } = result;
+  return image;
+};
+
+const remove = (publicId) => deleteImage(publicId);
+
+// Opciones comunes { width, height, crop: 'fill' | 'limit', format }
+const url = (publicId, options = {}) => {
+  if (Object.keys(options).length === 0) {
+    return cloudinary.url(publicId, { secure: true });
+  }
+  return getTransformedUrl(publicId, { ...options, secure: true });
+};
+
+const info = async (publicId) => {
+  const result = await getImageInfo(publicId);
+  return result.success ? result.info : null;
+};
+
+module.exports = {
+  name: 'cloudinary',
+  isConfigured,
+  upload,
+  delete: remove,
+  url,
+  info,
+  list: listImages
+};
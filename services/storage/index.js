@@ -0,0 +1,91 @@
+const providers = {
+  cloudinary: require('./cloudinary'),
+  local: require('./local')
+};
+
+// Tamaños en los que se sirven las imágenes de las galerías (para srcset)
+const IMAGE_VARIANTS = {
+  miniatura: { width: 200, height: 150, crop: 'fill' },
+  mediana: { width: 600, height: 450, crop: 'fill' },
+  grande: { width: 1200, height: 900, crop: 'limit' }
+};
+
+/**
+ * Selecciona el almacenamiento de imágenes según STORAGE_PROVIDER (o uno concreto por nombre).
+ * Sin configuración explícita se usa Cloudinary si hay credenciales y, si no, el disco local,
+ * de modo que en desarrollo no hacen falta credenciales reales.
+ * @param {string} name - Nombre del almacenamiento (opcional)
+ * @returns {Object} - Almacenamiento ({ name, upload, delete, url, info, list })
+ */
+const getProvider = (name = process.env.STORAGE_PROVIDER) => {
+  if (name) {
+    const provider = providers[name.toLowerCase()];
+    if (!provider) {
+      throw new Error(`Almacenamiento de imágenes desconocido: ${name}`);
+    }
+    return provider;
+  }
+
+  return providers.cloudinary.isConfigured() ? providers.cloudinary : providers.local;
+};
+
+/**
+ * Sube una imagen recibida por multer. Lanza un error si la subida falla.
+ * @param {Object} file - Archivo de multer (buffer y mimetype)
+ * @param {string} folder - Carpeta de destino
+ * @returns {Promise<Object>} - { almacen, url, publicId, width, height, format, bytes }
+ */
+const uploadImage = async (file, folder) => {
+  const provider = getProvider();
+  try {
+    const image = await provider.upload(file, folder);
+    return { almacen: provider.name, ...image };
+  } catch (error) {
+    console.error(`Error subiendo imagen (${provider.name}):`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Elimina una imagen. No lanza errores: las imágenes que no se puedan borrar
+ * las elimina el trabajo de limpieza de imágenes huérfanas.
+ * @param {string} publicId - ID de la imagen
+ * @param {string} almacen - Almacenamiento en el que se guardó (por defecto, el actual)
+ * @returns {Promise<Object>} - { success, result }
+ */
+const deleteImage = async (publicId, almacen) => {
+  const provider = getProvider(almacen);
+  try {
+    return await provider.delete(publicId);
+  } catch (error) {
+    console.error(`Error eliminando imagen (${provider.name}):`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// URL de una imagen con transformaciones opcionales ({ width, height, crop, format })
+const getImageUrl = (publicId, options = {}, almacen) => getProvider(almacen).url(publicId, options);
+
+// Información de una imagen (null si no existe)
+const getImageInfo = (publicId, almacen) => getProvider(almacen).info(publicId);
+
+/**
+ * Genera las URL de todas las variantes de una imagen
+ * @param {string} publicId - ID de la imagen
+ * @param {string} almacen - Almacenamiento en el que se guardó (por defecto, el actual)
+ * @returns {Object} - { miniatura, mediana, grande }
+ */
+const getImageVariants = (publicId, almacen) => Object.fromEntries(
+  Object.entries(IMAGE_VARIANTS).map(([name, options]) => [name, getImageUrl(publicId, options, almacen)])
+);
+
+module.exports = {
+  uploadImage,
+  deleteImage,
+  getImageUrl,
+  getImageInfo,
+  getImageVariants,
+  getProvider,
+  providers,
+  IMAGE_VARIANTS
+};
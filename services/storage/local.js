@@ -0,0 +1,213 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Almacenamiento en disco para desarrollo y tests sin credenciales de Cloudinary.
+// Las imágenes se guardan en STORAGE_DIR y se sirven (redimensionadas) desde /api/media
+const getStorageDir = () => path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+
+// URL pública de /api/media (STORAGE_PUBLIC_URL permite servirlas desde un CDN)
+const getPublicUrl = () => (
+  process.env.STORAGE_PUBLIC_URL ||
+  `${process.env.BACKEND_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 5000}`}/api/media`
+).replace(/\/+$/, '');
+
+// Mismo límite que la transformación de subida de Cloudinary
+const MAX_WIDTH = 800;
+const MAX_HEIGHT = 600;
+
+// Tamaños en los que se sirven las imágenes: los pedidos se redondean al siguiente (como máximo,
+// el último), de modo que el número de versiones de cada imagen está acotado y se pueden cachear
+const SERVE_SIZES = [50, 100, 150, 200, 300, 450, 600, 800, 900, 1200, 1600, 2000];
+
+const FORMATS = {
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+// Ruta del archivo de una imagen (el public_id solo admite carpetas y nombres sin puntos)
+const resolvePath = (publicId) => {
+  if (!/^[a-z0-9_-]+(\/[a-z0-9_-]+)*$/i.test(String(publicId))) {
+    return null;
+  }
+  return path.join(getStorageDir(), `${publicId}.webp`);
+};
+
+// Versiones ya generadas de cada imagen (<STORAGE_DIR>/.cache/<public_id>/<ancho>x<alto>-<recorte>.<formato>).
+// El punto impide que la carpeta coincida con un public_id
+const getCacheDir = (publicId) => path.join(getStorageDir(), '.cache', publicId);
+
+const snapSize = (size) => (size ? SERVE_SIZES.find(option => option >= size) || SERVE_SIZES[SERVE_SIZES.length - 1] : null);
+
+const exists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+const isConfigured = () => true;
+
+const upload = async (file, folder) => {
+  const publicId = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+  const filePath = resolvePath(publicId);
+
+  const { data, info: output } = await sharp(file.buffer)
+    .rotate() // Respetar la orientación EXIF
+    .resize({ width: MAX_WIDTH, height: MAX_HEIGHT, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, data);
+
+  return {
+    url: url(publicId),
+    publicId: publicId,
+    width: output.width,
+    height: output.height,
+    format: 'webp',
+    bytes: output.size
+  };
+};
+
+const remove = async (publicId) => {
+  const filePath = resolvePath(publicId);
+  if (!filePath) {
+    return { success: false, result: 'not found' };
+  }
+
+  try {
+    await fs.unlink(filePath);
+    await fs.rm(getCacheDir(publicId), { recursive: true, force: true });
+    return { success: true, result: 'ok' };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { success: false, result: 'not found' };
+    }
+    console.error('Error eliminando imagen del disco:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Opciones comunes { width, height, crop: 'fill' | 'limit', format }
+const url = (publicId, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.width) params.set('ancho', options.width);
+  if (options.height) params.set('alto', options.height);
+  if (options.crop) params.set('recorte', options.crop);
+
+  const query = params.toString();
+  return `${getPublicUrl()}/${publicId}.${options.format || 'webp'}${query ? `?${query}` : ''}`;
+};
+
+const info = async (publicId) => {
+  const filePath = resolvePath(publicId);
+  if (!filePath) return null;
+
+  try {
+    const [stats, metadata] = await Promise.all([fs.stat(filePath), sharp(filePath).metadata()]);
+    return {
+      publicId: publicId,
+      url: url(publicId),
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      bytes: stats.size,
+      created: stats.birthtime
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Lista las imágenes de una carpeta (en una sola página)
+const list = async (folder) => {
+  const dir = path.join(getStorageDir(), folder);
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const images = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith('.webp')) continue;
+    const publicId = `${folder}/${entry.name.slice(0, -'.webp'.length)}`;
+    const stats = await fs.stat(path.join(dir, entry.name));
+    images.push({ publicId, url: url(publicId), created: stats.birthtime });
+  }
+
+  return { images, nextCursor: null };
+};
+
+/**
+ * Obtiene la versión de una imagen que se sirve al cliente. Los tamaños se ajustan a SERVE_SIZES
+ * y cada versión se genera una sola vez y se guarda en disco
+ * @param {string} publicId - ID de la imagen
+ * @param {Object} options - { width, height, crop: 'fill' | 'limit', format }
+ * @returns {Promise<Object|null>} - { buffer, contentType } o null si la imagen no existe
+ */
+const render = async (publicId, { width, height, crop = 'limit', format = 'webp' } = {}) => {
+  const filePath = resolvePath(publicId);
+  if (!filePath || !FORMATS[format]) return null;
+
+  const size = { width: snapSize(width), height: snapSize(height) };
+  const variant = `${size.width || 'auto'}x${size.height || 'auto'}-${crop === 'fill' ? 'fill' : 'limit'}.${format}`;
+  const cachePath = path.join(getCacheDir(publicId), variant);
+
+  if (!await exists(filePath)) return null;
+
+  try {
+    return { buffer: await fs.readFile(cachePath), contentType: FORMATS[format] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let image = sharp(filePath);
+  if (size.width || size.height) {
+    image = image.resize({
+      width: size.width,
+      height: size.height,
+      fit: crop === 'fill' ? 'cover' : 'inside',
+      withoutEnlargement: crop !== 'fill'
+    });
+  }
+
+  const buffer = await image.toFormat(format === 'jpg' ? 'jpeg' : format).toBuffer();
+
+  // Se escribe en un archivo temporal y se renombra para no servir nunca una versión a medias
+  const tmpPath = `${cachePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.writeFile(tmpPath, buffer);
+    await fs.rename(tmpPath, cachePath);
+  } catch (error) {
+    console.error('Error guardando la versión de la imagen en caché:', error.message);
+    await fs.rm(tmpPath, { force: true });
+  }
+
+  return { buffer, contentType: FORMATS[format] };
+};
+
+module.exports = {
+  name: 'local',
+  FORMATS,
+  SERVE_SIZES,
+  isConfigured,
+  upload,
+  delete: remove,
+  url,
+  info,
+  list,
+  render
+};
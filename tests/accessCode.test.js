@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const accessCode = require('../utils/accessCode');
+
+describe('Códigos de acceso (QR)', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('un código firmado se verifica y conserva el tipo y el ID', () => {
+    expect(accessCode.verify(accessCode.sign('ticket', id))).toEqual({ kind: 'ticket', id: String(id) });
+    expect(accessCode.verify(accessCode.sign('attendance', id))).toEqual({ kind: 'attendance', id: String(id) });
+  });
+
+  test('ignora los espacios que añada el lector de QR', () => {
+    expect(accessCode.verify(` ${accessCode.sign('ticket', id)}\n`)).toEqual({ kind: 'ticket', id: String(id) });
+  });
+
+  test('no se puede reutilizar la firma con otro ID', () => {
+    const [prefix, , firma] = accessCode.sign('ticket', id).split('.');
+    const other = new mongoose.Types.ObjectId();
+
+    expect(accessCode.verify(`${prefix}.${other}.${firma}`)).toBeNull();
+  });
+
+  test('no se puede cambiar el tipo de documento', () => {
+    const [, docId, firma] = accessCode.sign('attendance', id).split('.');
+
+    expect(accessCode.verify(`t.${docId}.${firma}`)).toBeNull();
+  });
+
+  test('rechaza los códigos firmados con otro secreto', () => {
+    const code = accessCode.sign('ticket', id);
+    process.env.ACCESS_CODE_SECRET = 'otro-secreto';
+    try {
+      expect(accessCode.verify(code)).toBeNull();
+    } finally {
+      delete process.env.ACCESS_CODE_SECRET;
+    }
+  });
+
+  test('rechaza códigos mal formados', () => {
+    const firma = accessCode.sign('ticket', id).split('.')[2];
+
+    expect(accessCode.verify(undefined)).toBeNull();
+    expect(accessCode.verify('')).toBeNull();
+    expect(accessCode.verify(`t.${id}`)).toBeNull();
+    expect(accessCode.verify(`x.${id}.${firma}`)).toBeNull();
+    expect(accessCode.verify(`t.no-es-un-id.${firma}`)).toBeNull();
+    expect(accessCode.verify(`t.${id}.${firma}.extra`)).toBeNull();
+    expect(accessCode.verify(`t.${id}.${firma.slice(0, -1)}`)).toBeNull();
+  });
+
+  test('no firma tipos de documento desconocidos', () => {
+    expect(() => accessCode.sign('pedido', id)).toThrow('Tipo de código de acceso desconocido');
+  });
+});
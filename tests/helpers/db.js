@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Base de datos de los tests: MONGODB_TEST_URI si se define o, si no, un MongoDB en memoria.
+// La base de datos se vacía entre tests, así que nunca debe apuntar a una con datos reales
+let server = null;
+
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    server = await MongoMemoryServer.create();
+    uri = server.getUri();
+  }
+  await mongoose.connect(uri);
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const clear = () => Promise.all(
+  Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+);
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const Order = require('../models/Order');
+const TicketType = require('../models/TicketType');
+const Ticket = require('../models/Ticket');
+const payments = require('../services/payments');
+const fake = require('../services/payments/fake');
+const { sign } = require('../utils/webhookSignature');
+const { closeSales } = require('../services/eventCleanup');
+
+const HOUR_MS = 60 * 60 * 1000;
+const buyer = { email: 'ana@example.com', name: 'Ana' };
+const otherBuyer = { email: 'luis@example.com', name: 'Luis' };
+
+// Order.reserve solo necesita el _id y la fecha del evento
+const event = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(Date.now() + 30 * 24 * HOUR_MS) };
+
+const createType = (data = {}) => TicketType.create({
+  evento: event._id,
+  nombre: 'General',
+  precio: 20,
+  cantidad: 5,
+  ...data
+});
+
+// Simula que la retención del pedido ha vencido
+const expire = (order) => Order.updateOne({ _id: order._id }, { caducidad: new Date(Date.now() - 1000) });
+
+describe('Retención de entradas de los pedidos', () => {
+  beforeAll(db.connect, 120000);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  test('reservar retiene las entradas y calcula el total', async () => {
+    const type = await createType();
+
+    const { order, error } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 3 }]);
+
+    expect(error).toBeUndefined();
+    expect(order.estado).toBe('pendiente');
+    expect(order.total).toBe(60);
+    expect(order.caducidad.getTime()).toBeGreaterThan(Date.now());
+    expect((await TicketType.findById(type._id)).reservadas).toBe(3);
+  });
+
+  test('no se retienen más entradas de las que quedan', async () => {
+    const type = await createType();
+    await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 4 }]);
+
+    const result = await Order.reserve(event, otherBuyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+
+    expect(result).toEqual({ error: 'No quedan suficientes entradas "General"', agotado: true });
+    expect((await TicketType.findById(type._id)).reservadas).toBe(4);
+  });
+
+  test('las reservas simultáneas no superan el aforo', async () => {
+    const type = await createType({ cantidad: 3 });
+
+    const results = await Promise.all(Array.from({ length: 6 }, (_, index) => (
+      Order.reserve(event, { email: `comprador${index}@example.com` }, [{ tipoEntrada: type._id, cantidad: 1 }])
+    )));
+
+    expect(results.filter(result => result.order)).toHaveLength(3);
+    expect((await TicketType.findById(type._id)).reservadas).toBe(3);
+  });
+
+  test('si un tipo de entrada del pedido se agota se liberan los demás', async () => {
+    const general = await createType();
+    const vip = await createType({ nombre: 'VIP', precio: 50, cantidad: 1 });
+    await Order.reserve(event, otherBuyer, [{ tipoEntrada: vip._id, cantidad: 1 }]);
+
+    const result = await Order.reserve(event, buyer, [
+      { tipoEntrada: general._id, cantidad: 2 },
+      { tipoEntrada: vip._id, cantidad: 1 }
+    ]);
+
+    expect(result.agotado).toBe(true);
+    expect((await TicketType.findById(general._id)).reservadas).toBe(0);
+    expect(await Order.countDocuments({ usuario: buyer.email })).toBe(0);
+  });
+
+  test('el máximo por pedido se aplica al total de cada tipo aunque se repita en varias líneas', async () => {
+    const type = await createType({ maxPorPedido: 2 });
+
+    const result = await Order.reserve(event, buyer, [
+      { tipoEntrada: type._id, cantidad: 2 },
+      { tipoEntrada: type._id, cantidad: 2 }
+    ]);
+
+    expect(result).toEqual({ error: 'Máximo 2 entradas "General" por pedido' });
+    expect((await TicketType.findById(type._id)).reservadas).toBe(0);
+  });
+
+  test('las líneas repetidas de un tipo se agrupan en una sola', async () => {
+    const type = await createType();
+
+    const { order } = await Order.reserve(event, buyer, [
+      { tipoEntrada: type._id, cantidad: 1 },
+      { tipoEntrada: String(type._id), cantidad: 2 }
+    ]);
+
+    expect(order.lineas).toHaveLength(1);
+    expect(order.lineas[0].cantidad).toBe(3);
+    expect(order.total).toBe(60);
+  });
+
+  test('las entradas fuera del periodo de venta no se pueden reservar', async () => {
+    const type = await createType({ ventaDesde: new Date(Date.now() + HOUR_MS) });
+
+    const result = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 1 }]);
+
+    expect(result).toEqual({ error: 'La entrada "General" no está a la venta' });
+  });
+
+  test('al caducar la retención las entradas vuelven a estar disponibles', async () => {
+    const type = await createType({ cantidad: 2 });
+    const { order } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+
+    // Las retenciones vigentes no se liberan
+    expect(await Order.releaseExpired()).toBe(0);
+
+    await expire(order);
+    expect(await Order.releaseExpired()).toBe(1);
+    expect((await Order.findById(order._id)).estado).toBe('caducado');
+    expect((await TicketType.findById(type._id)).reservadas).toBe(0);
+
+    // Liberar de nuevo no descuenta las entradas dos veces
+    expect(await Order.releaseExpired()).toBe(0);
+    expect(await Order.release(order, 'cancelado')).toBeNull();
+    expect((await TicketType.findById(type._id)).reservadas).toBe(0);
+
+    const { order: next } = await Order.reserve(event, otherBuyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+    expect(next.estado).toBe('pendiente');
+  });
+
+  test('confirmar el pago convierte la retención en venta y emite las entradas', async () => {
+    const type = await createType();
+    const { order } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+
+    const { order: paid, tickets } = await Order.confirm(order);
+
+    expect(paid.estado).toBe('pagado');
+    expect(tickets).toHaveLength(2);
+    const updated = await TicketType.findById(type._id);
+    expect(updated.reservadas).toBe(0);
+    expect(updated.vendidas).toBe(2);
+
+    // Una notificación repetida no emite entradas de nuevo
+    await Order.confirm(paid);
+    expect(await Ticket.countDocuments({ pedido: order._id })).toBe(2);
+  });
+
+  test('el pago de un pedido caducado se acepta si aún quedan entradas', async () => {
+    const type = await createType();
+    const { order } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+    await expire(order);
+    await Order.releaseExpired();
+
+    const result = await Order.confirm(await Order.findById(order._id));
+
+    expect(result.refund).toBeUndefined();
+    expect(result.order.estado).toBe('pagado');
+    expect(result.tickets).toHaveLength(2);
+    expect((await TicketType.findById(type._id)).vendidas).toBe(2);
+  });
+
+  test('el pago de un pedido caducado cuyas entradas se han vendido debe reembolsarse', async () => {
+    const type = await createType({ cantidad: 2 });
+    const { order } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+    await expire(order);
+    await Order.releaseExpired();
+
+    const { order: other } = await Order.reserve(event, otherBuyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+    await Order.confirm(other);
+
+    const result = await Order.confirm(await Order.findById(order._id));
+
+    expect(result.refund).toBe(true);
+    expect((await Order.findById(order._id)).estado).toBe('caducado');
+    expect(await Ticket.countDocuments({ pedido: order._id })).toBe(0);
+    expect((await TicketType.findById(type._id)).vendidas).toBe(2);
+  });
+});
+
+describe('Notificaciones de pago', () => {
+  beforeAll(db.connect, 120000);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  // Pedido pendiente con un pago iniciado en el proveedor simulado
+  const reservePaid = async () => {
+    const type = await createType();
+    const { order } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 1 }]);
+    order.pago = { proveedor: 'fake', referencia: 'fake_123', urlPago: null };
+    return order.save();
+  };
+
+  test('una notificación firmada confirma el pedido una sola vez', async () => {
+    const order = await reservePaid();
+    const { body, headers } = fake.buildWebhook('fake_123', 'pago.completado', 20);
+
+    const result = await payments.handleWebhook('fake', body, headers);
+    expect(result.estado).toBe('pagado');
+    expect(result.tickets).toHaveLength(1);
+
+    await payments.handleWebhook('fake', body, headers);
+    expect(await Ticket.countDocuments({ pedido: order._id })).toBe(1);
+  });
+
+  test('una notificación sin firma válida se rechaza antes de tocar ningún pedido', async () => {
+    const order = await reservePaid();
+    const { body } = fake.buildWebhook('fake_123', 'pago.completado', 20);
+    const headers = { 'x-fake-signature': sign(body, 'otro-secreto') };
+
+    await expect(payments.handleWebhook('fake', body, headers)).rejects.toThrow('Firma de la notificación no válida');
+    expect((await Order.findById(order._id)).estado).toBe('pendiente');
+  });
+});
+
+describe('Cancelación de eventos con entradas vendidas', () => {
+  beforeAll(db.connect, 120000);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  test('los pedidos cobrados se reembolsan, los pendientes se cancelan y las entradas se anulan', async () => {
+    const type = await createType();
+    const { order: paid } = await Order.reserve(event, buyer, [{ tipoEntrada: type._id, cantidad: 2 }]);
+    paid.pago = { proveedor: 'fake', referencia: 'fake_123', urlPago: null };
+    await Order.confirm(await paid.save());
+    const { order: pending } = await Order.reserve(event, otherBuyer, [{ tipoEntrada: type._id, cantidad: 1 }]);
+
+    await closeSales(event);
+
+    expect((await Order.findById(paid._id)).estado).toBe('reembolsado');
+    expect((await Order.findById(pending._id)).estado).toBe('cancelado');
+    expect(await Ticket.countDocuments({ evento: event._id, estado: 'valida' })).toBe(0);
+    expect(await Ticket.countDocuments({ evento: event._id, estado: 'anulada' })).toBe(2);
+  });
+});
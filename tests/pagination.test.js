@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const {
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePaginationParams,
+  cursorFilter
+} = require('../utils/pagination');
+
+// Evalúa en memoria los filtros que genera cursorFilter ($or, $gt/$lt e igualdad)
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(option => matches(doc, option));
+
+  const value = comparable(doc[key]);
+  if (condition && condition.$gt !== undefined) return value > comparable(condition.$gt);
+  if (condition && condition.$lt !== undefined) return value < comparable(condition.$lt);
+  return value === comparable(condition);
+});
+
+// Misma secuencia que Event.findPage: filtro del cursor, orden con _id de desempate y un elemento extra
+const fetchPage = (docs, query, field) => {
+  const params = parsePaginationParams(query, ['timestamp', 'precio'], 'timestamp');
+  const filtered = params.cursor ? docs.filter(doc => matches(doc, cursorFilter(field, params.order, params.cursor))) : docs;
+  const sorted = [...filtered].sort((a, b) => {
+    const byField = comparable(a[field]) < comparable(b[field]) ? -1 : comparable(a[field]) > comparable(b[field]) ? 1 : 0;
+    const byId = a._id.toHexString().localeCompare(b._id.toHexString());
+    return (byField || byId) * params.order;
+  });
+
+  const results = sorted.slice(0, params.limit + 1);
+  const page = results.slice(0, params.limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    nextCursor: results.length > params.limit ? encodeCursor(params.sort, params.order, last[field], last._id) : null
+  };
+};
+
+const fetchAll = (docs, query, field) => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = fetchPage(docs, { ...query, ...(cursor && { cursor }) }, field);
+    seen.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+describe('Paginación por cursor', () => {
+  // Varios eventos comparten fecha y precio: el _id deshace los empates
+  const docs = Array.from({ length: 23 }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    timestamp: new Date(Date.UTC(2026, 0, 1 + Math.floor(index / 4))),
+    precio: index % 3 === 0 ? 0 : 10 + (index % 5)
+  }));
+
+  test('recorre todos los elementos sin repetir ni saltarse ninguno aunque haya empates', () => {
+    for (const [sort, order] of [['timestamp', 'asc'], ['timestamp', 'desc'], ['precio', 'asc'], ['precio', 'desc']]) {
+      const all = fetchAll(docs, { sort, order, limit: '4' }, sort);
+      const ids = all.map(doc => doc._id.toHexString());
+
+      expect(new Set(ids).size).toBe(docs.length);
+      const values = all.map(doc => comparable(doc[sort]));
+      const expected = [...values].sort((a, b) => (order === 'asc' ? a - b : b - a));
+      expect(values).toEqual(expected);
+    }
+  });
+
+  test('la última página no tiene cursor', () => {
+    const page = fetchPage(docs, { limit: String(docs.length) }, 'timestamp');
+
+    expect(page.items).toHaveLength(docs.length);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('el cursor conserva el tipo del valor de ordenación', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2026-05-01T18:30:00Z');
+
+    expect(decodeCursor(encodeCursor('timestamp', 1, date, id))).toEqual({ sort: 'timestamp', order: 1, value: date, id });
+    expect(decodeCursor(encodeCursor('precio', -1, 12.5, id))).toEqual({ sort: 'precio', order: -1, value: 12.5, id });
+  });
+
+  test('rechaza cursores manipulados o de otra ordenación', () => {
+    const cursor = encodeCursor('timestamp', 1, new Date(), new mongoose.Types.ObjectId());
+
+    expect(decodeCursor('no-es-un-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ s: 'timestamp', id: 'x' })).toString('base64url'))).toBeNull();
+    expect(parsePaginationParams({ cursor: 'abc' }, ['timestamp'], 'timestamp')).toEqual({ error: 'Cursor inválido' });
+    expect(parsePaginationParams({ cursor, order: 'desc' }, ['timestamp'], 'timestamp')).toEqual({ error: 'Cursor inválido' });
+    expect(parsePaginationParams({ cursor, sort: 'precio' }, ['timestamp', 'precio'], 'timestamp')).toEqual({ error: 'Cursor inválido' });
+    expect(parsePaginationParams({ cursor }, ['timestamp'], 'timestamp').cursor).not.toBeNull();
+  });
+
+  test('rechaza cursores cuyo valor no es un escalar', () => {
+    const id = new mongoose.Types.ObjectId().toHexString();
+    const forge = (payload) => Buffer.from(JSON.stringify({ s: 'precio', o: 1, id, ...payload })).toString('base64url');
+
+    expect(decodeCursor(forge({ v: { $ne: null } }))).toBeNull();
+    expect(decodeCursor(forge({ v: [1, 2] }))).toBeNull();
+    expect(decodeCursor(forge({ v: 'no-es-una-fecha', d: true }))).toBeNull();
+    expect(decodeCursor(forge({ v: 10, o: 'asc' }))).toBeNull();
+    expect(decodeCursor(forge({ v: 10, id: { $gt: '' } }))).toBeNull();
+    expect(decodeCursor(forge({ v: null }))).toEqual({ sort: 'precio', order: 1, value: null, id: new mongoose.Types.ObjectId(id) });
+  });
+
+  test('valida la ordenación y el límite', () => {
+    expect(parsePaginationParams({ sort: 'nombre' }, ['timestamp'], 'timestamp').error).toMatch('Ordenación no válida');
+    expect(parsePaginationParams({ order: 'up' }, ['timestamp'], 'timestamp').error).toBe('El orden debe ser asc o desc');
+    expect(parsePaginationParams({ limit: '0' }, ['timestamp'], 'timestamp').error).toBe('El límite debe ser un número positivo');
+    expect(parsePaginationParams({ limit: '1000' }, ['timestamp'], 'timestamp').limit).toBe(MAX_LIMIT);
+    expect(parsePaginationParams({}, ['createdAt'], 'createdAt').order).toBe(-1);
+  });
+});
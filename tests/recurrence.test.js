@@ -0,0 +1,119 @@
+const { expandDates, getSeriesEnd, isSeriesDate } = require('../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+const FROM = new Date('2000-01-01T00:00:00Z');
+const TO = new Date('2100-01-01T00:00:00Z');
+
+describe('Expansión de series recurrentes', () => {
+  test('diaria con número de repeticiones', () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+    const dates = expandDates(start, { frecuencia: 'DAILY', repeticiones: 3 }, FROM, TO);
+
+    expect(iso(dates)).toEqual([
+      '2026-01-05T10:00:00.000Z',
+      '2026-01-06T10:00:00.000Z',
+      '2026-01-07T10:00:00.000Z'
+    ]);
+  });
+
+  test('semanal cada dos semanas en varios días', () => {
+    const start = new Date('2026-01-05T10:00:00Z'); // Lunes
+    const rule = { frecuencia: 'WEEKLY', intervalo: 2, diasSemana: ['MO', 'WE', 'FR'], repeticiones: 6 };
+
+    expect(iso(expandDates(start, rule, FROM, TO))).toEqual([
+      '2026-01-05T10:00:00.000Z',
+      '2026-01-07T10:00:00.000Z',
+      '2026-01-09T10:00:00.000Z',
+      '2026-01-19T10:00:00.000Z',
+      '2026-01-21T10:00:00.000Z',
+      '2026-01-23T10:00:00.000Z'
+    ]);
+  });
+
+  test('semanal: los días de la primera semana anteriores al inicio no cuentan', () => {
+    const start = new Date('2026-01-07T10:00:00Z'); // Miércoles
+    const rule = { frecuencia: 'WEEKLY', diasSemana: ['MO', 'FR'], repeticiones: 3 };
+
+    expect(iso(expandDates(start, rule, FROM, TO))).toEqual([
+      '2026-01-09T10:00:00.000Z',
+      '2026-01-12T10:00:00.000Z',
+      '2026-01-16T10:00:00.000Z'
+    ]);
+  });
+
+  test('mensual el día 31 se salta los meses más cortos', () => {
+    const start = new Date('2026-01-31T18:00:00Z');
+    const dates = expandDates(start, { frecuencia: 'MONTHLY', repeticiones: 4 }, FROM, TO);
+
+    expect(iso(dates)).toEqual([
+      '2026-01-31T18:00:00.000Z',
+      '2026-03-31T18:00:00.000Z',
+      '2026-05-31T18:00:00.000Z',
+      '2026-07-31T18:00:00.000Z'
+    ]);
+  });
+
+  test('anual el 29 de febrero solo en años bisiestos', () => {
+    const start = new Date('2024-02-29T12:00:00Z');
+    const dates = expandDates(start, { frecuencia: 'YEARLY', repeticiones: 2 }, FROM, TO);
+
+    expect(iso(dates)).toEqual(['2024-02-29T12:00:00.000Z', '2028-02-29T12:00:00.000Z']);
+  });
+
+  test('la fecha límite (hasta) es inclusiva', () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+    const rule = { frecuencia: 'DAILY', hasta: new Date('2026-01-07T10:00:00Z') };
+
+    expect(expandDates(start, rule, FROM, TO)).toHaveLength(3);
+  });
+
+  test('las excepciones se excluyen pero cuentan para las repeticiones', () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+    const rule = { frecuencia: 'DAILY', repeticiones: 4, excepciones: [new Date('2026-01-06T10:00:00Z')] };
+
+    expect(iso(expandDates(start, rule, FROM, TO))).toEqual([
+      '2026-01-05T10:00:00.000Z',
+      '2026-01-07T10:00:00.000Z',
+      '2026-01-08T10:00:00.000Z'
+    ]);
+  });
+
+  test('solo devuelve las fechas de la ventana y respeta el límite', () => {
+    const start = new Date('2026-01-01T10:00:00Z');
+    const rule = { frecuencia: 'DAILY' };
+    const from = new Date('2026-02-01T00:00:00Z');
+    const to = new Date('2026-02-28T23:59:59Z');
+
+    expect(expandDates(start, rule, from, to)).toHaveLength(28);
+    expect(iso(expandDates(start, rule, from, to, 2))).toEqual([
+      '2026-02-01T10:00:00.000Z',
+      '2026-02-02T10:00:00.000Z'
+    ]);
+  });
+
+  test('conserva la hora local al cambiar el horario de verano', () => {
+    // 19:00 en Madrid: 18:00 UTC en invierno y 17:00 UTC desde el 29 de marzo de 2026
+    const start = new Date('2026-03-23T18:00:00Z');
+    const dates = expandDates(start, { frecuencia: 'WEEKLY', repeticiones: 2 }, FROM, TO, 500, 'Europe/Madrid');
+
+    expect(iso(dates)).toEqual(['2026-03-23T18:00:00.000Z', '2026-03-30T17:00:00.000Z']);
+  });
+
+  test('fin de la serie', () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+
+    expect(getSeriesEnd(start, { frecuencia: 'WEEKLY' })).toBeNull();
+    expect(getSeriesEnd(start, { frecuencia: 'WEEKLY', repeticiones: 3 }).toISOString())
+      .toBe('2026-01-19T10:00:00.000Z');
+  });
+
+  test('comprueba si una fecha pertenece a la serie', () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+    const rule = { frecuencia: 'WEEKLY', diasSemana: ['MO', 'TH'] };
+
+    expect(isSeriesDate(start, rule, new Date('2026-01-15T10:00:00Z'))).toBe(true);
+    expect(isSeriesDate(start, rule, new Date('2026-01-14T10:00:00Z'))).toBe(false);
+    expect(isSeriesDate(start, rule, new Date('2026-01-15T11:00:00Z'))).toBe(false);
+    expect(isSeriesDate(start, rule, new Date('2025-12-29T10:00:00Z'))).toBe(false);
+  });
+});
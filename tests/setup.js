@@ -0,0 +1,8 @@
+// Configuración común de los tests (antes de cargar ningún módulo de la aplicación)
+const mongoose = require('mongoose');
+
+// Sin conexión, las operaciones fallan al momento en lugar de quedar en cola (y mantener vivo el proceso)
+mongoose.set('bufferCommands', false);
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'secreto-de-los-tests';
@@ -0,0 +1,69 @@
+const db = require('./helpers/db');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken } = require('../config/tokens');
+
+const user = { id: '1234', email: 'ana@example.com', name: 'Ana', provider: 'local' };
+
+describe('Rotación de refresh tokens', () => {
+  beforeAll(db.connect, 120000);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  test('cada renovación emite un refresh token nuevo e invalida el anterior', async () => {
+    const login = await createSession(user);
+    const first = await rotateRefreshToken(login.refreshToken);
+
+    expect(first.error).toBeUndefined();
+    expect(first.accessToken).toEqual(expect.any(String));
+    expect(first.refreshToken).not.toBe(login.refreshToken);
+
+    const second = await rotateRefreshToken(first.refreshToken);
+    expect(second.error).toBeUndefined();
+    expect(String(second.session._id)).toBe(String(login.session._id));
+  });
+
+  test('reutilizar un refresh token ya rotado revoca toda la sesión', async () => {
+    const login = await createSession(user);
+    const rotated = await rotateRefreshToken(login.refreshToken);
+
+    const reuse = await rotateRefreshToken(login.refreshToken);
+    expect(reuse).toEqual({ error: 'Refresh token reutilizado. Sesión revocada por seguridad', reuse: true });
+
+    const session = await Session.findById(login.session._id);
+    expect(session.revocada).toBe(true);
+
+    // El token vigente de la familia (quizá en manos del atacante) tampoco sirve ya
+    const afterRevoke = await rotateRefreshToken(rotated.refreshToken);
+    expect(afterRevoke).toEqual({ error: 'Sesión no válida o caducada' });
+  });
+
+  test('de dos renovaciones simultáneas con el mismo token solo una tiene éxito', async () => {
+    const login = await createSession(user);
+
+    const results = await Promise.all([
+      rotateRefreshToken(login.refreshToken),
+      rotateRefreshToken(login.refreshToken)
+    ]);
+
+    expect(results.filter(result => !result.error)).toHaveLength(1);
+    expect(results.filter(result => result.reuse)).toHaveLength(1);
+  });
+
+  test('un token desconocido no revoca la sesión', async () => {
+    const login = await createSession(user);
+
+    const forged = await rotateRefreshToken(`${login.session._id}.inventado`);
+    expect(forged).toEqual({ error: 'Refresh token no válido' });
+    expect(await rotateRefreshToken('no-es-un-token')).toEqual({ error: 'Sesión no válida o caducada' });
+
+    const valid = await rotateRefreshToken(login.refreshToken);
+    expect(valid.error).toBeUndefined();
+  });
+
+  test('una sesión revocada (logout) no se puede renovar', async () => {
+    const login = await createSession(user);
+    await Session.revoke({ usuario: user.email });
+
+    expect(await rotateRefreshToken(login.refreshToken)).toEqual({ error: 'Sesión no válida o caducada' });
+  });
+});
@@ -0,0 +1,69 @@
+const { sign, verify, TOLERANCE_SECONDS } = require('../utils/webhookSignature');
+const fake = require('../services/payments/fake');
+
+const SECRET = 'secreto-de-prueba';
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('Firma de webhooks', () => {
+  const payload = JSON.stringify({ tipo: 'pago.completado', referencia: 'fake_123' });
+
+  test('acepta una notificación firmada con el secreto compartido', () => {
+    expect(verify(payload, sign(payload, SECRET), SECRET)).toBe(true);
+    expect(verify(Buffer.from(payload), sign(payload, SECRET), SECRET)).toBe(true);
+  });
+
+  test('rechaza un cuerpo modificado', () => {
+    const header = sign(payload, SECRET);
+    expect(verify(payload.replace('fake_123', 'fake_456'), header, SECRET)).toBe(false);
+  });
+
+  test('rechaza la firma hecha con otro secreto', () => {
+    expect(verify(payload, sign(payload, 'otro-secreto'), SECRET)).toBe(false);
+  });
+
+  test('rechaza notificaciones fuera del margen de tiempo (reenvíos)', () => {
+    const old = now() - TOLERANCE_SECONDS - 1;
+    const future = now() + TOLERANCE_SECONDS + 1;
+    expect(verify(payload, sign(payload, SECRET, old), SECRET)).toBe(false);
+    expect(verify(payload, sign(payload, SECRET, future), SECRET)).toBe(false);
+    expect(verify(payload, sign(payload, SECRET, now() - 60), SECRET)).toBe(true);
+  });
+
+  test('no se puede cambiar el timestamp de una firma válida', () => {
+    const [, v1] = sign(payload, SECRET, now() - 60).split(',');
+    expect(verify(payload, `t=${now()},${v1}`, SECRET)).toBe(false);
+  });
+
+  test('rechaza cabeceras ausentes o mal formadas', () => {
+    expect(verify(payload, undefined, SECRET)).toBe(false);
+    expect(verify(payload, '', SECRET)).toBe(false);
+    expect(verify(payload, 'v1=abc', SECRET)).toBe(false);
+    expect(verify(payload, `t=${now()}`, SECRET)).toBe(false);
+    expect(verify(payload, `t=${now()},v1=abc`, SECRET)).toBe(false);
+    expect(verify(payload, sign(payload, SECRET), '')).toBe(false);
+  });
+});
+
+describe('Notificaciones del proveedor de pagos simulado', () => {
+  beforeAll(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+  });
+
+  test('el proveedor simulado verifica la firma de sus propias notificaciones', () => {
+    const { body, headers } = fake.buildWebhook('fake_123', 'pago.completado', 20);
+    const notification = fake.parseWebhook(body, headers);
+
+    expect(notification).toMatchObject({ tipo: 'pago.completado', referencia: 'fake_123', importe: 20 });
+  });
+
+  test('rechaza las notificaciones firmadas con otro secreto', () => {
+    const { body } = fake.buildWebhook('fake_123', 'pago.completado', 20);
+    const headers = { 'x-fake-signature': sign(body, 'otro-secreto') };
+
+    expect(() => fake.parseWebhook(body, headers)).toThrow('Firma de la notificación no válida');
+  });
+});
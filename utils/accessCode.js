@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Tipos de documento que pueden llevar código de acceso
+const KINDS = {
+  t: 'ticket', // Entrada comprada
+  a: 'attendance' // Inscripción gratuita
+};
+
+// Bytes de la firma: suficientes para que no se pueda falsificar y el QR siga siendo pequeño
+const SIGNATURE_BYTES = 16;
+
+const getSecret = () => process.env.ACCESS_CODE_SECRET || process.env.JWT_SECRET;
+
+const signature = (payload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(payload)
+  .digest()
+  .subarray(0, SIGNATURE_BYTES)
+  .toString('base64url');
+
+/**
+ * Genera el código de acceso firmado de una entrada o inscripción (contenido del QR)
+ * con el formato <tipo>.<id>.<firma>
+ * @param {string} kind - 'ticket' o 'attendance'
+ * @param {*} id - _id del documento
+ * @returns {string}
+ */
+const sign = (kind, id) => {
+  const prefix = Object.keys(KINDS).find(key => KINDS[key] === kind);
+  if (!prefix) {
+    throw new Error(`Tipo de código de acceso desconocido: ${kind}`);
+  }
+  const payload = `${prefix}.${id}`;
+  return `${payload}.${signature(payload)}`;
+};
+
+/**
+ * Verifica un código de acceso. Devuelve null si está mal formado o la firma no coincide.
+ * @param {string} code - Código leído del QR
+ * @returns {Object|null} - { kind, id }
+ */
+const verify = (code) => {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 3 || !KINDS[parts[0]] || !mongoose.Types.ObjectId.isValid(parts[1])) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(`${parts[0]}.${parts[1]}`));
+  const received = Buffer.from(parts[2]);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { kind: KINDS[parts[0]], id: parts[1] };
+};
+
+module.exports = {
+  sign,
+  verify
+};
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { parsePaginationParams } = require('./pagination');
+
+// Días que se expanden las series recurrentes cuando no se indica fecha hasta
+const EXPANSION_DAYS = 90;
+
+// Escapa caracteres especiales para usar texto del usuario en una expresión regular
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Acepta valores repetidos (?categoria=a&categoria=b) o separados por comas (?categoria=a,b)
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Eventos ya celebrados dentro de un rango de fechas opcional (las series, si alguna fecha cae en él)
+const parseArchiveDates = (desde, hasta) => {
+  const now = new Date();
+  const from = desde ? parseDate(desde) : null;
+  const to = hasta ? parseDate(hasta) : null;
+  if ((desde && !from) || (hasta && !to)) {
+    return { error: 'Fechas inválidas en desde/hasta' };
+  }
+  if (from && to && to < from) {
+    return { error: 'La fecha hasta debe ser posterior a desde' };
+  }
+
+  const conditions = [Event.heldFilter(now)];
+  if (from || to) {
+    const single = { recurrencia: null, timestamp: {} };
+    const series = { 'recurrencia.frecuencia': { $exists: true } };
+    if (from) {
+      single.timestamp.$gte = from;
+      series['recurrencia.finSerie'] = { $gte: from };
+    }
+    if (to) {
+      single.timestamp.$lte = to;
+      series.timestamp = { $lte: to };
+    }
+    conditions.push({ $or: [single, series] });
+  }
+
+  const windowEnd = to && to < now ? to : now;
+  return {
+    conditions,
+    window: {
+      from: from || new Date(windowEnd.getTime() - EXPANSION_DAYS * 24 * 60 * 60 * 1000),
+      to: windowEnd
+    }
+  };
+};
+
+/**
+ * Convierte los parámetros de búsqueda de GET /api/events en filtros de MongoDB.
+ * Los filtros de categoría y precio se devuelven por separado para poder
+ * calcular las facetas ignorando cada uno de ellos.
+ * @param {Object} query - req.query
+ * @param {Object} options - { archive: eventos ya celebrados en lugar de próximos }
+ * @returns {Object} - { base, categoria, precio, text, window } o { error }
+ */
+const parseSearchParams = (query, { archive = false } = {}) => {
+  const {
+    q, categoria, precioMin, precioMax, gratis, desde, hasta, organizador, incluirEnCurso, incluirCancelados,
+    venue, organizacion
+  } = query;
+  const base = {};
+  const categoriaFilter = {};
+  const precioFilter = {};
+
+  let window;
+  if (archive) {
+    const dates = parseArchiveDates(desde, hasta);
+    if (dates.error) {
+      return { error: dates.error };
+    }
+    base.$and = dates.conditions;
+    window = dates.window;
+  } else {
+    // Rango de fechas (por defecto, solo eventos futuros)
+    const from = desde ? parseDate(desde) : new Date();
+    const to = hasta ? parseDate(hasta) : null;
+    if (!from || (hasta && !to)) {
+      return { error: 'Fechas inválidas en desde/hasta' };
+    }
+    if (to && to < from) {
+      return { error: 'La fecha hasta debe ser posterior a desde' };
+    }
+    const range = { $gte: from };
+    if (to) range.$lte = to;
+
+    // Las series recurrentes se incluyen si siguen activas dentro de la ventana
+    const activeSeries = {
+      'recurrencia.frecuencia': { $exists: true },
+      'recurrencia.finSerie': { $not: { $lt: from } }
+    };
+    if (to) activeSeries.timestamp = { $lte: to };
+
+    const dateConditions = [{ timestamp: range }, activeSeries];
+    // Eventos que empezaron antes de la ventana pero aún no han terminado
+    if (incluirEnCurso === 'true') {
+      dateConditions.push({ timestamp: { $lt: from }, fin: { $gte: from } });
+    }
+
+    base.$and = [{ $or: dateConditions }];
+    // Ventana en la que se expanden las ocurrencias de los eventos recurrentes
+    window = {
+      from: from,
+      to: to || new Date(from.getTime() + EXPANSION_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  // Los listados públicos muestran los eventos publicados y aplazados (y los cancelados si se piden).
+  // En el archivo no hay aplazados: su nueva fecha está pendiente
+  const estados = archive ? ['publicado'] : ['publicado', 'aplazado'];
+  if (incluirCancelados === 'true') estados.push('cancelado');
+  base.estado = { $in: estados };
+
+  if (organizador) {
+    base.organizador = String(organizador).toLowerCase();
+  }
+
+  // Espacio y organización (ObjectId explícito: las agregaciones no convierten tipos)
+  if (venue) {
+    if (!mongoose.Types.ObjectId.isValid(venue)) {
+      return { error: 'ID de espacio inválido' };
+    }
+    base.venue = new mongoose.Types.ObjectId(String(venue));
+  }
+  if (organizacion) {
+    if (!mongoose.Types.ObjectId.isValid(organizacion)) {
+      return { error: 'ID de organización inválido' };
+    }
+    base.organizacion = new mongoose.Types.ObjectId(String(organizacion));
+  }
+
+  // Categorías (multivalor)
+  if (categoria) {
+    const categorias = toList(categoria);
+    const invalid = categorias.filter(c => !Event.CATEGORIAS.includes(c));
+    if (invalid.length > 0) {
+      return { error: `Categorías no válidas: ${invalid.join(', ')}` };
+    }
+    categoriaFilter.categoria = { $in: categorias };
+  }
+
+  // Precio: gratis=true equivale a precio 0; gratis=false excluye los gratuitos
+  if (gratis === 'true') {
+    precioFilter.precio = { $lte: 0 };
+  } else {
+    const min = precioMin !== undefined ? parseFloat(precioMin) : null;
+    const max = precioMax !== undefined ? parseFloat(precioMax) : null;
+    if ((min !== null && (isNaN(min) || min < 0)) || (max !== null && (isNaN(max) || max < 0))) {
+      return { error: 'El rango de precios no es válido' };
+    }
+    if (min !== null && max !== null && max < min) {
+      return { error: 'El precio máximo debe ser mayor o igual que el mínimo' };
+    }
+    if (min !== null || max !== null || gratis === 'false') {
+      precioFilter.precio = {};
+      if (min !== null) precioFilter.precio.$gte = min;
+      if (max !== null) precioFilter.precio.$lte = max;
+      if (gratis === 'false' && !min) precioFilter.precio.$gt = 0;
+    }
+  }
+
+  const text = q ? String(q).trim().slice(0, 200) : '';
+
+  return {
+    base,
+    categoria: categoriaFilter,
+    precio: precioFilter,
+    text: text || null,
+    window: window
+  };
+};
+
+/**
+ * Filtro equivalente a la búsqueda de texto mediante expresiones regulares.
+ * Se usa en las búsquedas geográficas, donde MongoDB no permite combinar
+ * $geoNear con $text.
+ * @param {string} text - Texto a buscar
+ * @returns {Object} - Filtro de MongoDB
+ */
+const textAsRegexFilter = (text) => {
+  const pattern = new RegExp(escapeRegex(text), 'i');
+  return {
+    $or: [
+      { nombre: pattern },
+      { descripcion: pattern },
+      { lugar: pattern }
+    ]
+  };
+};
+
+/**
+ * Página de eventos públicos restringida a un filtro adicional (p. ej. los eventos de
+ * un espacio o de una organización), con los mismos parámetros que GET /api/events
+ * salvo la búsqueda por cercanía
+ * @param {Object} query - req.query
+ * @param {Object} extraFilter - Filtro adicional de MongoDB
+ * @param {Object} options - { archive: eventos ya celebrados, de más reciente a más antiguo }
+ * @returns {Promise<Object>} - Cuerpo de la respuesta o { error }
+ */
+const findPublicEventsPage = async (query, extraFilter = {}, { archive = false } = {}) => {
+  const search = parseSearchParams(query, { archive });
+  if (search.error) {
+    return { error: search.error };
+  }
+
+  // En el archivo se muestran primero los eventos más recientes
+  const pageQuery = archive && !query.order && (query.sort || 'timestamp') === 'timestamp'
+    ? { ...query, order: 'desc' }
+    : query;
+
+  const allowedSorts = ['timestamp', 'createdAt', 'precio'];
+  if (search.text) allowedSorts.push('relevance');
+  const pagination = parsePaginationParams(pageQuery, allowedSorts, search.text ? 'relevance' : 'timestamp');
+  if (pagination.error) {
+    return { error: pagination.error };
+  }
+
+  const page = await Event.findPage({
+    ...pagination,
+    filter: { ...search.base, ...search.categoria, ...search.precio, ...extraFilter },
+    text: search.text,
+    window: search.window
+  });
+
+  return {
+    count: page.events.length,
+    events: page.events,
+    nextCursor: page.nextCursor,
+    pagination: {
+      limit: pagination.limit,
+      sort: pagination.sort,
+      order: pagination.order === 1 ? 'asc' : 'desc',
+      hasNext: !!page.nextCursor
+    }
+  };
+};
+
+module.exports = {
+  parseSearchParams,
+  textAsRegexFilter,
+  findPublicEventsPage
+};
@@ -0,0 +1,186 @@
+// Generación de calendarios iCalendar (RFC 5545)
+const { DEFAULT_TIMEZONE, toWallClock } = require('./timezone');
+
+const PRODID = '-//Eventual//Eventual Backend//ES';
+
+// Escapa texto según RFC 5545 (barras, punto y coma, comas y saltos de línea)
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Pliega las líneas de más de 75 octetos, sin partir caracteres multibyte
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const max = parts.length === 0 ? 75 : 74; // Las continuaciones empiezan con un espacio
+    if (currentBytes + bytes > max) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Formato de fecha UTC: 20250101T180000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Formato de hora local sin zona (20250101T190000), para usar junto a TZID
+const formatLocalDate = (date, timeZone) => formatDate(toWallClock(new Date(date), timeZone)).replace(/Z$/, '');
+
+/**
+ * Propiedad de fecha (DTSTART, DTEND, EXDATE, RECURRENCE-ID). Las series recurrentes
+ * se expresan en hora local con TZID para que conserven la hora con el cambio de horario.
+ * @param {string} name - Nombre de la propiedad
+ * @param {Array<Date>|Date} dates - Fecha o fechas
+ * @param {string|null} timeZone - Zona horaria IANA o null para UTC
+ * @returns {string}
+ */
+const dateProperty = (name, dates, timeZone) => {
+  const list = Array.isArray(dates) ? dates : [dates];
+  if (!timeZone) {
+    return `${name}:${list.map(formatDate).join(',')}`;
+  }
+  return `${name};TZID=${timeZone}:${list.map(date => formatLocalDate(date, timeZone)).join(',')}`;
+};
+
+// Construye la propiedad RRULE a partir de la regla de recurrencia del evento
+const buildRRule = (rule) => {
+  const parts = [`FREQ=${rule.frecuencia}`];
+  if (rule.intervalo && rule.intervalo > 1) parts.push(`INTERVAL=${rule.intervalo}`);
+  if (rule.diasSemana && rule.diasSemana.length > 0) parts.push(`BYDAY=${rule.diasSemana.join(',')}`);
+  if (rule.hasta) parts.push(`UNTIL=${formatDate(rule.hasta)}`);
+  if (rule.repeticiones) parts.push(`COUNT=${rule.repeticiones}`);
+  return parts.join(';');
+};
+
+const eventUrl = (event) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://eventual-frontend-five.vercel.app';
+  return `${frontendUrl}/events/${event._id}`;
+};
+
+/**
+ * Genera las líneas VEVENT de un evento (incluye RRULE, EXDATE y las
+ * ocurrencias modificadas como VEVENT con RECURRENCE-ID)
+ * @param {Object} event - Documento del evento
+ * @returns {Array<string>} - Líneas sin plegar
+ */
+// Estado iCalendar (STATUS) según el estado del evento
+const eventStatus = (event) => {
+  if (event.estado === 'cancelado') return 'CANCELLED';
+  if (event.estado === 'aplazado') return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+const buildEventLines = (event) => {
+  const uid = `${event._id}@eventual`;
+  const dtstamp = formatDate(event.updatedAt || new Date());
+  const timeZone = event.recurrencia ? (event.zonaHoraria || DEFAULT_TIMEZONE) : null;
+  const durationMs = event.fin ? event.fin - event.timestamp : null;
+
+  // DTEND a partir de la duración del evento (se omite si no tiene fin)
+  const endLine = (start) => durationMs !== null
+    ? [dateProperty('DTEND', new Date(new Date(start).getTime() + durationMs), timeZone)]
+    : [];
+
+  const common = (data) => {
+    const lines = [
+      `SUMMARY:${escapeText(data.nombre)}`,
+      `LOCATION:${escapeText(data.lugar)}`
+    ];
+    if (typeof data.lat === 'number' && typeof data.lon === 'number') {
+      lines.push(`GEO:${data.lat};${data.lon}`);
+    }
+    if (data.descripcion) {
+      lines.push(`DESCRIPTION:${escapeText(data.descripcion)}`);
+    }
+    return lines;
+  };
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${dtstamp}`,
+    dateProperty('DTSTART', event.timestamp, timeZone),
+    ...endLine(event.timestamp),
+    ...common(event),
+    `CATEGORIES:${escapeText(event.categoria)}`,
+    `ORGANIZER:mailto:${event.organizador}`,
+    `URL:${eventUrl(event)}`,
+    `STATUS:${eventStatus(event)}`
+  ];
+
+  if (event.recurrencia) {
+    lines.push(`RRULE:${buildRRule(event.recurrencia)}`);
+    if (event.recurrencia.excepciones && event.recurrencia.excepciones.length > 0) {
+      lines.push(dateProperty('EXDATE', event.recurrencia.excepciones, timeZone));
+    }
+  }
+  lines.push('END:VEVENT');
+
+  // Ocurrencias modificadas individualmente
+  if (event.recurrencia) {
+    (event.modificaciones || []).forEach(mod => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${dtstamp}`,
+        dateProperty('RECURRENCE-ID', mod.fechaOriginal, timeZone),
+        dateProperty('DTSTART', mod.timestamp || mod.fechaOriginal, timeZone),
+        ...endLine(mod.timestamp || mod.fechaOriginal),
+        ...common({
+          nombre: mod.nombre || event.nombre,
+          lugar: mod.lugar || event.lugar,
+          lat: typeof mod.lat === 'number' ? mod.lat : event.lat,
+          lon: typeof mod.lon === 'number' ? mod.lon : event.lon,
+          descripcion: mod.descripcion !== undefined ? mod.descripcion : event.descripcion
+        }),
+        'END:VEVENT'
+      );
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Genera un VCALENDAR completo con los eventos indicados
+ * @param {Array<Object>} events - Documentos de eventos
+ * @param {Object} options - { name } nombre del calendario para las suscripciones
+ * @returns {string} - Contenido .ics
+ */
+const buildCalendar = (events, options = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  events.forEach(event => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  buildCalendar
+};
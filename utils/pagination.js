@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Orden por defecto de cada campo ordenable (1 ascendente, -1 descendente)
+const DEFAULT_ORDER = {
+  timestamp: 1,
+  createdAt: -1,
+  precio: 1,
+  distance: 1,
+  relevance: -1
+};
+
+/**
+ * Codifica la posición del último elemento de una página como cursor opaco
+ * @param {string} sort - Campo de ordenación
+ * @param {number} order - 1 o -1
+ * @param {*} value - Valor del campo de ordenación en el último elemento
+ * @param {*} id - _id del último elemento (desempate)
+ * @returns {string} - Cursor en base64url
+ */
+const encodeCursor = (sort, order, value, id) => {
+  const payload = {
+    s: sort,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// El valor de un cursor solo puede ser un escalar: un objeto (p. ej. { $ne: null })
+// acabaría como operador dentro del filtro de MongoDB
+const isCursorValue = (value, isDate) => {
+  if (isDate) return typeof value === 'string' && !isNaN(new Date(value).getTime());
+  return value === null || typeof value === 'string' || (typeof value === 'number' && isFinite(value));
+};
+
+/**
+ * Decodifica un cursor. Devuelve null si está mal formado.
+ * @param {string} cursor - Cursor recibido en la petición
+ * @returns {Object|null} - { sort, order, value, id }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string' || ![1, -1].includes(payload.o) ||
+        typeof payload.id !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id) ||
+        !isCursorValue(payload.v, payload.d === true)) {
+      return null;
+    }
+    return {
+      sort: payload.s,
+      order: payload.o,
+      value: payload.d === true ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Lee los parámetros de paginación y ordenación (?cursor=&limit=&sort=&order=)
+ * @param {Object} query - req.query
+ * @param {Array<string>} allowedSorts - Campos por los que se permite ordenar
+ * @param {string} defaultSort - Campo de ordenación por defecto
+ * @returns {Object} - { sort, order, limit, cursor } o { error }
+ */
+const parsePaginationParams = (query, allowedSorts, defaultSort) => {
+  const sort = query.sort || defaultSort;
+  if (!allowedSorts.includes(sort)) {
+    return { error: `Ordenación no válida. Valores permitidos: ${allowedSorts.join(', ')}` };
+  }
+
+  let order = DEFAULT_ORDER[sort] || 1;
+  if (query.order) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      return { error: 'El orden debe ser asc o desc' };
+    }
+    order = query.order === 'asc' ? 1 : -1;
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+  if (isNaN(limit) || limit < 1) {
+    return { error: 'El límite debe ser un número positivo' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // El cursor solo es válido con la misma ordenación con la que se generó
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'Cursor inválido' };
+    }
+  }
+
+  return {
+    sort: sort,
+    order: order,
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: cursor
+  };
+};
+
+/**
+ * Filtro con los elementos posteriores al cursor en el orden indicado. El _id actúa
+ * como desempate para que el orden sea estable aunque varios elementos compartan valor.
+ * @param {string} field - Campo de ordenación en el documento
+ * @param {number} order - 1 o -1 (el mismo con el que se generó el cursor)
+ * @param {Object} cursor - Cursor ya validado por parsePaginationParams
+ * @returns {Object} - Filtro de MongoDB ($or con el valor y el desempate por _id)
+ */
+const cursorFilter = (field, order, cursor) => {
+  const op = order === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePaginationParams,
+  cursorFilter
+};
@@ -0,0 +1,104 @@
+const dns = require('dns');
+const net = require('net');
+
+// Rangos a los que no se envían peticiones con URL elegidas por los usuarios (webhooks):
+// loopback, enlace local, redes privadas y direcciones reservadas. Así la API no puede
+// usarse para alcanzar servicios internos (SSRF)
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // Red "esta"
+  ['10.0.0.0', 8, 'ipv4'], // Privada
+  ['100.64.0.0', 10, 'ipv4'], // NAT de operador
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Enlace local (incluye los metadatos de los proveedores cloud)
+  ['172.16.0.0', 12, 'ipv4'], // Privada
+  ['192.0.0.0', 24, 'ipv4'], // Asignaciones de protocolo
+  ['192.0.2.0', 24, 'ipv4'], // Documentación
+  ['192.168.0.0', 16, 'ipv4'], // Privada
+  ['198.18.0.0', 15, 'ipv4'], // Pruebas de rendimiento
+  ['198.51.100.0', 24, 'ipv4'], // Documentación
+  ['203.0.113.0', 24, 'ipv4'], // Documentación
+  ['224.0.0.0', 3, 'ipv4'], // Multicast, reservadas y broadcast
+  ['::', 128, 'ipv6'], // Sin especificar
+  ['::1', 128, 'ipv6'], // Loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 (contiene una IPv4)
+  ['100::', 64, 'ipv6'], // Descarte
+  ['2001:db8::', 32, 'ipv6'], // Documentación
+  ['2002::', 16, 'ipv6'], // 6to4 (contiene una IPv4)
+  ['fc00::', 7, 'ipv6'], // Local única
+  ['fe80::', 10, 'ipv6'], // Enlace local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// Las IPv6 con una IPv4 embebida (::ffff:a.b.c.d) se comprueban también contra los rangos IPv4
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+/**
+ * Comprueba si una IP es pública (alcanzable en Internet y fuera de los rangos bloqueados)
+ * @param {string} address - Dirección IPv4 o IPv6
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const notPublicError = (hostname, address) => {
+  const error = new Error(`${hostname} apunta a una dirección no pública (${address})`);
+  error.code = 'EADDRNOTPUBLIC';
+  return error;
+};
+
+/**
+ * Resolución DNS para los agentes HTTP que solo permite conectar con IPs públicas.
+ * Se comprueba al abrir la conexión, de modo que un DNS que cambie de respuesta
+ * después de validar la URL (DNS rebinding) tampoco lleva a la red interna.
+ * Misma firma que dns.lookup.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(notPublicError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Comprueba que una URL apunta a un servidor público, resolviendo su nombre
+ * @param {string} url - URL a comprobar
+ * @returns {Promise<string|null>} - Mensaje de error o null si es pública
+ */
+const checkPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'La URL no es válida';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : `La dirección ${hostname} no es pública`;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `No se ha podido resolver ${hostname}`;
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  return blocked ? notPublicError(hostname, blocked.address).message : null;
+};
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  checkPublicUrl
+};
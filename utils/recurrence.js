@@ -0,0 +1,178 @@
+// Expansión de reglas de recurrencia al estilo RFC 5545 (RRULE)
+const { toWallClock, fromWallClock } = require('./timezone');
+
+const FRECUENCIAS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DIAS_SEMANA = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Índice = getUTCDay()
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Límite de iteraciones para que una regla sin fin no bloquee el proceso
+const MAX_ITERATIONS = 5000;
+
+// Fechas candidatas de un periodo (día, semana, mes o año) de la serie
+const candidatesForPeriod = (start, rule, period) => {
+  const interval = rule.intervalo || 1;
+  const byDay = (rule.diasSemana || []).map(day => DIAS_SEMANA.indexOf(day));
+
+  switch (rule.frecuencia) {
+    case 'DAILY': {
+      const date = new Date(start.getTime() + period * interval * DAY_MS);
+      return byDay.length > 0 && !byDay.includes(date.getUTCDay()) ? [] : [date];
+    }
+    case 'WEEKLY': {
+      // Semanas de lunes a domingo (WKST=MO, el valor por defecto de RFC 5545)
+      const mondayOffset = (start.getUTCDay() + 6) % 7;
+      const weekStart = start.getTime() - mondayOffset * DAY_MS + period * interval * 7 * DAY_MS;
+      const days = byDay.length > 0 ? byDay : [start.getUTCDay()];
+      return days
+        .map(day => new Date(weekStart + ((day + 6) % 7) * DAY_MS))
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const months = rule.frecuencia === 'MONTHLY' ? period * interval : period * interval * 12;
+      const date = new Date(Date.UTC(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + months,
+        start.getUTCDate(),
+        start.getUTCHours(),
+        start.getUTCMinutes(),
+        start.getUTCSeconds(),
+        start.getUTCMilliseconds()
+      ));
+      // Los meses sin ese día (p. ej. 31 o 29 de febrero) se saltan, como indica RFC 5545
+      return date.getUTCDate() === start.getUTCDate() ? [date] : [];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Recorre en orden todas las fechas de una serie (sin aplicar excepciones).
+ * COUNT incluye las fechas que luego se excluyen, como en RFC 5545.
+ * Las fechas se calculan en hora local de la zona del evento, de modo que la
+ * serie conserva la hora aunque cambie el horario de verano.
+ * @param {Date} start - Fecha de la primera ocurrencia (DTSTART)
+ * @param {Object} rule - Regla de recurrencia del evento
+ * @param {string} timeZone - Zona horaria IANA del evento
+ */
+function* iterateSeries(start, rule, timeZone = 'UTC') {
+  const until = rule.hasta ? new Date(rule.hasta) : null;
+  const count = rule.repeticiones || null;
+  const wallStart = toWallClock(start, timeZone);
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_ITERATIONS; period++) {
+    for (const wall of candidatesForPeriod(wallStart, rule, period)) {
+      const date = fromWallClock(wall, timeZone);
+      if (date < start) continue;
+      if (until && date > until) return;
+      if (count && emitted >= count) return;
+      emitted++;
+      yield date;
+    }
+  }
+}
+
+/**
+ * Obtiene las fechas de la serie dentro de una ventana temporal
+ * @param {Date} start - Fecha de la primera ocurrencia
+ * @param {Object} rule - Regla de recurrencia
+ * @param {Date} from - Inicio de la ventana
+ * @param {Date} to - Fin de la ventana
+ * @param {number} limit - Número máximo de fechas
+ * @param {string} timeZone - Zona horaria IANA del evento
+ * @returns {Array<Date>} - Fechas de las ocurrencias (sin excepciones)
+ */
+const expandDates = (start, rule, from, to, limit = 500, timeZone = 'UTC') => {
+  const exceptions = new Set((rule.excepciones || []).map(date => new Date(date).getTime()));
+  const dates = [];
+
+  for (const date of iterateSeries(start, rule, timeZone)) {
+    if (date > to || dates.length >= limit) break;
+    if (date < from || exceptions.has(date.getTime())) continue;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Fecha de la última ocurrencia de la serie, o null si no tiene fin
+ * @param {Date} start - Fecha de la primera ocurrencia
+ * @param {Object} rule - Regla de recurrencia
+ * @param {string} timeZone - Zona horaria IANA del evento
+ * @returns {Date|null}
+ */
+const getSeriesEnd = (start, rule, timeZone = 'UTC') => {
+  if (!rule.hasta && !rule.repeticiones) {
+    return null;
+  }
+
+  let last = null;
+  for (const date of iterateSeries(start, rule, timeZone)) {
+    last = date;
+  }
+  return last;
+};
+
+/**
+ * Comprueba si una fecha corresponde a una ocurrencia de la serie
+ * @param {Date} start - Fecha de la primera ocurrencia
+ * @param {Object} rule - Regla de recurrencia
+ * @param {Date} date - Fecha a comprobar
+ * @param {string} timeZone - Zona horaria IANA del evento
+ * @returns {boolean}
+ */
+const isSeriesDate = (start, rule, date, timeZone = 'UTC') => {
+  for (const candidate of iterateSeries(start, rule, timeZone)) {
+    if (candidate.getTime() === date.getTime()) return true;
+    if (candidate > date) return false;
+  }
+  return false;
+};
+
+/**
+ * Normaliza la regla recibida en la petición (objeto o JSON en multipart/form-data)
+ * @param {*} value - Valor de req.body.recurrencia
+ * @returns {Object} - { rule } (null para eliminar la recurrencia) o { error }
+ */
+const parseRecurrenceInput = (value) => {
+  if (value === null || value === '' || value === 'null') {
+    return { rule: null };
+  }
+
+  let input = value;
+  if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (error) {
+      return { error: 'La regla de recurrencia no es un JSON válido' };
+    }
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'La regla de recurrencia no es válida' };
+  }
+
+  const rule = {
+    frecuencia: typeof input.frecuencia === 'string' ? input.frecuencia.toUpperCase() : input.frecuencia,
+    intervalo: input.intervalo !== undefined ? parseInt(input.intervalo) : 1,
+    diasSemana: (input.diasSemana || []).map(day => String(day).toUpperCase()),
+    hasta: input.hasta ? new Date(input.hasta) : null,
+    repeticiones: input.repeticiones ? parseInt(input.repeticiones) : null,
+    excepciones: (input.excepciones || []).map(date => new Date(date))
+  };
+
+  return { rule };
+};
+
+module.exports = {
+  FRECUENCIAS,
+  DIAS_SEMANA,
+  iterateSeries,
+  expandDates,
+  getSeriesEnd,
+  isSeriesDate,
+  parseRecurrenceInput
+};
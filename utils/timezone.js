@@ -0,0 +1,103 @@
+// Utilidades de zona horaria basadas en Intl (sin dependencias externas)
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Madrid';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Comprueba si una zona horaria IANA es válida (p. ej. "Europe/Madrid")
+ * @param {string} timeZone - Identificador IANA
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Componentes de fecha y hora locales de un instante en una zona horaria
+const getParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+  });
+  return parts;
+};
+
+/**
+ * Diferencia en minutos entre la hora local y UTC en un instante dado
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {number} - Minutos (positivo al este de Greenwich)
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const p = getParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+};
+
+/**
+ * Representa la hora local de una zona como si fuese UTC ("hora de pared").
+ * Permite operar con días y meses locales usando los métodos getUTC*.
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date}
+ */
+const toWallClock = (date, timeZone) => new Date(date.getTime() + getOffsetMinutes(date, timeZone) * 60000);
+
+/**
+ * Convierte una "hora de pared" en el instante UTC correspondiente de la zona
+ * @param {Date} wall - Hora local representada como UTC
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Date}
+ */
+const fromWallClock = (wall, timeZone) => {
+  const guess = new Date(wall.getTime() - getOffsetMinutes(wall, timeZone) * 60000);
+  return new Date(wall.getTime() - getOffsetMinutes(guess, timeZone) * 60000);
+};
+
+/**
+ * Formatea un instante como ISO 8601 con el desfase de la zona (2025-06-01T20:00:00+02:00)
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {string|null}
+ */
+const toLocalISOString = (date, timeZone) => {
+  if (!date) return null;
+  const instant = new Date(date);
+  const offset = getOffsetMinutes(instant, timeZone);
+  const local = new Date(instant.getTime() + offset * 60000).toISOString().replace(/\.\d{3}Z$/, '');
+  const sign = offset >= 0 ? '+' : '-';
+  const abs = Math.abs(offset);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getOffsetMinutes,
+  toWallClock,
+  fromWallClock,
+  toLocalISOString
+};
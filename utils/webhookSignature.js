@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// Firma HMAC de notificaciones HTTP (webhooks): las de los proveedores de pago que
+// recibimos y las que enviamos a los usuarios
+
+// Antigüedad máxima de una notificación firmada (protege frente a reenvíos)
+const TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+/**
+ * Firma el cuerpo de una notificación con el formato t=<timestamp>,v1=<hmac>
+ * @param {string|Buffer} payload - Cuerpo tal cual se envía
+ * @param {string} secret - Secreto compartido
+ * @param {number} timestamp - Segundos desde epoch (por defecto, ahora)
+ * @returns {string} - Valor de la cabecera de firma
+ */
+const sign = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${hmac(secret, `${timestamp}.${payload}`)}`
+);
+
+/**
+ * Comprueba la firma de una notificación
+ * @param {string|Buffer} payload - Cuerpo recibido, sin parsear
+ * @param {string} header - Cabecera de firma
+ * @param {string} secret - Secreto compartido
+ * @returns {boolean}
+ */
+const verify = (payload, header, secret) => {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(hmac(secret, `${timestamp}.${payload}`));
+  const received = Buffer.from(String(parts.v1));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  sign,
+  verify,
+  TOLERANCE_SECONDS
+};